@@ -2,26 +2,36 @@
  * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as exchangeHistory from './storage/exchangeHistory.js';
 import * as exchanges from './storage/exchanges.js';
 import {
   buildPresentationFromResults,
   buildVerifyPresentationResults,
-  emitExchangeUpdated,
+  callBlockingCallback,
   evaluateExchangeStep,
+  getNextStep,
   validateVerifiablePresentation,
   validateVerifiablePresentationRequest
 } from './helpers.js';
-import {createChallenge, verify as defaultVerify} from './verify.js';
+import {
+  createChallenge as defaultCreateChallenge,
+  verify as defaultVerify
+} from './verify.js';
 import {issue as defaultIssue, getIssueRequestsParams} from './issue.js';
+import {createHash} from 'node:crypto';
 import {createPresentation} from '@digitalbazaar/vc';
+import {signPresentation as defaultSignPresentation} from './present.js';
+import {emitExchangeEvent} from './events.js';
+import {emitExchangeUpdated} from './webhooks.js';
+import {handleDuplicateCompletion} from './duplicateCompletion.js';
+import {isReplayable} from './responseReplay.js';
 import {logger} from './logger.js';
+import {MAXIMUM_STEP_COUNT} from './constants.js';
 
 const {util: {BedrockError}} = bedrock;
 
 // 15 minute default TTL for exchanges
 const DEFAULT_TTL = 1000 * 60 * 60 * 15;
-// maximum steps while looping
-const MAXIMUM_STEP_COUNT = 100;
 
 export class ExchangeProcessor {
   /**
@@ -35,12 +45,16 @@ export class ExchangeProcessor {
    * @param {Function} [options.issue] - The `issue` handler.
    * @param {Function} [options.inputRequired] - The `inputRequired` handler.
    * @param {Function} [options.verify] - The `verify` handler.
+   * @param {Function} [options.createChallenge] - The `createChallenge`
+   *   handler.
+   * @param {Function} [options.signPresentation] - The `signPresentation`
+   *   handler.
    *
    * @returns {ExchangeProcessor} An `ExchangeProcessor` instance.
    */
   constructor({
     workflow, exchangeRecord, prepareStep, inputRequired, isStepComplete,
-    issue, verify
+    issue, verify, createChallenge, signPresentation
   } = {}) {
     this.workflow = workflow;
     this.exchangeRecord = exchangeRecord;
@@ -49,7 +63,12 @@ export class ExchangeProcessor {
     this.isStepComplete = isStepComplete?.bind(this);
     this.issue = issue ?? defaultIssue.bind(this);
     this.verify = verify ?? defaultVerify.bind(this);
+    this.createChallenge = createChallenge ?? defaultCreateChallenge.bind(this);
+    this.signPresentation = signPresentation ??
+      defaultSignPresentation.bind(this);
     this.canRetry = false;
+    // set to `true` when processing stops to await coordinator approval
+    this.approvalPending = false;
   }
 
   /**
@@ -75,9 +94,9 @@ export class ExchangeProcessor {
       workflow, exchange, stepName: currentStep
     });
 
-    // if `step.nextStep` and `step.redirectUrl` and are both set, throw an
-    // error
-    if(step.nextStep && step.redirectUrl) {
+    // if `step.nextStep` or `step.branches` and `step.redirectUrl` are both
+    // set, throw an error
+    if((step.nextStep || step.branches) && step.redirectUrl) {
       throw new BedrockError(
         'Only the last step of a workflow can use "redirectUrl".', {
           name: 'DataError',
@@ -113,8 +132,11 @@ export class ExchangeProcessor {
    *
    * In rare cases, it is possible that a generated response will not reach the
    * client due to a network connection error that is not perceived by the
-   * server. In this case, the expectation is that another exchange will have
-   * to be started to attempt the interaction again.
+   * server. If a `requestKey` is given, it is recorded with every exchange
+   * update so that the protocol can store the generated response and replay
+   * it if the client retries the same request (see `responseReplay.js`).
+   * Otherwise, the expectation is that another exchange will have to be
+   * started to attempt the interaction again.
    *
    * @param {object} options - The options to use.
    * @param {object} [options.receivedPresentation] - A verifiable
@@ -123,10 +145,22 @@ export class ExchangeProcessor {
    * @param {object} [options.receivedPresentationRequest] - A verifiable
    *   presentation request received from the exchange client in the most
    *   recent protocol message of choice.
+   * @param {string} [options.requestKey] - The key of the request that
+   *   delivered the most recent protocol message.
+   * @param {string} [options.requestDigest] - The digest of the request that
+   *   delivered the most recent protocol message.
+   * @param {boolean} [options.clientKey=false] - `true` if the request key
+   *   identifies the exchange client (see `responseReplay.js`).
    *
    * @returns {Promise<object>} An object with processing information.
    */
-  async process({receivedPresentation, receivedPresentationRequest} = {}) {
+  async process({
+    receivedPresentation, receivedPresentationRequest, requestKey,
+    requestDigest, clientKey = false
+  } = {}) {
+    this.requestKey = requestKey;
+    this.requestDigest = requestDigest;
+    this.clientKey = clientKey;
     const retryState = {};
     while(true) {
       try {
@@ -142,6 +176,21 @@ export class ExchangeProcessor {
           this.exchangeRecord = await exchanges.get({
             workflowId: workflow.id, id: exchange.id
           });
+          // if an identical request from the same client just updated the
+          // exchange, its response is to be replayed instead
+          const {lastResponse} = this.exchangeRecord.exchange.secrets ?? {};
+          if(requestKey !== undefined &&
+            lastResponse?.requestKey === requestKey &&
+            lastResponse.clientKey && isReplayable({lastResponse})) {
+            throw new BedrockError(
+              'Could not update exchange; already updated by the same ' +
+              'request.', {
+                name: 'DuplicateError',
+                details: {
+                  httpStatusCode: 409, public: true, duplicateRequest: true
+                }
+              });
+          }
           continue;
         }
         // rethrow in all other cases
@@ -157,27 +206,119 @@ export class ExchangeProcessor {
    *
    * @param {object} options - The options to use.
    * @param {object} [options.step] - The current step.
+   * @param {string} [options.completedStep] - The name of the step that was
+   *   completed, if any.
    *
    * @returns {Promise<object>} An object with processing information.
    */
-  async updateExchange({step} = {}) {
+  async updateExchange({step, completedStep} = {}) {
     const {workflow, exchangeRecord: {exchange, meta}} = this;
     try {
       exchange.referenceId = globalThis.crypto.randomUUID();
       exchange.sequence++;
+      if(this.requestKey !== undefined) {
+        // record the request that caused this update so its response can be
+        // stored and replayed if the same request is received again
+        exchange.secrets = {
+          ...exchange.secrets,
+          lastResponse: {
+            requestKey: this.requestKey, requestDigest: this.requestDigest,
+            sequence: exchange.sequence, date: Date.now(),
+            ...(this.clientKey ? {clientKey: true} : {})
+          }
+        };
+      }
       if(exchange.state === 'complete') {
         await exchanges.complete({workflowId: workflow.id, exchange});
       } else {
         await exchanges.update({workflowId: workflow.id, exchange, meta});
       }
       meta.updated = Date.now();
+      await this.recordEvent({
+        type: exchange.state === 'complete' ? 'completed' : 'updated'
+      });
       await emitExchangeUpdated({workflow, exchange, step});
+      if(completedStep !== undefined) {
+        await emitExchangeEvent({
+          workflow, exchange, type: 'exchange.stepCompleted',
+          data: {completedStep}
+        });
+      }
+      if(exchange.state === 'complete') {
+        await emitExchangeEvent({
+          workflow, exchange, type: 'exchange.completed'
+        });
+      }
     } catch(e) {
       exchange.sequence--;
+      // a duplicate request (as opposed to a duplicate completion) means the
+      // exchange was completed by an identical request whose response will
+      // be replayed
+      if(e.name === 'DuplicateError' && !e.details?.duplicateRequest) {
+        await this.recordEvent({type: 'duplicateCompletion'});
+        // exchange completed more than once; store any action specified in
+        // the workflow config to be taken in the background
+        await handleDuplicateCompletion({workflow, exchange});
+      }
       throw e;
     }
   }
 
+  /**
+   * Records an event in the exchange's history. History that cannot be
+   * recorded is logged instead; exchange processing never fails because of
+   * it.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.type - The type of event.
+   * @param {object} [options.data] - Any event data.
+   * @param {Error} [options.error] - Any error to record with the event.
+   *
+   * @returns {Promise<undefined>} Resolves once the event has been recorded.
+   */
+  async recordEvent({type, data, error} = {}) {
+    const {workflow, exchangeRecord: {exchange}} = this;
+    await exchangeHistory.tryAppend({
+      workflowId: workflow.id, exchange, type, data, error
+    });
+  }
+
+  /**
+   * Records an error that occurred while processing the exchange: it is saved
+   * as `exchange.lastError` (if the exchange has not been updated in the
+   * meantime), recorded in the exchange's history, and reported to any step
+   * callback and workflow event subscriptions.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.step] - The current step, if any.
+   * @param {Error} options.error - The error.
+   *
+   * @returns {Promise<undefined>} Resolves once the error has been recorded.
+   */
+  async recordError({step, error} = {}) {
+    const {workflow, exchangeRecord: {exchange, meta}} = this;
+
+    // write last error if exchange hasn't been frequently updated
+    const {id: workflowId} = workflow;
+    const copy = {...exchange};
+    copy.sequence++;
+    copy.lastError = error;
+    await exchanges.setLastError({
+      workflowId, exchange: copy, lastUpdated: meta.updated
+    }).catch(error => logger.error(
+      'Could not set last exchange error: ' + error.message, {error}));
+    await this.recordEvent({type: 'error', error});
+    await emitExchangeUpdated({workflow, exchange, step});
+    // a duplicate completion is reported via `exchange.invalidated` instead
+    // (see `duplicateCompletion.js`)
+    if(error.name !== 'DuplicateError') {
+      await emitExchangeEvent({
+        workflow, exchange, type: 'exchange.failed',
+        data: {error: {name: error.name, message: error.message}}
+      });
+    }
+  }
+
   async _validateReceivedPresentation({
     workflow, exchange, step, receivedPresentation, verify
   }) {
@@ -186,6 +327,15 @@ export class ExchangeProcessor {
     const isEnvelopedPresentation =
       receivedPresentation?.type === 'EnvelopedVerifiablePresentation';
 
+    // record receipt of the presentation (by hash only)
+    await this.recordEvent({
+      type: 'presentationReceived',
+      data: {
+        sha256: createHash('sha256')
+          .update(JSON.stringify(receivedPresentation)).digest('hex')
+      }
+    });
+
     // 2. If `step.presentationSchema` is set and `isEnvelopedPresentation` is
     // `false`, then use the presentation schema to validate
     // `receivedPresentation`, throwing an error if validation fails.
@@ -225,16 +375,27 @@ export class ExchangeProcessor {
     } = step;
     const verifyPresentationOptions = structuredClone(
       step.verifyPresentationOptions ?? {});
-    const verifyResult = await verify({
-      workflow, exchange, step,
-      verifyPresentationOptions,
-      verifyPresentationResultSchema,
-      verifiablePresentationRequest: responsePresentationRequest ??
-        step.verifiablePresentationRequest,
-      presentation: receivedPresentation,
-      allowUnprotectedPresentation,
-      expectedChallenge,
-      expectedDomain
+    let verifyResult;
+    try {
+      verifyResult = await verify({
+        workflow, exchange, step,
+        verifyPresentationOptions,
+        verifyPresentationResultSchema,
+        verifiablePresentationRequest: responsePresentationRequest ??
+          step.verifiablePresentationRequest,
+        presentation: receivedPresentation,
+        allowUnprotectedPresentation,
+        expectedChallenge,
+        expectedDomain
+      });
+    } catch(error) {
+      await this.recordEvent({
+        type: 'presentationVerified', data: {verified: false}, error
+      });
+      throw error;
+    }
+    await this.recordEvent({
+      type: 'presentationVerified', data: {verified: true}
     });
 
     // build unenveloped verifiable presentation from verification results
@@ -314,16 +475,38 @@ export class ExchangeProcessor {
     // track whether issuance has been triggered yet to set retry capability
     let issuanceTriggered = false;
 
-    try {
-      // 2. If `exchange.state` is `complete` or `invalid`, throw a
-      // `NotAllowedError`.
-      if(exchange.state === 'complete' || exchange.state === 'invalid') {
-        throw new BedrockError(`Exchange is ${exchange.state}`, {
+    // 2. If `exchange.state` is `complete`, `invalid`, or `cancelled`, throw a
+    // `NotAllowedError` (indicating whether a cancelled exchange's approval
+    // was rejected). This error is not an exchange processing error, so it is
+    // not saved as `exchange.lastError` nor emitted as an `exchange.failed`
+    // event; any callback was already notified when the exchange reached its
+    // terminal state.
+    if(exchange.state === 'complete' || exchange.state === 'invalid') {
+      throw new BedrockError(`Exchange is ${exchange.state}`, {
+        name: 'NotAllowedError',
+        details: {httpStatusCode: 403, public: true}
+      });
+    }
+    if(exchange.state === 'cancelled') {
+      // an exchange is cancelled when its approval is rejected
+      const approval = exchange.variables.results[exchange.step]?.approval;
+      if(approval?.status === 'rejected') {
+        const details = {httpStatusCode: 403, public: true};
+        if(approval.reason !== undefined) {
+          details.reason = approval.reason;
+        }
+        throw new BedrockError('Exchange approval has been rejected.', {
           name: 'NotAllowedError',
-          details: {httpStatusCode: 403, public: true}
+          details
         });
       }
+      throw new BedrockError('Exchange has been cancelled.', {
+        name: 'NotAllowedError',
+        details: {httpStatusCode: 403, public: true}
+      });
+    }
 
+    try {
       // 3. If `exchange.state` is `pending`, set it to `active`.
       if(exchange.state === 'pending') {
         exchange.state = 'active';
@@ -393,71 +576,121 @@ export class ExchangeProcessor {
           });
         }
 
-        // 4.5. If the implementation supports blocking callbacks that can
-        // return results to be added to exchange variables (or return errors),
-        // call the callback and store its results in
-        // `exchange.variables.results[exchange.step].callbackResults` or
-        // throw any error received.
-        // FIXME: to be implemented
-
-        // 4.6. Set `isInputRequired` to the result of calling
+        // 4.5. Set `isInputRequired` to the result of calling
         // `inputRequired({step, receivedPresentation})`.
         const isInputRequired = await inputRequired?.({
           workflow, exchange, step, receivedPresentation
         }) ?? false;
 
-        // 4.7. If `isInputRequired` is true:
+        // 4.6. If `isInputRequired` is true:
         if(isInputRequired) {
-          // 4.7.1. If `response` is `null`, set it to an empty object.
+          // 4.6.1. If `response` is `null`, set it to an empty object.
           if(!response) {
             response = {};
           }
 
-          // 4.7.2. If `step.verifiablePresentationRequest` is set, call
+          // 4.6.2. If `step.verifiablePresentationRequest` is set, call
           // the `createVerifiablePresentationRequest` sub-algorithm, passing
           // `workflow`, `exchange`, `step`, and `response`.
           if(step.verifiablePresentationRequest) {
             await _createVerifiablePresentationRequest({
-              workflow, exchange, step, response
+              workflow, exchange, step, response,
+              createChallenge: this.createChallenge
             });
           }
 
-          // 4.7.3. Save the exchange (and call any non-blocking callback
+          // 4.6.3. Save the exchange (and call any non-blocking callback
           // in the step) and return `response`.
           await this.updateExchange({step});
           return response;
         }
 
-        // 4.8. Set `issueToClient` to `true` if `step.issueRequests` includes
+        // 4.7. If the implementation supports blocking callbacks that can
+        // return results to be added to exchange variables (or return errors),
+        // call the callback now that no more input is required from the
+        // exchange client and store its results in
+        // `exchange.variables.results[exchange.step].callbackResults` or
+        // throw any error received. Here, `step.callback.mode` must be
+        // `blocking` and the callback is only called if it has not yet been
+        // called for the step or if new input was received from the exchange
+        // client (to avoid calling it whenever the exchange is polled).
+        if(step.callback?.mode === 'blocking' &&
+          (receivedPresentation || receivedPresentationRequest ||
+          !exchange.variables.results[exchange.step]?.callbackResults)) {
+          const callbackResults = await callBlockingCallback({
+            workflow, exchange, step
+          });
+          exchange.variables.results[exchange.step] = {
+            ...exchange.variables.results[exchange.step],
+            callbackResults
+          };
+        }
+
+        // 4.8. If `step.awaitApproval` is `true` and
+        // `exchange.variables.results[exchange.step].approval.status` is not
+        // `approved`, then input is required from the workflow coordinator:
+        const stepResults = exchange.variables.results[exchange.step];
+        if(step.awaitApproval && stepResults?.approval?.status !== 'approved') {
+          // 4.8.1. If `response` is `null`, set it to an empty object. If
+          // `response.verifiablePresentationRequest` is not set, set it to an
+          // empty object (to indicate that the exchange is not yet complete).
+          if(!response) {
+            response = {};
+          }
+          if(!response.verifiablePresentationRequest) {
+            response.verifiablePresentationRequest = {};
+          }
+
+          // 4.8.2. If approval has not yet been marked as pending or if a
+          // presentation or presentation request was received, set
+          // `exchange.variables.results[exchange.step].approval` to
+          // `{status: 'pending'}` and save the exchange (and call any
+          // non-blocking callback in the step); otherwise, do not save the
+          // exchange to allow exchange clients to poll it efficiently.
+          this.approvalPending = true;
+          if(!stepResults?.approval || receivedPresentation ||
+            receivedPresentationRequest) {
+            exchange.variables.results[exchange.step] = {
+              ...stepResults,
+              approval: {status: 'pending'}
+            };
+            await this.updateExchange({step});
+          }
+
+          // 4.8.3. Return `response`.
+          return response;
+        }
+
+        // 4.9. Set `issueToClient` to `true` if `step.issueRequests` includes
         // any issuer requests for VCs that are to be sent to the client
         // (`issueRequest.result` is NOT set), otherwise set it to `false`.
-        const issueRequestsParams = getIssueRequestsParams({
+        const issueRequestsParams = await getIssueRequestsParams({
           workflow, exchange, step
         });
         const issueToClient = issueRequestsParams.some(p => !p.result);
 
-        // 4.9. If `step.verifiablePresentation` is set or `issueToClient` is
+        // 4.10. If `step.verifiablePresentation` is set or `issueToClient` is
         // `true`:
         if(step.verifiablePresentation || issueToClient) {
-          // 4.9.1. If `response` is not `null`
+          // 4.10.1. If `response` is not `null`
           if(response) {
-            // 4.9.1.1. If `response.verifiablePresentationRequest` is not set,
+            // 4.10.1.1. If `response.verifiablePresentationRequest` is not set,
             // set it to an empty object (to indicate that the exchange is
             // not yet complete).
             if(!response.verifiablePresentationRequest) {
               response.verifiablePresentationRequest = {};
             }
-            // 4.9.1.2. Save the exchange (and call any non-blocking callback
+            // 4.10.1.2. Save the exchange (and call any non-blocking callback
             // in the step).
             await this.updateExchange({step});
-            // 4.9.1.3. Return `response`.
+            // 4.10.1.3. Return `response`.
             return response;
           }
 
-          // 4.9.2. Set `response` to an empty object.
+          // 4.10.2. Set `response` to an empty object.
           response = {};
 
-          // 4.9.3. If `step.verifiablePresentation` is set, set
+          // 4.10.3. If `step.verifiablePresentation` is set, set
           // `response.verifiablePresentation` to a copy of it, otherwise
           // set `response.verifiablePresentation` to a new, empty,
           // Verifiable Presentation (using VCDM 2.0 by default, but a custom
@@ -470,30 +703,49 @@ export class ExchangeProcessor {
         // issuance has been triggered
         issuanceTriggered = true;
 
-        // 4.10. Perform every issue request (optionally in parallel),
+        // 4.11. Perform every issue request (optionally in parallel),
         // returning an error response to the client if any fails (note:
         // implementations can optionally implement failure recovery or retry
         // issue requests at their own discretion):
-        // 4.10.1. For each issue request where `result` is set to an exchange
+        // 4.11.1. For each issue request where `result` is set to an exchange
         // variable path or name, save the issued credential in the referenced
         // exchange variable.
-        // 4.10.2. For each issue request where `result` is not specified, save
+        // 4.11.2. For each issue request where `result` is not specified, save
         // the issued credential in `response.verifiablePresentation`, i.e.,
         // for a VCDM presentation, append the issued credential to
         // `response.verifiablePresentation.verifiableCredential`.
-        await this.issue({
+        const issueResult = await this.issue({
           workflow, exchange, step, issueRequestsParams,
           verifiablePresentation: response?.verifiablePresentation
         });
+        if(issueRequestsParams.length > 0) {
+          await this.recordEvent({
+            type: 'issued',
+            data: {
+              issueRequestCount: issueRequestsParams.length,
+              issuedCredentials: issueResult?.issuedCredentials?.map(
+                ({credentialId}) => credentialId) ?? []
+            }
+          });
+        }
 
-        // 4.11. If `response.verifiablePresentation` is set and the step
+        // 4.12. If `response.verifiablePresentation` is set and the step
         // configuration indicates it should be signed, sign the presentation
         // (e.g., by using a VCALM holder instance's `/presentations/create`
-        // endpoint).
-        // FIXME: implement
-        //if(response?.verifiablePresentation) {}
+        // endpoint). Here, `step.signVerifiablePresentation` must be `true`
+        // and the presentation is bound to any `challenge` and `domain` from
+        // a presentation request received from the exchange client.
+        if(response?.verifiablePresentation &&
+          step.signVerifiablePresentation) {
+          const {challenge, domain} = exchange.variables
+            .results[exchange.step]?.receivedPresentationRequest ?? {};
+          response.verifiablePresentation = await this.signPresentation({
+            workflow, presentation: response.verifiablePresentation,
+            challenge, domain
+          });
+        }
 
-        // 4.12. Call subalgorithm `isStepComplete`, passing `workflow`,
+        // 4.13. Call subalgorithm `isStepComplete`, passing `workflow`,
         // `exchange`, `step`, `receivedPresentation`, and
         // `receivedPresentationRequest` to perform any protocol-specific
         // behavior to determine if the step is complete. Set `stepComplete`
@@ -503,61 +755,63 @@ export class ExchangeProcessor {
           receivedPresentation, receivedPresentationRequest
         }) ?? true;
 
-        // 4.13. If `stepComplete` is `true`:
+        // 4.14. If `stepComplete` is `true`:
+        const completedStep = stepComplete ? exchange.step : undefined;
         if(stepComplete) {
-          // 4.13.1. If `step.redirectUrl` is set:
+          // 4.14.1. If `step.redirectUrl` is set:
           if(step.redirectUrl) {
-            // 4.13.1.1. If `response` is `null` then set it to an empty object.
+            // 4.14.1.1. If `response` is `null` then set it to an empty object.
             if(!response) {
               response = {};
             }
-            // 4.13.1.2. Set `response.redirectUrl` to `step.redirectUrl`.
+            // 4.14.1.2. Set `response.redirectUrl` to `step.redirectUrl`.
             response.redirectUrl = step.redirectUrl;
           }
 
-          // 4.13.2. If `step.nextStep` is not set then set `exchange.state` to
+          // 4.14.2. Set `nextStep` to the `nextStep` of the first entry in
+          // `step.branches` with a `condition` that evaluates to a truthy
+          // value, defaulting to `step.nextStep`.
+          const nextStep = await getNextStep({workflow, exchange, step});
+
+          // 4.14.3. If `nextStep` is not set then set `exchange.state` to
           // `complete`.
-          if(!step.nextStep) {
+          if(!nextStep) {
             exchange.state = 'complete';
           } else {
-            // 4.13.3. Otherwise, delete
-            // `exchange.variables.results[step.nextStep]` if it exists, and
-            // set `exchange.step` to `step.nextStep`.
-            delete exchange.variables.results[step.nextStep];
-            exchange.step = step.nextStep;
+            // 4.14.4. Otherwise, delete
+            // `exchange.variables.results[nextStep]` if it exists, and set
+            // `exchange.step` to `nextStep`.
+            delete exchange.variables.results[nextStep];
+            exchange.step = nextStep;
           }
         }
 
-        // 4.14. Save the exchange (and call any non-blocking callback in
+        // 4.15. Save the exchange (and call any non-blocking callback in
         // the step).
-        await this.updateExchange({step});
+        await this.updateExchange({step, completedStep});
 
-        // 4.15. If `exchange.state` is `complete`, return `response` if it is
+        // 4.16. If `exchange.state` is `complete`, return `response` if it is
         // not `null`, otherwise return an empty object.
         if(exchange.state === 'complete') {
           return response ?? {};
         }
 
-        // 4.16. Set `receivedPresentation` to `null`.
+        // 4.17. Set `receivedPresentation` to `null`.
         receivedPresentation = null;
       }
     } catch(e) {
+      if(e.details?.duplicateRequest) {
+        // not an exchange error; the response to the identical request that
+        // completed the exchange is to be replayed
+        throw e;
+      }
       if(e.name === 'InvalidStateError') {
         // if issuance has not been triggered or the exchange processor's
         // `canRetry` flag has been explicitly set, allow retry
         retryState.canRetry = !issuanceTriggered || this.canRetry;
         throw e;
       }
-      // write last error if exchange hasn't been frequently updated
-      const {id: workflowId} = workflow;
-      const copy = {...exchange};
-      copy.sequence++;
-      copy.lastError = e;
-      await exchanges.setLastError({
-        workflowId, exchange: copy, lastUpdated: meta.updated
-      }).catch(error => logger.error(
-        'Could not set last exchange error: ' + error.message, {error}));
-      await emitExchangeUpdated({workflow, exchange, step});
+      await this.recordError({step, error: e});
       throw e;
     }
   }
@@ -573,7 +827,7 @@ function _createTimeoutSignal({exchange, meta}) {
 }
 
 async function _createVerifiablePresentationRequest({
-  workflow, exchange, step, response
+  workflow, exchange, step, response, createChallenge
 }) {
   // 1. Set `response.verifiablePresentationRequest` to
   // a copy of `step.verifiablePresentationRequest`.
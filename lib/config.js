@@ -18,6 +18,107 @@ config[namespace].exchanges = {
     // be slightly randomized
     // default: 5 minutes
     interval: 5 * 60 * 1000
+  },
+  // notify about exchanges that expire before they are completed; any pending
+  // or active exchange that expires within `lookahead` is retained until the
+  // sweeper notifies about its expiry, so `lookahead` must be greater than
+  // `interval` (plus the time it takes to run the sweeper)
+  expirySweeper: {
+    // default: 1 minute; may be slightly randomized
+    interval: 60 * 1000,
+    // default: 5 minutes
+    lookahead: 5 * 60 * 1000
+  },
+  // publish changes made to exchanges by other application instances to
+  // exchange status streams via a MongoDB change stream (which requires a
+  // replica set)
+  changeStream: {
+    enabled: true,
+    // delay before watching again after the change stream fails
+    // default: 10 seconds
+    retryInterval: 10 * 1000
+  },
+  // server-sent events streams of exchange status changes
+  statusStream: {
+    // how often a comment is sent to keep idle connections open
+    // default: 15 seconds
+    heartbeatInterval: 15 * 1000
+  },
+  // replaying the response to a retried exchange request
+  responseReplay: {
+    // how long after a request updates an exchange its response may be
+    // replayed; must be greater than the time it takes to process a request
+    // default: 30 seconds
+    window: 30 * 1000
+  }
+};
+
+// step callback (webhook) deliveries are stored in an outbox and retried
+// with exponential backoff until they succeed or `maxAttempts` is reached, at
+// which point they are moved to a dead-letter store
+config[namespace].webhooks = {
+  // timeout for each delivery attempt
+  // default: 10 seconds
+  timeout: 10 * 1000,
+  retry: {
+    // total # of delivery attempts (including the first one)
+    maxAttempts: 10,
+    // delay before the first retry, doubled for each subsequent retry
+    // default: 5 seconds
+    initialDelay: 5 * 1000,
+    // default: 1 hour
+    maxDelay: 60 * 60 * 1000
+  },
+  // how long a delivery attempt may take before another worker may claim it
+  // default: 1 minute
+  leaseTime: 60 * 1000,
+  outboxWorker: {
+    // check the outbox for deliveries that are due every 5 seconds; may be
+    // slightly randomized
+    // default: 5 seconds
+    interval: 5 * 1000
+  },
+  deadLetter: {
+    // how long to keep permanently failed deliveries
+    // default: 30 days
+    ttl: 30 * 24 * 60 * 60 * 1000
+  }
+};
+
+// actions taken in response to duplicate exchange completions (see
+// `duplicateCompletionAction`) are stored in an outbox and retried with
+// exponential backoff until they succeed or `maxAttempts` is reached
+config[namespace].duplicateCompletion = {
+  retry: {
+    // total # of attempts (including the first one)
+    maxAttempts: 10,
+    // delay before the first retry, doubled for each subsequent retry
+    // default: 5 seconds
+    initialDelay: 5 * 1000,
+    // default: 1 hour
+    maxDelay: 60 * 60 * 1000
+  },
+  // how long an attempt may take before another worker may claim the action
+  // default: 1 minute
+  leaseTime: 60 * 1000,
+  outboxWorker: {
+    // check the outbox for actions that are due every 5 seconds; may be
+    // slightly randomized
+    // default: 5 seconds
+    interval: 5 * 1000
+  }
+};
+
+// an issue request that fails because an issuer instance is unavailable is
+// retried using the next matching issuer instance, if any; an issuer instance
+// that fails repeatedly is skipped until it may have recovered
+config[namespace].issuerInstances = {
+  circuitBreaker: {
+    // # of consecutive failures after which an issuer instance is skipped
+    failureThreshold: 5,
+    // how long to skip an issuer instance before trying it again
+    // default: 30 seconds
+    resetTimeout: 30 * 1000
   }
 };
 
@@ -61,4 +162,9 @@ for(const routePrefix of routePrefixes) {
   bodyParserRoutes[
     `${routePrefix}/:localWorkflowId/exchanges`
   ] = createBodyParserOptions({limit: '10MB'});
+  // exchange variables are updated using this route; limit indicates how
+  // large updated variables can be (in total)
+  bodyParserRoutes[
+    `${routePrefix}/:localWorkflowId/exchanges/:localExchangeId/variables`
+  ] = createBodyParserOptions({limit: '10MB'});
 }
@@ -0,0 +1,309 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import jsonata from 'jsonata';
+import {OID4VP_SUPPORTED_CLIENT_ID_SCHEMES} from './constants.js';
+
+/**
+ * Statically validates a workflow configuration (that has already passed
+ * JSON schema validation), collecting every problem found instead of stopping
+ * at the first one. Steps that are generated by step templates can only be
+ * checked when they are evaluated during an exchange.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The workflow configuration.
+ *
+ * @returns {object} An object with `errors` and `warnings`, each an array of
+ *   `{message, path}` objects.
+ */
+export function validateWorkflowConfig({config} = {}) {
+  const errors = [];
+  const warnings = [];
+  const {
+    credentialTemplates = [], issuerInstances, steps, initialStep, zcaps = {}
+  } = config;
+
+  // if credential templates are specified, then `zcaps` MUST include at
+  // least `issue`
+  if(credentialTemplates.length > 0 && !(zcaps.issue || issuerInstances)) {
+    errors.push({
+      message:
+        'A capability to issue credentials is required when credential ' +
+        'templates are provided.',
+      path: '.zcaps'
+    });
+  }
+
+  // ensure that, if `issuerInstances` is given, that every zcap referenced in
+  // each issuer instance config's `zcapReferenceIds` can be found in `zcaps`
+  issuerInstances?.forEach((instance, i) => {
+    if(!zcaps[instance.zcapReferenceIds.issue]) {
+      errors.push({
+        message:
+          'An issuer instance configuration zcap reference ID is not ' +
+          'present in "config.zcaps".',
+        path: `.issuerInstances[${i}].zcapReferenceIds.issue`
+      });
+    }
+  });
+
+  // if duplicate completions are to result in revocation, then `zcaps` MUST
+  // include `credentialStatus`
+  if(config.duplicateCompletionAction === 'revoke' &&
+    !zcaps.credentialStatus) {
+    errors.push({
+      message:
+        'A capability to update credential status is required when ' +
+        '"duplicateCompletionAction" is "revoke".',
+      path: '.zcaps'
+    });
+  }
+
+  // every event subscription URL MUST be an absolute HTTP(S) URL
+  config.eventSubscriptions?.forEach(({url}, i) => {
+    if(!URL.canParse(url) || !/^https?:$/.test(new URL(url).protocol)) {
+      errors.push({
+        message: 'An event subscription URL must be an absolute HTTP(S) URL.',
+        path: `.eventSubscriptions[${i}].url`
+      });
+    }
+  });
+
+  // every credential template MUST compile
+  credentialTemplates.forEach((typedTemplate, i) => {
+    _checkTemplate({
+      typedTemplate, path: `.credentialTemplates[${i}]`, errors
+    });
+  });
+
+  if(!steps) {
+    return {errors, warnings};
+  }
+
+  // if `steps` are specified, then `initialStep` MUST be included and exist
+  if(initialStep === undefined) {
+    errors.push({
+      message: '"initialStep" is required when "steps" are provided.',
+      path: '.initialStep'
+    });
+  } else if(!Object.hasOwn(steps, initialStep)) {
+    errors.push({
+      message: `Referenced step "${initialStep}" not found in "steps".`,
+      path: '.initialStep'
+    });
+  }
+
+  for(const [name, step] of Object.entries(steps)) {
+    const path = `.steps.${name}`;
+
+    // step templates can only be compiled; the steps they generate are
+    // validated when they are evaluated
+    if(step.stepTemplate) {
+      _checkTemplate({
+        typedTemplate: step.stepTemplate, path: `${path}.stepTemplate`, errors
+      });
+      continue;
+    }
+
+    // every step referenced by `nextStep` or `branches` MUST exist and every
+    // branch condition MUST compile
+    if(step.nextStep !== undefined && !Object.hasOwn(steps, step.nextStep)) {
+      errors.push({
+        message: `Referenced step "${step.nextStep}" not found in "steps".`,
+        path: `${path}.nextStep`
+      });
+    }
+    step.branches?.forEach((branch, i) => {
+      const branchPath = `${path}.branches[${i}]`;
+      if(!Object.hasOwn(steps, branch.nextStep)) {
+        errors.push({
+          message: `Referenced step "${branch.nextStep}" not found in "steps".`,
+          path: `${branchPath}.nextStep`
+        });
+      }
+      _checkTemplate({
+        typedTemplate: branch.condition, path: `${branchPath}.condition`,
+        errors
+      });
+    });
+
+    // every issue request MUST reference an existing credential template
+    // and issuer instances and its condition, if any, MUST compile
+    step.issueRequests?.forEach((issueRequest, i) => {
+      _checkIssueRequest({
+        config, issueRequest, path: `${path}.issueRequests[${i}]`, errors
+      });
+    });
+
+    // if the step signs its verifiable presentation, then `zcaps` MUST
+    // include `createPresentation`
+    if(step.signVerifiablePresentation && !zcaps.createPresentation) {
+      errors.push({
+        message:
+          'A capability to create presentations is required when a step ' +
+          'uses "signVerifiablePresentation".',
+        path: `${path}.signVerifiablePresentation`
+      });
+    }
+
+    // any OID4VP client profiles MUST be internally consistent
+    if(step.openId?.clientProfiles) {
+      const {clientProfiles} = step.openId;
+      for(const [id, clientProfile] of Object.entries(clientProfiles)) {
+        _checkClientProfile({
+          clientProfile, zcaps, path: `${path}.openId.clientProfiles.${id}`,
+          errors, warnings
+        });
+      }
+    } else if(step.openId) {
+      // legacy step without any client profiles
+      _checkClientProfile({
+        clientProfile: step.openId, zcaps, path: `${path}.openId`, errors,
+        warnings
+      });
+    }
+  }
+
+  // warn about any steps that cannot be reached from `initialStep`
+  warnings.push(..._findUnreachableSteps({steps, initialStep}).map(name => ({
+    message: `Step "${name}" cannot be reached from "initialStep".`,
+    path: `.steps.${name}`
+  })));
+
+  return {errors, warnings};
+}
+
+function _checkClientProfile({
+  clientProfile, zcaps, path, errors, warnings
+}) {
+  const {
+    client_id, client_id_scheme, client_metadata,
+    authorizationRequestSigningParameters,
+    zcapReferenceIds: {signAuthorizationRequest: refId} = {}
+  } = clientProfile;
+
+  if(client_id_scheme !== undefined) {
+    // an unknown client ID scheme is passed through to exchange clients as
+    // given, so it may still be supported by them
+    if(!OID4VP_SUPPORTED_CLIENT_ID_SCHEMES.has(client_id_scheme)) {
+      warnings.push({
+        message: `Unknown OID4VP client ID scheme "${client_id_scheme}".`,
+        path: `${path}.client_id_scheme`
+      });
+    }
+    // any client ID scheme prefix in `client_id` MUST match
+    const prefix = [...OID4VP_SUPPORTED_CLIENT_ID_SCHEMES].find(
+      scheme => client_id?.startsWith(`${scheme}:`));
+    if(prefix !== undefined && prefix !== client_id_scheme) {
+      errors.push({
+        message:
+          `OID4VP client ID scheme "${client_id_scheme}" does not match the ` +
+          `"${prefix}" scheme used in "client_id".`,
+        path: `${path}.client_id`
+      });
+    }
+  }
+
+  // signed authorization requests MUST reference a zcap in `zcaps` to sign
+  // them with
+  const signed = client_id_scheme === 'x509_san_dns' ||
+    client_metadata?.require_signed_request_object === true;
+  if(refId === undefined) {
+    if(signed || authorizationRequestSigningParameters) {
+      errors.push({
+        message:
+          'The OID4VP client profile does not specify which capability in ' +
+          'the workflow configuration to use to sign authorization requests.',
+        path: `${path}.zcapReferenceIds`
+      });
+    }
+  } else if(!zcaps[refId]) {
+    errors.push({
+      message:
+        'The capability specified by the OID4VP client profile for signing ' +
+        'authorization requests was not found in the workflow configuration.',
+      path: `${path}.zcapReferenceIds.signAuthorizationRequest`
+    });
+  }
+}
+
+function _checkIssueRequest({config, issueRequest, path, errors}) {
+  const {credentialTemplates = [], issuerInstances = []} = config;
+  const {
+    credentialTemplateIndex, credentialTemplateId, issuerInstanceId
+  } = issueRequest;
+  if(credentialTemplateIndex !== undefined &&
+    !credentialTemplates[credentialTemplateIndex]) {
+    errors.push({
+      message: `Credential template "${credentialTemplateIndex}" not found.`,
+      path: `${path}.credentialTemplateIndex`
+    });
+  }
+  if(credentialTemplateId !== undefined &&
+    !credentialTemplates.some(t => t.id === credentialTemplateId)) {
+    errors.push({
+      message: `Credential template "${credentialTemplateId}" not found.`,
+      path: `${path}.credentialTemplateId`
+    });
+  }
+  _checkIssuerInstanceId({
+    issuerInstances, issuerInstanceId, path: `${path}.issuerInstanceId`, errors
+  });
+  issueRequest.targets?.forEach((target, i) => {
+    _checkIssuerInstanceId({
+      issuerInstances, issuerInstanceId: target.issuerInstanceId,
+      path: `${path}.targets[${i}].issuerInstanceId`, errors
+    });
+  });
+  if(issueRequest.condition) {
+    _checkTemplate({
+      typedTemplate: issueRequest.condition, path: `${path}.condition`, errors
+    });
+  }
+}
+
+function _checkIssuerInstanceId({
+  issuerInstances, issuerInstanceId, path, errors
+}) {
+  if(issuerInstanceId !== undefined &&
+    !issuerInstances.some(ii => ii.id === issuerInstanceId)) {
+    errors.push({
+      message: `Issuer instance "${issuerInstanceId}" not found.`,
+      path
+    });
+  }
+}
+
+function _checkTemplate({typedTemplate, path, errors}) {
+  try {
+    jsonata(typedTemplate.template);
+  } catch(e) {
+    errors.push({
+      message: `JSONata template could not be compiled: ${e.message}`,
+      path: `${path}.template`
+    });
+  }
+}
+
+function _findUnreachableSteps({steps, initialStep}) {
+  // walk every transition from `initialStep`; a step template can transition
+  // to any step, so nothing is considered unreachable once one is reached
+  const reached = new Set();
+  const pending = [initialStep];
+  while(pending.length > 0) {
+    const name = pending.pop();
+    const step = steps[name];
+    if(!step || reached.has(name)) {
+      continue;
+    }
+    if(step.stepTemplate) {
+      return [];
+    }
+    reached.add(name);
+    if(step.nextStep !== undefined) {
+      pending.push(step.nextStep);
+    }
+    pending.push(...(step.branches ?? []).map(b => b.nextStep));
+  }
+  return Object.keys(steps).filter(name => !reached.has(name));
+}
@@ -10,7 +10,51 @@ export const EXCHANGE_TTL_DEFAULT = 60 * 15;
 // 48 hours
 export const EXCHANGE_TTL_MAX_IN_MS = 1000 * 60 * 60 * 24 * 2;
 
+// exchange status token TTL is measured in seconds, default is 1 hour and
+// maximum is 24 hours
+export const STATUS_TOKEN_TTL_DEFAULT = 60 * 60;
+export const STATUS_TOKEN_TTL_MAX = 60 * 60 * 24;
+
+// # of bytes of externalized exchange `variables` per metered storage unit
+export const EXCHANGE_VARIABLES_STORAGE_UNIT_SIZE = 1024 * 1024;
+
 // maximum # of issuer instances that can be associated with a workflow
 export const MAX_ISSUER_INSTANCES = 10;
 // maximum # of OID4VP client profiles that can be associated with a workflow
 export const MAX_OID4VP_CLIENT_PROFILES = 10;
+// maximum # of event subscriptions that can be associated with a workflow
+export const MAX_EVENT_SUBSCRIPTIONS = 10;
+// OID4VP client ID schemes supported in authorization requests
+export const OID4VP_SUPPORTED_CLIENT_ID_SCHEMES = new Set([
+  'redirect_uri', 'x509_san_dns', 'x509_hash', 'decentralized_identifier'
+]);
+
+// default and maximum # of exchanges returned per page when listing exchanges
+export const FIND_EXCHANGES_LIMIT_DEFAULT = 25;
+export const FIND_EXCHANGES_LIMIT_MAX = 100;
+
+// maximum # of steps processed while looping through an exchange's steps
+export const MAXIMUM_STEP_COUNT = 100;
+
+// default and maximum timeouts (in milliseconds) for blocking step callbacks
+export const BLOCKING_CALLBACK_TIMEOUT_DEFAULT = 1000 * 10;
+export const BLOCKING_CALLBACK_TIMEOUT_MAX = 1000 * 60;
+
+// maximum time (in milliseconds) to wait for the response to an identical,
+// concurrent exchange request to be stored so that it can be replayed
+export const RESPONSE_REPLAY_WAIT_TIMEOUT = 1000 * 10;
+// minimum and maximum intervals (in milliseconds) between checks for the
+// response to an identical, concurrent exchange request; the interval doubles
+// after every check
+export const RESPONSE_REPLAY_POLL_INTERVAL_MIN = 100;
+export const RESPONSE_REPLAY_POLL_INTERVAL_MAX = 1000 * 2;
+
+// typed exchange lifecycle event types
+export const EXCHANGE_EVENT_TYPES = new Set([
+  'exchange.created',
+  'exchange.stepCompleted',
+  'exchange.completed',
+  'exchange.failed',
+  'exchange.expired',
+  'exchange.invalidated'
+]);
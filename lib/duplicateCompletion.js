@@ -0,0 +1,251 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as actionOutbox from './storage/duplicateCompletionOutbox.js';
+import * as bedrock from '@bedrock/core';
+import * as exchanges from './storage/exchanges.js';
+import {
+  evaluateExchangeStep, generateRandom, getZcapClient
+} from './helpers.js';
+import {emitExchangeEvent} from './events.js';
+import {emitExchangeUpdated} from './webhooks.js';
+import {getWorkflow} from './workflowConfigs.js';
+import {logger} from './logger.js';
+import {rangeDelay} from 'delay';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Note: An exchange that is completed more than once (e.g., because of a
+concurrent protocol request or a replayed request) is marked `invalid`. Any
+credentials that were issued during such an exchange might have been delivered
+to more than one party, so the workflow config may specify an action to take
+in response via `duplicateCompletionAction`:
+
+`revoke`: revoke every credential that was issued during the exchange (using
+  the workflow's `credentialStatus` zcap) and then notify any step callback
+  or workflow event subscriptions.
+`notify`: only notify any step callback or workflow event subscriptions.
+`none` (default): take no action.
+
+In every case, an `exchange.invalidated` event is emitted (see `events.js`).
+
+Actions are not taken directly. Instead, each action is stored in a
+persistent outbox and an attempt to take it is made right away; any failed
+attempt is retried by a background worker using exponential backoff until it
+succeeds or the maximum number of attempts is reached. */
+
+// state for running the duplicate completion outbox worker
+const OUTBOX_WORKER = {
+  // used to abort the outbox worker
+  abortController: new AbortController(),
+  // a Promise that resolves after the outbox worker has shutdown cleanly
+  // after receiving an abort signal
+  shutdownPromise: null
+};
+
+bedrock.events.on('bedrock.ready', () => {
+  // start the duplicate completion outbox worker, which runs continuously
+  OUTBOX_WORKER.shutdownPromise = _startOutboxWorker();
+});
+
+bedrock.events.on('bedrock.exit', async () => {
+  try {
+    // abort duplicate completion outbox worker
+    OUTBOX_WORKER.abortController.abort();
+    logger.debug(
+      'Sent abort signal to duplicate completion outbox worker, waiting ' +
+      'for shutdown...');
+    await OUTBOX_WORKER.shutdownPromise;
+    logger.debug('Duplicate completion outbox worker shutdown was successful.');
+  } catch(error) {
+    logger.error(
+      'Error during duplicate completion outbox worker shutdown.', {error});
+  }
+});
+
+/**
+ * Handles a duplicate completion of an exchange by emitting an
+ * `exchange.invalidated` event and storing the action specified in the
+ * workflow config in the duplicate completion outbox. The action is taken
+ * asynchronously; this function does not wait for it and never throws.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.workflow - The workflow.
+ * @param {object} options.exchange - The exchange (as it was when the
+ *   duplicate completion was attempted).
+ *
+ * @returns {Promise<undefined>} Resolves once the action has been stored.
+ */
+export async function handleDuplicateCompletion({workflow, exchange} = {}) {
+  // the exchange has been marked invalid
+  await emitExchangeEvent({
+    workflow, exchange: {...exchange, state: 'invalid'},
+    type: 'exchange.invalidated', data: {reason: 'duplicateCompletion'}
+  });
+
+  const {duplicateCompletionAction: type = 'none'} = workflow;
+  if(type === 'none') {
+    return;
+  }
+
+  try {
+    const action = {
+      id: await generateRandom(),
+      type,
+      workflowId: workflow.id,
+      exchangeId: exchange.id,
+      // credentials issued during the duplicate completion attempt are not
+      // stored with the exchange
+      issuedCredentials: exchange.issuedCredentials ?? []
+    };
+    await actionOutbox.insert({action});
+
+    // attempt the action right away; the outbox worker handles any retries
+    _attemptAction({id: action.id}).catch(
+      error => logger.error(
+        'Could not attempt duplicate completion action for exchange ' +
+        `"${exchange.id}": ` + error.message, {error}));
+  } catch(error) {
+    logger.error(
+      `Could not handle duplicate completion of exchange "${exchange.id}": ` +
+      error.message, {error});
+  }
+}
+
+async function _attemptAction({id} = {}) {
+  const {leaseTime, retry} = bedrock.config['vc-workflow'].duplicateCompletion;
+
+  // claim the action (or any due action if `id` is not given)
+  const record = await actionOutbox.claim({id, leaseTime});
+  if(!record) {
+    return false;
+  }
+
+  const {action} = record;
+  try {
+    await _takeAction({action});
+    await actionOutbox.remove({id: action.id});
+  } catch(error) {
+    if(action.attempts >= retry.maxAttempts) {
+      logger.error(
+        `Duplicate completion action "${action.id}" for exchange ` +
+        `"${action.exchangeId}" failed after ${action.attempts} attempt(s); ` +
+        'giving up.', {error, workflowId: action.workflowId});
+      await actionOutbox.remove({id: action.id});
+    } else {
+      // exponential backoff
+      const delay = Math.min(
+        retry.initialDelay * 2 ** (action.attempts - 1), retry.maxDelay);
+      await actionOutbox.reschedule({
+        id: action.id, nextAttempt: Date.now() + delay, error
+      });
+    }
+  }
+  return true;
+}
+
+function _getIssuedCredentials({exchange, action}) {
+  // combine the references to the credentials issued during the first
+  // completion (stored in the database) with any that were issued during the
+  // duplicate completion attempt
+  const issuedCredentials = new Map();
+  for(const ref of [
+    ...exchange.issuedCredentials ?? [],
+    ...action.issuedCredentials ?? []
+  ]) {
+    issuedCredentials.set(ref.credentialId, ref);
+  }
+  return [...issuedCredentials.values()];
+}
+
+async function _notify({workflow, exchange}) {
+  // exchanges without steps can only notify workflow event subscriptions
+  const step = exchange.step && workflow.steps ?
+    await evaluateExchangeStep({workflow, exchange}) : undefined;
+  await emitExchangeUpdated({
+    workflow, exchange, step,
+    data: {state: 'invalid', reason: 'duplicateCompletion'}
+  });
+}
+
+async function _revokeIssuedCredentials({workflow, issuedCredentials}) {
+  if(issuedCredentials.length === 0) {
+    return;
+  }
+
+  const {zcapClient, zcaps} = await getZcapClient({workflow});
+  const capability = zcaps.credentialStatus;
+
+  // revoke every issued credential that has a revocation status; setting a
+  // status is idempotent, so every credential is revoked again on a retry
+  const errors = [];
+  await Promise.all(issuedCredentials.map(async ({
+    credentialId, credentialStatus
+  }) => {
+    const revocationStatuses = credentialStatus.filter(
+      ({statusPurpose}) => (statusPurpose ?? 'revocation') === 'revocation');
+    for(const status of revocationStatuses) {
+      try {
+        await zcapClient.write({
+          capability,
+          json: {credentialId, credentialStatus: status, status: true}
+        });
+      } catch(error) {
+        logger.error(`Could not revoke credential "${credentialId}".`, {error});
+        errors.push(error);
+      }
+    }
+  }));
+  if(errors.length > 0) {
+    throw new BedrockError(
+      'Could not revoke every credential issued during the exchange.', {
+        name: 'OperationError',
+        details: {httpStatusCode: 500, public: true},
+        cause: errors[0]
+      });
+  }
+}
+
+async function _startOutboxWorker() {
+  const {
+    duplicateCompletion: {outboxWorker: {interval}}
+  } = bedrock.config['vc-workflow'];
+  const {signal} = OUTBOX_WORKER.abortController;
+  while(!signal.aborted) {
+    try {
+      // attempt every action that is due
+      while(!signal.aborted && await _attemptAction()) {}
+    } catch(e) {
+      logger.error(
+        'Error in duplicate completion outbox worker job.', {error: e});
+    }
+    try {
+      // delay for `interval` plus some fuzzing (up to half of `interval`)
+      // to spread load
+      await rangeDelay(interval, interval * 1.5, {signal});
+    } catch(e) {
+      if(e.name === 'AbortError') {
+        break;
+      }
+      throw e;
+    }
+  }
+}
+
+async function _takeAction({action}) {
+  const workflow = await getWorkflow({id: action.workflowId});
+  if(!workflow) {
+    // workflow has been removed; nothing to do
+    return;
+  }
+  const {exchange} = await exchanges.get({
+    workflowId: workflow.id, id: action.exchangeId,
+    allowExpired: true, allowInvalid: true
+  });
+  if(action.type === 'revoke') {
+    await _revokeIssuedCredentials({
+      workflow, issuedCredentials: _getIssuedCredentials({exchange, action})
+    });
+  }
+  await _notify({workflow, exchange});
+}
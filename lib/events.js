@@ -0,0 +1,68 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {createEvent, sendEvent} from './webhooks.js';
+import {EXCHANGE_EVENT_TYPES} from './constants.js';
+import {logger} from './logger.js';
+
+/* Note: Typed exchange lifecycle events are emitted both as in-process
+Bedrock events, named `bedrock-vc-delivery.<type>` (e.g.,
+`bedrock-vc-delivery.exchange.completed`), and as notifications to any
+workflow event subscriptions for the event type (see `webhooks.js`). They are
+never sent to step callbacks, which only receive `exchangeUpdated`
+notifications. The event types are:
+
+`exchange.created`: an exchange was created.
+`exchange.stepCompleted`: a step of an exchange was completed; the name of the
+  completed step is given as `completedStep` in the event data.
+`exchange.completed`: an exchange was completed.
+`exchange.failed`: an error occurred while processing an exchange; the error
+  `name` and `message` are given as `error` in the event data. Using an
+  exchange that is already `complete`, `invalid`, or `cancelled` is not such
+  an error, nor is completing an exchange more than once (which results in
+  `exchange.invalidated` instead).
+`exchange.expired`: an exchange expired before it was completed.
+`exchange.invalidated`: an exchange was marked invalid; the reason is given as
+  `reason` in the event data.
+
+Bedrock event listeners receive `{event, workflow, exchange}`, where `event`
+is the same as the event sent to any receivers and `workflow` and
+`exchange` are copies of the workflow config and exchange. */
+
+/**
+ * Emits a typed exchange lifecycle event as a Bedrock event and sends it to
+ * any workflow event subscriptions for its type. Any error that occurs while
+ * emitting or sending the event is only logged.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.workflow - The workflow configuration.
+ * @param {object} options.exchange - The exchange the event is about.
+ * @param {string} options.type - The type of event.
+ * @param {object} [options.data] - Optional additional event data.
+ *
+ * @returns {Promise<undefined>} Resolves once the event has been emitted.
+ */
+export async function emitExchangeEvent({
+  workflow, exchange, type, data
+} = {}) {
+  if(!EXCHANGE_EVENT_TYPES.has(type)) {
+    throw new TypeError(`Unknown exchange event type "${type}".`);
+  }
+
+  const event = createEvent({workflow, exchange, type, data});
+  try {
+    await bedrock.events.emit(`bedrock-vc-delivery.${type}`, {
+      event,
+      workflow: structuredClone(workflow),
+      exchange: structuredClone(exchange)
+    });
+  } catch(error) {
+    logger.error(
+      `Error in "bedrock-vc-delivery.${type}" event handler: ` +
+      error.message, {error});
+  }
+
+  // no step is given so that step callbacks are not sent typed events
+  await sendEvent({workflow, exchange, event});
+}
@@ -0,0 +1,104 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as exchanges from './storage/exchanges.js';
+import {emitExchangeEvent} from './events.js';
+import {getWorkflow} from './workflowConfigs.js';
+import {logger} from './logger.js';
+import {rangeDelay} from 'delay';
+
+// state for running the exchange expiry sweeper
+const EXPIRY_SWEEPER = {
+  // used to abort the expiry sweeper
+  abortController: new AbortController(),
+  // a Promise that resolves after the expiry sweeper has shutdown cleanly
+  // after receiving an abort signal
+  shutdownPromise: null
+};
+
+bedrock.events.on('bedrock.ready', () => {
+  // start the exchange expiry sweeper, which runs continuously
+  EXPIRY_SWEEPER.shutdownPromise = _startSweeper();
+});
+
+bedrock.events.on('bedrock.exit', async () => {
+  try {
+    // abort exchange expiry sweeper
+    EXPIRY_SWEEPER.abortController.abort();
+    logger.debug(
+      'Sent abort signal to exchange expiry sweeper, waiting for shutdown...');
+    await EXPIRY_SWEEPER.shutdownPromise;
+    logger.debug('Exchange expiry sweeper shutdown was successful.');
+  } catch(error) {
+    logger.error('Error during exchange expiry sweeper shutdown.', {error});
+  }
+});
+
+async function _notifyExpired({record}) {
+  // exchange might have been completed or cancelled after it was retained
+  if(!['pending', 'active'].includes(record.exchange.state)) {
+    return;
+  }
+
+  // exchange records do not indicate their service, so get the workflow by
+  // its local ID
+  const workflow = await getWorkflow({
+    // backwards compatibility: support `localExchangerId`
+    localWorkflowId: record.localWorkflowId ?? record.localExchangerId
+  });
+  if(!workflow) {
+    // workflow has been removed; nothing to notify
+    return;
+  }
+
+  const {exchange} = await exchanges.get({
+    workflowId: workflow.id, id: record.exchange.id, allowExpired: true
+  });
+  await emitExchangeEvent({workflow, exchange, type: 'exchange.expired'});
+}
+
+async function _sweepExpiredExchanges({signal, lookahead}) {
+  // retain exchanges that will soon expire so their records are not removed
+  // before they can be claimed below once they have expired
+  await exchanges.retainExpiring({lookahead});
+  while(!signal.aborted) {
+    const record = await exchanges.claimExpired();
+    if(!record) {
+      break;
+    }
+    try {
+      await _notifyExpired({record});
+    } catch(error) {
+      logger.error(
+        `Could not notify about expiry of exchange "${record.exchange.id}".`,
+        {error});
+    }
+  }
+}
+
+async function _startSweeper() {
+  const {
+    exchanges: {
+      expirySweeper: {interval, lookahead}
+    }
+  } = bedrock.config['vc-workflow'];
+  const {signal} = EXPIRY_SWEEPER.abortController;
+  while(!signal.aborted) {
+    try {
+      await _sweepExpiredExchanges({signal, lookahead});
+    } catch(e) {
+      logger.error('Error in exchange expiry sweeper job.', {error: e});
+    }
+    try {
+      // delay for `interval` plus some fuzzing (up to half of `interval`)
+      // to spread load
+      await rangeDelay(interval, interval * 1.5, {signal});
+    } catch(e) {
+      if(e.name === 'AbortError') {
+        break;
+      }
+      throw e;
+    }
+  }
+}
@@ -3,19 +3,35 @@
  */
 import * as bedrock from '@bedrock/core';
 import {decodeId, generateId} from 'bnid';
+import {BLOCKING_CALLBACK_TIMEOUT_DEFAULT} from './constants.js';
 import {compile} from '@bedrock/validation';
+import {computedStep} from '../schemas/bedrock-vc-workflow.js';
 import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
 import {httpClient} from '@digitalbazaar/http-client';
 import {httpsAgent} from '@bedrock/https-agent';
 import jsonata from 'jsonata';
 import jsonpointer from 'json-pointer';
-import {logger} from './logger.js';
+import {registerTemplateFunctions} from './templateFunctions.js';
 import {serializeError} from 'serialize-error';
 import {serviceAgents} from '@bedrock/service-agent';
 import {ZcapClient} from '@digitalbazaar/ezcap';
 
 const {config, util: {BedrockError}} = bedrock;
 
+const VALIDATORS = {
+  computedStep: null
+};
+
+// compiled step callback response validators, by serialized JSON schema;
+// the oldest validator is evicted once the maximum is reached
+const CALLBACK_RESPONSE_VALIDATORS = new Map();
+const CALLBACK_RESPONSE_VALIDATORS_MAX = 100;
+
+bedrock.events.on('bedrock.init', () => {
+  // compile the validator for evaluated exchange steps once
+  VALIDATORS.computedStep = compile({schema: computedStep()});
+});
+
 const ALLOWED_ERROR_KEYS = [
   'message', 'name', 'type', 'data', 'errors', 'error', 'details', 'cause',
   'status'
@@ -25,12 +41,14 @@ const ALLOWED_ERROR_KEYS = [
 export const SUPPORTED_FORMAT_TO_MEDIA_TYPE = new Map([
   ['application/vc', 'application/vc'],
   ['ldp_vc', 'application/vc'],
-  ['jwt_vc_json', 'application/jwt']
+  ['jwt_vc_json', 'application/jwt'],
+  ['dc+sd-jwt', 'application/dc+sd-jwt']
 ]);
 // create reverse map
 export const SUPPORTED_MEDIA_TYPE_TO_FORMAT = new Map([
   ['application/vc', 'ldp_vc'],
-  ['application/jwt', 'jwt_vc_json']
+  ['application/jwt', 'jwt_vc_json'],
+  ['application/dc+sd-jwt', 'dc+sd-jwt']
 ]);
 
 export function buildPresentationFromResults({
@@ -93,25 +111,62 @@ export function buildVerifyPresentationResults({verifyResult}) {
   };
 }
 
-export function emitExchangeUpdated({workflow, exchange, step}) {
-  if(!step?.callback?.url) {
-    // no-op when there is no callback to notify
-    return;
-  }
-
-  const {url} = step.callback;
+export async function callBlockingCallback({workflow, exchange, step}) {
+  const {
+    url, timeout = BLOCKING_CALLBACK_TIMEOUT_DEFAULT, responseSchema
+  } = step.callback;
   const exchangeId = `${workflow.id}/exchanges/${exchange.id}`;
-  return httpClient.post(url, {
-    agent: httpsAgent,
-    json: {
-      event: {
-        data: {exchangeId}
+  let response;
+  try {
+    response = await httpClient.post(url, {
+      agent: httpsAgent,
+      timeout,
+      json: {
+        event: {
+          type: 'blockingCallback',
+          data: {
+            exchangeId,
+            step: exchange.step,
+            results: exchange.variables.results[exchange.step] ?? {}
+          }
+        }
       }
+    });
+  } catch(cause) {
+    // a client error response from the callback means it rejected the step
+    if(cause.status >= 400 && cause.status < 500) {
+      const details = {httpStatusCode: 403, public: true};
+      if(typeof cause.data?.message === 'string') {
+        details.callbackMessage = cause.data.message;
+      }
+      throw new BedrockError('Step callback rejected the exchange.', {
+        name: 'NotAllowedError',
+        details
+      });
+    }
+    throw new BedrockError('Step callback failed.', {
+      name: 'OperationError',
+      details: {httpStatusCode: 500, public: true},
+      cause: stripStacktrace(cause)
+    });
+  }
+
+  // validate callback results, if a schema was given
+  const callbackResults = response.data ?? {};
+  if(responseSchema) {
+    const validate = _getCallbackResponseValidator({
+      schema: responseSchema.jsonSchema
+    });
+    const {valid, error} = validate(callbackResults);
+    if(!valid) {
+      throw new BedrockError('Step callback response is invalid.', {
+        name: 'DataError',
+        details: {httpStatusCode: 500, public: true},
+        cause: error
+      });
     }
-  }).catch(
-    error => logger.error(
-      'Could not send "exchangeUpdated" push notification: ' +
-      error.message, {error}));
+  }
+  return callbackResults;
 }
 
 export async function evaluateTemplate({
@@ -121,7 +176,10 @@ export async function evaluateTemplate({
   // assumes only this template type will be passed in
   const {template} = typedTemplate;
   variables = variables ?? getTemplateVariables({workflow, exchange});
-  return jsonata(template).evaluate(variables, variables);
+  const expression = registerTemplateFunctions({
+    expression: jsonata(template)
+  });
+  return expression.evaluate(variables, variables);
 }
 
 export async function evaluateExchangeStep({
@@ -137,10 +195,39 @@ export async function evaluateExchangeStep({
     // that will not persist
     step = structuredClone(step);
   }
-  await validateStep({step});
+  // a legacy exchange might not have a step name; use the initial step's
+  validateStep({step, stepName: stepName ?? workflow.initialStep});
   return step;
 }
 
+export async function getNextStep({workflow, exchange, step}) {
+  if(!step.branches) {
+    return step.nextStep;
+  }
+
+  // take the first branch with a condition that evaluates to a truthy value
+  for(const branch of step.branches) {
+    const result = await evaluateTemplate({
+      workflow, exchange, typedTemplate: branch.condition
+    });
+    if(!result) {
+      continue;
+    }
+    // steps from step templates are not statically validated, so ensure
+    // the branch references an existing step
+    if(!workflow.steps[branch.nextStep]) {
+      throw new BedrockError(
+        `Step "${branch.nextStep}" referenced by a step branch not found.`, {
+          name: 'DataError',
+          details: {httpStatusCode: 500, public: true}
+        });
+    }
+    return branch.nextStep;
+  }
+
+  return step.nextStep;
+}
+
 export function getTemplateVariables({workflow, exchange} = {}) {
   const {variables = {}} = exchange;
   // always include `globals` as keyword for self-referencing exchange info
@@ -386,13 +473,30 @@ export function stripStacktrace(error) {
   return error;
 }
 
-export async function validateStep({step} = {}) {
-  // FIXME: use `ajv` and do JSON schema check
-  if(step.issueRequests !== undefined && !Array.isArray(step.issueRequests)) {
+export function validateStep({step, stepName} = {}) {
+  // validate the step against the same schema used for non-templated steps
+  // in workflow configs (steps produced by step templates otherwise have
+  // not been validated)
+  const {valid, error} = VALIDATORS.computedStep(step);
+  if(!valid) {
+    /* Note: Steps produced by step templates (including those in workflow
+    configs created before evaluated steps were validated) cannot be validated
+    when a workflow config is created, so an invalid step is reported as a
+    client-visible `DataError` for the exchange request rather than as a
+    server error. */
+    // only expose the path and reason for each validation error, not any
+    // values from the step, which may be sensitive
+    const errors = error.details.errors.map(
+      ({message, details: {path, params}}) => ({
+        message: params?.additionalProperty === undefined ? message :
+          `${message} ("${params.additionalProperty}")`,
+        path: path || '.'
+      }));
+    const [{message, path}] = errors;
     throw new BedrockError(
-      'Invalid "issueRequests" in step.', {
+      `Invalid step "${stepName}"; "${path}" ${message}.`, {
         name: 'DataError',
-        details: {httpStatusCode: 500, public: true}
+        details: {httpStatusCode: 400, public: true, step: stepName, errors}
       });
   }
   // use of `jwtDidProofRequest` and `openId` together is prohibited
@@ -424,3 +528,17 @@ export function validateVerifiablePresentationRequest({
     throw error;
   }
 }
+
+function _getCallbackResponseValidator({schema}) {
+  const key = JSON.stringify(schema);
+  let validate = CALLBACK_RESPONSE_VALIDATORS.get(key);
+  if(!validate) {
+    validate = compile({schema});
+    if(CALLBACK_RESPONSE_VALIDATORS.size >= CALLBACK_RESPONSE_VALIDATORS_MAX) {
+      const [oldestKey] = CALLBACK_RESPONSE_VALIDATORS.keys();
+      CALLBACK_RESPONSE_VALIDATORS.delete(oldestKey);
+    }
+    CALLBACK_RESPONSE_VALIDATORS.set(key, validate);
+  }
+  return validate;
+}
@@ -2,18 +2,28 @@
  * Copyright (c) 2018-2026 Digital Bazaar, Inc.
  */
 import * as bedrock from '@bedrock/core';
+import * as exchangeHistory from './storage/exchangeHistory.js';
 import * as exchanges from './storage/exchanges.js';
 import * as inviteRequest from './inviteRequest/http.js';
 import * as oid4 from './oid4/http.js';
-import {createExchange, getProtocols, processExchange} from './vcapi.js';
 import {
-  createExchangeBody, useExchangeBody
+  approveExchange, cancelExchange, createExchange, extendExchange,
+  getProtocols, processExchange, rejectExchange, updateExchangeVariables
+} from './vcapi.js';
+import {
+  createExchangeBody, extendExchangeBody, findExchangesQuery,
+  rejectExchangeBody, simulateWorkflowBody, updateExchangeVariablesBody,
+  useExchangeBody
 } from '../schemas/bedrock-vc-workflow.js';
+import {getStatusView, verifyStatusToken} from './statusTokens.js';
 import {metering, middleware} from '@bedrock/service-core';
 import {asyncHandler} from '@bedrock/express';
 import cors from 'cors';
 import {getWorkflowId} from './helpers.js';
 import {logger} from './logger.js';
+import {meters} from '@bedrock/meter-usage-reporter';
+import {simulateWorkflow} from './simulate.js';
+import {streamExchangeStatus} from './statusStream.js';
 import {createValidateMiddleware as validate} from '@bedrock/validation';
 
 const {util: {BedrockError}} = bedrock;
@@ -25,7 +35,16 @@ export async function addRoutes({app, service} = {}) {
   const routes = {
     exchanges: `${baseUrl}/exchanges`,
     exchange: `${baseUrl}/exchanges/:exchangeId`,
-    protocols: `${baseUrl}/exchanges/:exchangeId/protocols`
+    approve: `${baseUrl}/exchanges/:exchangeId/approve`,
+    cancel: `${baseUrl}/exchanges/:exchangeId/cancel`,
+    events: `${baseUrl}/exchanges/:exchangeId/events`,
+    extend: `${baseUrl}/exchanges/:exchangeId/extend`,
+    history: `${baseUrl}/exchanges/:exchangeId/history`,
+    variables: `${baseUrl}/exchanges/:exchangeId/variables`,
+    protocols: `${baseUrl}/exchanges/:exchangeId/protocols`,
+    reject: `${baseUrl}/exchanges/:exchangeId/reject`,
+    status: `${baseUrl}/exchanges/:exchangeId/status`,
+    simulate: `${baseUrl}/simulate`
   };
 
   // used to retrieve service object (workflow) config
@@ -60,7 +79,8 @@ export async function addRoutes({app, service} = {}) {
     getConfigMiddleware,
     middleware.authorizeServiceObjectRequest(),
     asyncHandler(async (req, res) => {
-      // FIXME: check available storage via meter before allowing operation
+      // check available storage via meter before allowing operation
+      await _checkAvailableStorage({req, service});
 
       try {
         const {config: workflow} = req.serviceObject;
@@ -69,12 +89,22 @@ export async function addRoutes({app, service} = {}) {
           ttl,
           variables = {},
           step,
-          openId
+          openId,
+          statusToken: statusTokenOptions
         } = req.body;
-        const exchange = {expires, ttl, variables, step, openId};
-        const {id} = await createExchange({workflow, exchange});
+        const exchange = {
+          expires, ttl, variables, step, openId,
+          statusToken: statusTokenOptions
+        };
+        const {exchange: {id}, statusToken} = await createExchange(
+          {workflow, exchange});
         const location = `${workflow.id}/exchanges/${id}`;
-        res.status(204).location(location).send();
+        if(statusToken) {
+          // return minted status token to the exchange creator
+          res.status(201).location(location).json({statusToken});
+        } else {
+          res.status(204).location(location).send();
+        }
       } catch(error) {
         logger.error(error.message, {error});
         throw error;
@@ -84,6 +114,40 @@ export async function addRoutes({app, service} = {}) {
       metering.reportOperationUsage({req});
     }));
 
+  // list / search exchanges
+  app.get(
+    routes.exchanges,
+    cors(),
+    validate({querySchema: findExchangesQuery()}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config: workflow} = req.serviceObject;
+      const {
+        state, step,
+        createdAfter, createdBefore, updatedAfter, updatedBefore,
+        hasLastError, limit, cursor
+      } = req.query;
+      const {records, cursor: nextCursor} = await exchanges.find({
+        workflowId: workflow.id,
+        state,
+        step,
+        created: _parseDateRange({after: createdAfter, before: createdBefore}),
+        updated: _parseDateRange({after: updatedAfter, before: updatedBefore}),
+        hasLastError: hasLastError === undefined ?
+          undefined : hasLastError === 'true',
+        limit: limit === undefined ? undefined : parseInt(limit, 10),
+        cursor
+      });
+      const result = {
+        exchanges: records.map(({exchange}) => _redactExchange({exchange}))
+      };
+      if(nextCursor) {
+        result.nextCursor = nextCursor;
+      }
+      res.json(result);
+    }));
+
   // VC-API get exchange endpoint
   app.get(
     routes.exchange,
@@ -93,10 +157,7 @@ export async function addRoutes({app, service} = {}) {
     middleware.authorizeServiceObjectRequest(),
     asyncHandler(async (req, res) => {
       const {exchange} = await req.getExchange();
-      // do not return any secret credentials
-      delete exchange.openId?.oauth2?.keyPair?.privateKeyJwk;
-      delete exchange.secrets;
-      res.json({exchange});
+      res.json({exchange: _redactExchange({exchange})});
     }));
 
   // VC-API use exchange endpoint
@@ -113,6 +174,154 @@ export async function addRoutes({app, service} = {}) {
       await processExchange({req, res, workflow, exchangeRecord});
     }));
 
+  // cancel an exchange
+  app.options(routes.cancel, cors());
+  app.post(
+    routes.cancel,
+    cors(),
+    getExchange,
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config: workflow} = req.serviceObject;
+      const exchangeRecord = await req.getExchange();
+      await cancelExchange({workflow, exchangeRecord});
+      res.sendStatus(204);
+    }));
+
+  // approve an exchange that is awaiting approval
+  app.options(routes.approve, cors());
+  app.post(
+    routes.approve,
+    cors(),
+    getExchange,
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config: workflow} = req.serviceObject;
+      const exchangeRecord = await req.getExchange();
+      await approveExchange({workflow, exchangeRecord});
+      res.sendStatus(204);
+    }));
+
+  // reject an exchange that is awaiting approval
+  app.options(routes.reject, cors());
+  app.post(
+    routes.reject,
+    cors(),
+    validate({bodySchema: rejectExchangeBody()}),
+    getExchange,
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config: workflow} = req.serviceObject;
+      const exchangeRecord = await req.getExchange();
+      const {reason} = req.body;
+      await rejectExchange({workflow, exchangeRecord, reason});
+      res.sendStatus(204);
+    }));
+
+  // extend an exchange's expiration date
+  app.options(routes.extend, cors());
+  app.post(
+    routes.extend,
+    cors(),
+    validate({bodySchema: extendExchangeBody()}),
+    getExchange,
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config: workflow} = req.serviceObject;
+      const exchangeRecord = await req.getExchange();
+      const {expires, ttl} = req.body;
+      const result = await extendExchange(
+        {workflow, exchangeRecord, expires, ttl});
+      res.json(result);
+    }));
+
+  // update exchange variables
+  app.options(routes.variables, cors());
+  app.patch(
+    routes.variables,
+    cors(),
+    validate({bodySchema: updateExchangeVariablesBody()}),
+    getExchange,
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config: workflow} = req.serviceObject;
+      const exchangeRecord = await req.getExchange();
+      const {sequence, operations} = req.body;
+      const result = await updateExchangeVariables(
+        {workflow, exchangeRecord, sequence, operations});
+      res.json(result);
+    }));
+
+  // get exchange history
+  app.get(
+    routes.history,
+    cors(),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config: workflow} = req.serviceObject;
+      const {exchangeId} = req.params;
+      // ensure exchange exists; history is available for expired (but not yet
+      // removed) and invalid exchanges too
+      await exchanges.get({
+        workflowId: workflow.id, id: exchangeId,
+        allowExpired: true, allowInvalid: true
+      });
+      const records = await exchangeHistory.getAll({
+        workflowId: workflow.id, exchangeId
+      });
+      res.json({history: records.map(({event}) => event)});
+    }));
+
+  // get minimal exchange status view using an exchange status token
+  app.options(routes.status, cors());
+  app.get(
+    routes.status,
+    cors(),
+    getExchange,
+    getConfigMiddleware,
+    asyncHandler(async (req, res) => {
+      const {config: workflow} = req.serviceObject;
+      const {exchange} = await req.getExchange();
+      verifyStatusToken({req, exchange});
+      res.json(await getStatusView({workflow, exchange}));
+    }));
+
+  // stream exchange status changes as server-sent events
+  app.get(
+    routes.events,
+    cors(),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config: workflow} = req.serviceObject;
+      const {exchangeId} = req.params;
+      await streamExchangeStatus({res, workflow, exchangeId});
+    }));
+
+  // simulate an exchange without creating it
+  app.options(routes.simulate, cors());
+  app.post(
+    routes.simulate,
+    cors(),
+    validate({bodySchema: simulateWorkflowBody()}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config: workflow} = req.serviceObject;
+      const {variables, results} = req.body;
+      const result = await simulateWorkflow({workflow, variables, results});
+      res.json(result);
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
   // VC-API get interaction `{"protocols": {...}}` options
   app.get(
     routes.protocols,
@@ -144,3 +353,36 @@ export async function addRoutes({app, service} = {}) {
   await oid4.createRoutes(
     {app, exchangeRoute: routes.exchange, getConfigMiddleware, getExchange});
 }
+
+async function _checkAvailableStorage({req, service}) {
+  const {config: {meterId: id}} = req.serviceObject;
+  const {serviceType, storageCost} = service;
+  const {hasAvailable} = await meters.hasAvailable({
+    id, serviceType, resources: {storage: storageCost.exchange}
+  });
+  if(!hasAvailable) {
+    // insufficient remaining storage
+    throw new BedrockError(
+      'Permission denied; insufficient metered storage to create exchange.', {
+        name: 'NotAllowedError',
+        details: {httpStatusCode: 403, public: true}
+      });
+  }
+}
+
+function _parseDateRange({after, before}) {
+  if(after === undefined && before === undefined) {
+    return;
+  }
+  return {
+    after: after === undefined ? undefined : Date.parse(after),
+    before: before === undefined ? undefined : Date.parse(before)
+  };
+}
+
+function _redactExchange({exchange}) {
+  // do not return any secret credentials
+  delete exchange.openId?.oauth2?.keyPair?.privateKeyJwk;
+  delete exchange.secrets;
+  return exchange;
+}
@@ -2,16 +2,24 @@
  * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as exchanges from './storage/exchanges.js';
+import * as workflowConfigs from './workflowConfigs.js';
 import * as workflowSchemas from '../schemas/bedrock-vc-workflow.js';
 import {createService, schemas} from '@bedrock/service-core';
-import {initializeServiceAgent, refreshZcaps} from '@bedrock/service-agent';
 import {
+  EXCHANGE_VARIABLES_STORAGE_UNIT_SIZE,
   MAX_ISSUER_INSTANCES, MAX_OID4VP_CLIENT_PROFILES
 } from './constants.js';
+import {initializeServiceAgent, refreshZcaps} from '@bedrock/service-agent';
 import {addRoutes} from './http.js';
+import {logger} from './logger.js';
 import {parseLocalId} from './helpers.js';
+import {validateWorkflowConfig} from './configValidation.js';
 import '@bedrock/express';
 
+// start background workers
+import './expirySweeper.js';
+
 // load config defaults
 import './config.js';
 
@@ -37,17 +45,22 @@ async function _initService({serviceType, routePrefix}) {
   const steps = workflowSchemas.steps();
   const initialStep = workflowSchemas.initialStep();
   const issuerInstances = workflowSchemas.issuerInstances();
+  const duplicateCompletionAction =
+    workflowSchemas.duplicateCompletionAction();
+  const eventSubscriptions = workflowSchemas.eventSubscriptions();
   for(const schema of schemasToUpdate) {
     // add config requirements to workflow configs
     schema.properties.credentialTemplates = credentialTemplates;
     schema.properties.steps = steps;
     schema.properties.initialStep = initialStep;
     schema.properties.issuerInstances = issuerInstances;
+    schema.properties.duplicateCompletionAction = duplicateCompletionAction;
+    schema.properties.eventSubscriptions = eventSubscriptions;
     // allow zcaps by custom reference ID
     schema.properties.zcaps = structuredClone(schemas.zcaps);
-    // max of 4 basic zcaps + max issuer instances + max OID4VP client profiles
+    // max of 5 basic zcaps + max issuer instances + max OID4VP client profiles
     schema.properties.zcaps.maxProperties =
-      4 + MAX_ISSUER_INSTANCES + MAX_OID4VP_CLIENT_PROFILES;
+      5 + MAX_ISSUER_INSTANCES + MAX_OID4VP_CLIENT_PROFILES;
     schema.properties.zcaps.additionalProperties = schemas.delegatedZcap;
     // note: credential templates are not required; if any other properties
     // become required, add them here
@@ -64,7 +77,10 @@ async function _initService({serviceType, routePrefix}) {
     routePrefix,
     storageCost: {
       config: 1,
-      revocation: 1
+      revocation: 1,
+      exchange: 1,
+      // per `EXCHANGE_VARIABLES_STORAGE_UNIT_SIZE` bytes
+      exchangeVariables: 1
     },
     validation: {
       createConfigBody,
@@ -88,6 +104,9 @@ async function _initService({serviceType, routePrefix}) {
       }, {
         referenceId: 'verifyPresentation',
         required: false
+      }, {
+        referenceId: 'createPresentation',
+        required: false
       }, {
         referenceId: 'refresh',
         required: false
@@ -113,6 +132,10 @@ async function _initService({serviceType, routePrefix}) {
     await addRoutes({app, service});
   });
 
+  // enable background workers (e.g., the exchange expiry sweeper) to get the
+  // service's workflow configs
+  workflowConfigs.addService({service});
+
   // initialize vc-workflow service agent early (after database is ready) if
   // KMS system is externalized; otherwise we must wait until KMS system
   // is ready
@@ -128,79 +151,60 @@ async function _initService({serviceType, routePrefix}) {
 
 async function usageAggregator({meter, signal, service} = {}) {
   const {id: meterId} = meter;
-  // FIXME: add `exchanges` storage
-  return service.configStorage.getUsage({meterId, signal});
+  return service.configStorage.getUsage({
+    meterId, signal, addUsage: _addExchangeUsage
+  });
+}
+
+async function _addExchangeUsage({config, storageCost, usage}) {
+  // add storage units for exchanges and any externalized `variables`
+  const {count, variablesSize} = await exchanges.getUsage({
+    workflowId: config.id
+  });
+  usage.storage += count * storageCost.exchange;
+  usage.storage += storageCost.exchangeVariables *
+    Math.ceil(variablesSize / EXCHANGE_VARIABLES_STORAGE_UNIT_SIZE);
 }
 
 async function validateConfigFn({config, op, routePrefix} = {}) {
-  try {
-    // validate any `id` in a new config
-    if(op === 'create' && config.id !== undefined) {
-      try {
-        _validateId({id: config.id, routePrefix});
-      } catch(e) {
-        throw new BedrockError(
-          `Invalid client-provided configuration ID: ${e.message}.`, {
-            name: 'DataError',
-            details: {
-              httpStatusCode: 400,
-              public: true
-            },
-            cause: e
-          });
-      }
+  const errors = [];
+
+  // validate any `id` in a new config
+  if(op === 'create' && config.id !== undefined) {
+    try {
+      _validateId({id: config.id, routePrefix});
+    } catch(e) {
+      errors.push({
+        message: `Invalid client-provided configuration ID: ${e.message}.`,
+        path: '.id'
+      });
     }
+  }
 
-    // if credential templates are specified, then `zcaps` MUST include at
-    // least `issue`
-    const {credentialTemplates = [], zcaps = {}, issuerInstances} = config;
-    if(credentialTemplates.length > 0) {
-      if(!(zcaps.issue || issuerInstances)) {
-        throw new BedrockError(
-          'A capability to issue credentials is required when credential ' +
-          'templates are provided.', {
-            name: 'DataError',
-            details: {
-              httpStatusCode: 400,
-              public: true
-            }
-          });
-      }
-      // ensure that, if `issuerInstances` is given, that every zcap
-      // referenced in each issuer instance config's `zcapReferenceIds` can
-      // be found in `zcaps`
-      if(issuerInstances) {
-        if(!issuerInstances.every(
-          instance => !!zcaps[instance.zcapReferenceIds.issue])) {
-          throw new BedrockError(
-            'An issuer instance configuration zcap reference ID is not ' +
-            'present in "config.zcaps".', {
-              name: 'DataError',
-              details: {
-                httpStatusCode: 400,
-                public: true
-              }
-            });
-        }
-      }
-    }
+  // statically validate the rest of the config, reporting every problem
+  const result = validateWorkflowConfig({config});
+  errors.push(...result.errors);
+  const {warnings} = result;
+  for(const {message, path} of warnings) {
+    logger.warning(`Workflow configuration warning: ${message}`, {
+      workflowId: config.id, path
+    });
+  }
 
-    // if `steps` are specified, then `initialStep` MUST be included
-    const {steps, initialStep} = config;
-    if(steps && initialStep === undefined) {
-      throw new BedrockError(
-        '"initialStep" is required when "steps" are provided.', {
-          name: 'DataError',
-          details: {
-            httpStatusCode: 400,
-            public: true
-          }
-        });
-    }
-  } catch(error) {
-    return {valid: false, error};
+  if(errors.length === 0) {
+    return {valid: true};
   }
-  return {valid: true};
+  const error = new BedrockError(
+    errors.map(({message}) => message).join(' '), {
+      name: 'DataError',
+      details: {
+        httpStatusCode: 400,
+        public: true,
+        errors,
+        warnings
+      }
+    });
+  return {valid: false, error};
 }
 
 function _validateId({id, routePrefix} = {}) {
@@ -2,15 +2,19 @@
  * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as issuerHealth from './issuerHealth.js';
 import {
   evaluateTemplate,
   getTemplateVariables,
   getWorkflowIssuerInstances,
   getZcapClient,
   setVariable,
+  stripStacktrace,
   SUPPORTED_FORMAT_TO_MEDIA_TYPE,
 } from './helpers.js';
+import {createHash} from 'node:crypto';
 import {createPresentation} from '@digitalbazaar/vc';
+import {decodeJwt} from 'jose';
 
 const {util: {BedrockError}} = bedrock;
 
@@ -42,12 +46,17 @@ export async function issue({
   // run all issue requests
   const {
     credentials: issuedVcs,
+    issuedCredentials,
     exchangeChanged
   } = await _issue({workflow, exchange, issueRequests, mediaType});
 
+  // record references to issued VCs (for use if the exchange is completed
+  // more than once)
+  recordIssuedCredentials({exchange, issuedCredentials});
+
   if(issuedVcs.length === 0 && !step?.verifiablePresentation) {
     // no issued VCs/no VP to return in response
-    return {response: {}, exchangeChanged};
+    return {response: {}, issuedCredentials, exchangeChanged};
   }
 
   // generate VP to return VCs; use any explicitly defined VP from the step
@@ -69,10 +78,13 @@ export async function issue({
     }
     verifiablePresentation.verifiableCredential = vcs;
   }
-  return {response: {verifiablePresentation}, format, exchangeChanged};
+  return {
+    response: {verifiablePresentation}, format, issuedCredentials,
+    exchangeChanged
+  };
 }
 
-export function getIssueRequestsParams({workflow, exchange, step}) {
+export async function getIssueRequestsParams({workflow, exchange, step}) {
   // use any templates from workflow and variables from exchange to produce
   // credentials to be issued; issue via the configured issuer instance
   const {credentialTemplates = []} = workflow;
@@ -95,9 +107,18 @@ export function getIssueRequestsParams({workflow, exchange, step}) {
     return [];
   }
 
-  // resolve all issue requests params
+  // resolve all issue requests params, skipping any issue request with a
+  // condition that does not evaluate to a truthy value
   const variables = getTemplateVariables({workflow, exchange});
-  return step.issueRequests.map(r => {
+  const conditions = await Promise.all(step.issueRequests.map(
+    r => r.condition === undefined || evaluateTemplate({
+      workflow, exchange, typedTemplate: r.condition, variables
+    })));
+  return step.issueRequests.flatMap((r, index) => {
+    if(!conditions[index]) {
+      return [];
+    }
+
     // find the typed template to use
     let typedTemplate;
     if(r.credentialTemplateIndex !== undefined) {
@@ -141,50 +162,92 @@ export function getIssueRequestsParams({workflow, exchange, step}) {
     if(r.result) {
       params.result = r.result;
     }
-    return params;
+    if(!r.targets) {
+      return [params];
+    }
+
+    // fan out to one issue request params per target, each linked to the
+    // same credential ID to be used by any copy without an explicit ID
+    const linkedCredentialId = _getLinkedCredentialId({
+      workflow, exchange, index
+    });
+    return r.targets.map(target => ({
+      ...params, ...target, linkedCredentialId
+    }));
   });
 }
 
+export async function evaluateIssueRequest({workflow, exchange, params}) {
+  const {typedTemplate, variables, linkedCredentialId} = params;
+  const body = await evaluateTemplate({
+    workflow, exchange, typedTemplate, variables
+  });
+  if(linkedCredentialId === undefined) {
+    return body;
+  }
+  // ensure every copy of a credential issued to multiple targets has the same
+  // ID, i.e., use the linked credential ID if the template did not set one
+  const credential = !body?.credential ? body : body.credential;
+  if(credential && typeof credential === 'object' &&
+    credential.id === undefined) {
+    credential.id = linkedCredentialId;
+  }
+  return body;
+}
+
+export function recordIssuedCredentials({exchange, issuedCredentials}) {
+  if(!(issuedCredentials?.length > 0)) {
+    return;
+  }
+  // add references for any VCs that have not already been recorded
+  const recorded = exchange.issuedCredentials ?? [];
+  const ids = new Set(recorded.map(({credentialId}) => credentialId));
+  exchange.issuedCredentials = [
+    ...recorded,
+    ...issuedCredentials.filter(({credentialId}) => !ids.has(credentialId))
+  ];
+}
+
 async function _evalIssueRequests({
   workflow, exchange, step, issueRequestsParams, filter
 }) {
   // evaluate all issue requests in parallel
   // FIXME: require `issueRequestsParams` and remove `filter` param
   const results = issueRequestsParams ??
-    getIssueRequestsParams({workflow, exchange, step}).filter(filter);
-  return Promise.all(results.map(async params => {
-    const {typedTemplate, variables} = params;
-    return {
-      params,
-      body: await evaluateTemplate({
-        workflow, exchange, typedTemplate, variables
-      })
-    };
-  }));
+    (await getIssueRequestsParams({workflow, exchange, step})).filter(filter);
+  return Promise.all(results.map(async params => ({
+    params,
+    body: await evaluateIssueRequest({workflow, exchange, params})
+  })));
 }
 
-function _getIssueZcap({
-  issuerInstances, zcaps, issueRequestParams, mediaType
+function _getIssuerInstanceCandidates({
+  issuerInstances, issueRequestParams, mediaType
 }) {
   const {
     issuerInstanceId,
     oid4vci: {credentialConfigurationId} = {}
   } = issueRequestParams;
-  const instance = issuerInstances.find(instance => {
+  const candidates = [];
+  for(const [index, instance] of issuerInstances.entries()) {
     const {id, oid4vci, supportedMediaTypes} = instance;
-    // find by `issuerInstanceId` if given
-    if(id && id === issuerInstanceId) {
-      return true;
-    }
-    // find by `credentialConfigurationId` if given
-    if(credentialConfigurationId && oid4vci) {
-      return oid4vci.supportedCredentialConfigurations
+    let matches;
+    if(issuerInstanceId !== undefined) {
+      // find only by `issuerInstanceId` if given
+      matches = id === issuerInstanceId;
+    } else if(credentialConfigurationId && oid4vci) {
+      // find by `credentialConfigurationId` if given
+      matches = oid4vci.supportedCredentialConfigurations
         [credentialConfigurationId] !== undefined;
+    } else {
+      // find by `mediaType` instead
+      matches = supportedMediaTypes.includes(mediaType);
     }
-    // find by `mediaType` instead
-    return supportedMediaTypes.includes(mediaType);
-  });
-  if(!instance) {
+    if(matches) {
+      candidates.push({instance, index});
+    }
+  }
+  if(candidates.length === 0) {
     throw new BedrockError(
       'Workflow step "issueRequest" configuration error; ' +
       'no matching issuer instance found.', {
@@ -192,8 +255,25 @@ function _getIssueZcap({
         details: {httpStatusCode: 500, public: true}
       });
   }
-  const {zcapReferenceIds: {issue: issueRefId}} = instance;
-  return zcaps[issueRefId];
+
+  // order candidates by priority group (lowest `priority` first); an issuer
+  // instance without a `priority` is in a group of its own, so candidates
+  // are otherwise tried in the order they are listed; load balance within
+  // each group by shuffling it
+  const groups = new Map();
+  for(const candidate of candidates) {
+    const {instance: {priority}, index} = candidate;
+    const key = priority === undefined ? `index:${index}` : priority;
+    let group = groups.get(key);
+    if(!group) {
+      group = {priority: priority ?? 0, index, candidates: []};
+      groups.set(key, group);
+    }
+    group.candidates.push(candidate);
+  }
+  return [...groups.values()]
+    .sort((a, b) => (a.priority - b.priority) || (a.index - b.index))
+    .flatMap(({candidates}) => _shuffle(candidates));
 }
 
 async function _issue({workflow, exchange, issueRequests, mediaType} = {}) {
@@ -206,22 +286,16 @@ async function _issue({workflow, exchange, issueRequests, mediaType} = {}) {
   // issue VCs in parallel
   let exchangeChanged = false;
   const storedCredentials = [];
+  const issuedCredentials = [];
+  const issuance = [];
   const results = await Promise.all(issueRequests.map(async issueRequest => {
     const {params, body} = issueRequest;
 
-    // get the zcap to use for the issue request
-    const capability = _getIssueZcap({
-      issuerInstances, zcaps, issueRequestParams: params, mediaType
+    // get the issuer instances to try, in order, for the issue request
+    const candidates = _getIssuerInstanceCandidates({
+      issuerInstances, issueRequestParams: params, mediaType
     });
 
-    // specify URL to `/credentials/issue` to handle case that capability
-    // is not specific to it
-    let url = capability.invocationTarget;
-    if(!capability.invocationTarget.endsWith('/credentials/issue')) {
-      url += capability.invocationTarget.endsWith('/credentials') ?
-        '/issue' : '/credentials/issue';
-    }
-
     /* Note: Issue request body can be any one of these:
 
     1. `{credential, options?}`
@@ -229,9 +303,31 @@ async function _issue({workflow, exchange, issueRequests, mediaType} = {}) {
 
     Normalize all issue request bodies to full VC API issue request bodies. */
     const json = !body?.credential ? {credential: body} : body;
-    const {
-      data: {verifiableCredential}
-    } = await zcapClient.write({url, capability, json});
+
+    // bind any SD-JWT VC to the key from the OID4VCI credential request proof
+    if(_isSdJwtIssueRequest({
+      candidates, issueRequestParams: params, mediaType
+    })) {
+      _addConfirmationKey({exchange, credential: json.credential});
+    }
+    const {verifiableCredential, issuerInstance} = await _issueWithFailover({
+      zcapClient, zcaps, candidates, json
+    });
+
+    // save a reference to any VC with a status that could later be changed
+    const reference = _getIssuedCredentialReference({verifiableCredential});
+    if(reference) {
+      issuedCredentials.push(reference);
+    }
+
+    // record which issuer instance issued the VC
+    const credentialId = _decodeCredential({verifiableCredential})?.id;
+    issuance.push({
+      credentialTemplateIndex:
+        workflow.credentialTemplates.indexOf(params.typedTemplate),
+      ...(typeof credentialId === 'string' ? {credentialId} : {}),
+      ...issuerInstance
+    });
 
     // if the issue request specifies a location for storing the credential,
     // put it there and return `undefined`; otherwise, return the credential
@@ -252,10 +348,189 @@ async function _issue({workflow, exchange, issueRequests, mediaType} = {}) {
     return verifiableCredential;
   }));
 
+  // record which issuer instance issued each VC in the step results
+  if(workflow.steps && issuance.length > 0) {
+    exchangeChanged = true;
+    const stepResults = exchange.variables.results[exchange.step];
+    exchange.variables.results[exchange.step] = {
+      ...stepResults,
+      issuance: [...(stepResults?.issuance ?? []), ...issuance]
+    };
+  }
+
   // filter out any undefined results, which are for results that were written
   // to exchange variables and are not to be automatically returned in a
   // presentation
   return {
-    credentials: results.filter(vc => vc), storedCredentials, exchangeChanged
+    credentials: results.filter(vc => vc), storedCredentials,
+    issuedCredentials, exchangeChanged
+  };
+}
+
+async function _issueWithFailover({zcapClient, zcaps, candidates, json}) {
+  // try each candidate issuer instance in order until one issues the VC
+  const failures = [];
+  let lastCause;
+  for(const {instance, index} of candidates) {
+    const issuerInstance = {issuerInstanceIndex: index};
+    if(instance.id !== undefined) {
+      issuerInstance.issuerInstanceId = instance.id;
+    }
+
+    // specify URL to `/credentials/issue` to handle case that capability
+    // is not specific to it
+    const capability = zcaps[instance.zcapReferenceIds.issue];
+    let url = capability.invocationTarget;
+    if(!capability.invocationTarget.endsWith('/credentials/issue')) {
+      url += capability.invocationTarget.endsWith('/credentials') ?
+        '/issue' : '/credentials/issue';
+    }
+
+    // skip any issuer instance that has been failing repeatedly
+    if(!issuerHealth.isAvailable({url})) {
+      failures.push({...issuerInstance, message: 'Circuit is open.'});
+      continue;
+    }
+
+    try {
+      const {
+        data: {verifiableCredential}
+      } = await zcapClient.write({url, capability, json});
+      issuerHealth.recordSuccess({url});
+      return {verifiableCredential, issuerInstance};
+    } catch(cause) {
+      // any error other than the issuer instance being unavailable would
+      // occur with any other issuer instance as well
+      if(!_isUnavailableError({error: cause, url})) {
+        throw cause;
+      }
+      issuerHealth.recordFailure({url});
+      failures.push({
+        ...issuerInstance,
+        ...(cause.status !== undefined ? {status: cause.status} : {}),
+        message: cause.data?.message ?? cause.message
+      });
+      lastCause = cause;
+    }
+  }
+
+  throw new BedrockError(
+    'Could not issue credential; no matching issuer instance is available.', {
+      name: 'OperationError',
+      details: {httpStatusCode: 503, public: true, failures},
+      cause: lastCause && stripStacktrace(lastCause)
+    });
+}
+
+function _isSdJwtIssueRequest({candidates, issueRequestParams, mediaType}) {
+  if(mediaType === 'application/dc+sd-jwt') {
+    return true;
+  }
+  // an OID4VCI credential configuration determines the format if given
+  const {
+    oid4vci: {credentialConfigurationId} = {}
+  } = issueRequestParams;
+  return credentialConfigurationId !== undefined &&
+    candidates.some(({instance: {oid4vci}}) =>
+      oid4vci?.supportedCredentialConfigurations[credentialConfigurationId]
+        ?.format === 'dc+sd-jwt');
+}
+
+function _addConfirmationKey({exchange, credential}) {
+  // do not overwrite any `cnf` claim set by the credential template
+  if(!credential || typeof credential !== 'object' ||
+    credential.cnf !== undefined) {
+    return;
+  }
+  // use the key that signed the (first) OID4VCI credential request proof, if
+  // any; every proof must be from the same DID
+  const {
+    credentialRequestProofResults: [{verifyResults} = {}] = []
+  } = exchange.variables.results?.[exchange.step] ?? {};
+  const publicKeyJwk = verifyResults?.jwt?.[0]?.publicKeyJwk ??
+    verifyResults?.di_vp?.[0]?.publicKeyJwk;
+  if(publicKeyJwk) {
+    credential.cnf = {jwk: publicKeyJwk};
+  }
+}
+
+function _isUnavailableError({error, url}) {
+  // only an error from the request to the issuer instance counts; any error
+  // thrown before it was sent (e.g., when signing the zcap invocation, which
+  // may include a KMS request) or any programming error does not
+  if(error.requestUrl !== url) {
+    return false;
+  }
+  // no response (e.g., a network error or timeout)
+  if(!error.response) {
+    return true;
+  }
+  // a server error, a request timeout, or too many requests
+  const {status} = error;
+  return status >= 500 || status === 408 || status === 429;
+}
+
+function _shuffle(array) {
+  for(let i = array.length - 1; i > 0; --i) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+function _getLinkedCredentialId({workflow, exchange, index}) {
+  // deterministically derive a UUID (v8, custom) from the issue request's
+  // location so that the same ID is used across separate requests, e.g.,
+  // separate OID4VCI credential requests, without storing it
+  const bytes = createHash('sha256')
+    .update(
+      `${workflow.id}/exchanges/${exchange.id}/${exchange.step}/${index}`)
+    .digest()
+    .subarray(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x80;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return 'urn:uuid:' +
+    `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-` +
+    `${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function _decodeCredential({verifiableCredential}) {
+  const credential = verifiableCredential;
+  if(credential?.type !== 'EnvelopedVerifiableCredential') {
+    return credential;
+  }
+  // only VC-JWT and SD-JWT VC enveloped credentials can be decoded
+  try {
+    if(credential.id?.startsWith('data:application/jwt,')) {
+      const {jti, vc} = decodeJwt(
+        credential.id.slice('data:application/jwt,'.length));
+      return {id: jti, ...vc};
+    }
+    if(credential.id?.startsWith('data:application/dc+sd-jwt,')) {
+      // the issuer-signed JWT precedes any disclosures
+      const [jwt] = credential.id
+        .slice('data:application/dc+sd-jwt,'.length).split('~');
+      return decodeJwt(jwt);
+    }
+  } catch(e) {
+    return;
+  }
+}
+
+function _getIssuedCredentialReference({verifiableCredential}) {
+  const credential = _decodeCredential({verifiableCredential});
+
+  // a VC can only be referenced by ID if it has both an ID and a status
+  const {id: credentialId, credentialStatus} = credential ?? {};
+  if(!(typeof credentialId === 'string' && credentialStatus)) {
+    return;
+  }
+  const statuses = Array.isArray(credentialStatus) ?
+    credentialStatus : [credentialStatus];
+  return {
+    credentialId,
+    credentialStatus: statuses.map(({type, statusPurpose}) =>
+      statusPurpose === undefined ? {type} : {type, statusPurpose})
   };
 }
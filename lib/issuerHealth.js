@@ -0,0 +1,76 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+
+/* Note: The health of each issuer instance is tracked, in memory, by the URL
+of its issue endpoint, so it is shared by every workflow that uses the same
+issuer instance. Each issuer instance has a circuit breaker: once an issue
+request to it has failed `failureThreshold` consecutive times (because it was
+unreachable or returned a server error), its circuit is opened and it is
+skipped until `resetTimeout` has passed. Then a single issue request is
+allowed through to test it; if that request succeeds, the circuit is closed,
+otherwise it is opened again. Only issuer instances that have failed since
+they last succeeded are tracked. */
+
+// issue URL => {failures, openUntil}
+const HEALTH = new Map();
+
+/**
+ * Returns whether an issuer instance may be sent an issue request, i.e.,
+ * whether its circuit is not open.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.url - The URL of the issuer instance's issue
+ *   endpoint.
+ *
+ * @returns {boolean} `true` if the issuer instance is available.
+ */
+export function isAvailable({url} = {}) {
+  const health = HEALTH.get(url);
+  if(!health?.openUntil) {
+    return true;
+  }
+  const now = Date.now();
+  if(now < health.openUntil) {
+    return false;
+  }
+  // allow a single trial request until `resetTimeout` passes again
+  const {resetTimeout} = _getConfig();
+  health.openUntil = now + resetTimeout;
+  return true;
+}
+
+/**
+ * Records that an issue request to an issuer instance failed because it was
+ * unavailable, opening its circuit if it has failed too many times.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.url - The URL of the issuer instance's issue
+ *   endpoint.
+ */
+export function recordFailure({url} = {}) {
+  const {failureThreshold, resetTimeout} = _getConfig();
+  const health = HEALTH.get(url) ?? {failures: 0, openUntil: 0};
+  health.failures++;
+  if(health.failures >= failureThreshold) {
+    health.openUntil = Date.now() + resetTimeout;
+  }
+  HEALTH.set(url, health);
+}
+
+/**
+ * Records that an issue request to an issuer instance succeeded, closing its
+ * circuit.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.url - The URL of the issuer instance's issue
+ *   endpoint.
+ */
+export function recordSuccess({url} = {}) {
+  HEALTH.delete(url);
+}
+
+function _getConfig() {
+  return bedrock.config['vc-workflow'].issuerInstances.circuitBreaker;
+}
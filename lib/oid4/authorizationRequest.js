@@ -8,6 +8,7 @@ import {oid4vp, signJWT} from '@digitalbazaar/oid4-client';
 import {getClientBaseUrl} from './clientProfiles.js';
 import {getZcapClient} from '../helpers.js';
 import {httpsAgent} from '@bedrock/https-agent';
+import {OID4VP_SUPPORTED_CLIENT_ID_SCHEMES} from '../constants.js';
 import {randomUUID} from 'node:crypto';
 
 const {util: {BedrockError}} = bedrock;
@@ -16,9 +17,6 @@ const ENCRYPTED_RESPONSE_MODES = new Set([
   'direct_post.jwt', 'dc_api.jwt', 'dc_api'
 ]);
 const OID4VP_JWT_TYP = 'oauth-authz-req+jwt';
-const SUPPORTED_CLIENT_ID_SCHEMES = new Set([
-  'redirect_uri', 'x509_san_dns', 'x509_hash', 'decentralized_identifier'
-]);
 
 const TEXT_ENCODER = new TextEncoder();
 
@@ -132,7 +130,7 @@ export async function encode({
 }
 
 export function removeClientIdPrefix({clientId} = {}) {
-  for(const idScheme of SUPPORTED_CLIENT_ID_SCHEMES) {
+  for(const idScheme of OID4VP_SUPPORTED_CLIENT_ID_SCHEMES) {
     const prefix = `${idScheme}:`;
     if(clientId.startsWith(prefix)) {
       return clientId.slice(prefix.length);
@@ -439,6 +439,11 @@ function _normalizeCredentials({verifiablePresentation}) {
       vc.id?.startsWith('data:application/jwt,')) {
       return vc.id.slice('data:application/jwt,'.length);
     }
+    // parse any SD-JWT VC into its non-VC format
+    if(vc.type === 'EnvelopedVerifiableCredential' &&
+      vc.id?.startsWith('data:application/dc+sd-jwt,')) {
+      return vc.id.slice('data:application/dc+sd-jwt,'.length);
+    }
     // parse any mdoc mDL into its non-VC format (includes base64 => base64url)
     if(vc.type === 'EnvelopedVerifiableCredential' &&
       vc.id?.startsWith('data:application/mdl;base64,')) {
@@ -3,7 +3,13 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as draft13 from './oid4vciDraft13.js';
-import {issue as defaultIssue, getIssueRequestsParams} from '../issue.js';
+import {
+  issue as defaultIssue, getIssueRequestsParams, recordIssuedCredentials
+} from '../issue.js';
+import {
+  getRequestDigest, getRequestKey, getStoredResponse, storeResponse,
+  waitForStoredResponse
+} from '../responseReplay.js';
 import {getWorkflowIssuerInstances, setVariable} from '../helpers.js';
 import {importJWK, SignJWT} from 'jose';
 import {timingSafeEqual, randomUUID as uuid} from 'node:crypto';
@@ -51,7 +57,7 @@ export async function getCredentialIssuerConfig({req}) {
 
   // fetch credential configurations for the step
   const credential_configurations_supported =
-    _getSupportedCredentialConfigurations({workflow, exchange, step});
+    await _getSupportedCredentialConfigurations({workflow, exchange, step});
 
   const exchangeId = `${workflow.id}/exchanges/${exchange.id}`;
   return {
@@ -91,7 +97,7 @@ export async function getCredentialOffer({req}) {
 
   // fetch credential configurations for the step
   const credential_configurations_supported =
-    _getSupportedCredentialConfigurations({workflow, exchange, step});
+    await _getSupportedCredentialConfigurations({workflow, exchange, step});
 
   // offer all configuration IDs and support both spec version ID-1 with
   // `credentials` and draft 13 with `credential_configuration_ids`
@@ -217,7 +223,7 @@ export async function processAccessTokenRequest({req}) {
         supportedCredentialRequestsStored = true;
       } else {
         // get all possible supported credential requests
-        supportedCredentialRequests = _createSupportedCredentialRequests({
+        supportedCredentialRequests = await _createSupportedCredentialRequests({
           workflow, exchange, step
         });
 
@@ -326,6 +332,14 @@ export async function processCredentialRequests({req, res, isBatchRequest}) {
   // ensure oauth2 access token is valid
   await _checkAuthz({req, workflow, exchange});
 
+  // replay the stored result if the same request was already processed
+  const requestKey = getRequestKey({req});
+  const requestDigest = getRequestDigest({req});
+  const stored = getStoredResponse({exchange, requestKey, requestDigest});
+  if(stored) {
+    return stored;
+  }
+
   // process exchange and capture values to return
   let didProofRequired = false;
   let format;
@@ -335,6 +349,10 @@ export async function processCredentialRequests({req, res, isBatchRequest}) {
   const exchangeProcessor = new ExchangeProcessor({
     workflow, exchangeRecord,
     async prepareStep({exchange, step}) {
+      // OID4VCI delivers credentials, not presentations, so there is no
+      // presentation to sign
+      step.signVerifiablePresentation = false;
+
       // get `supportedCredentialRequests` from step results
       supportedCredentialRequests = await _getSupportedCredentialRequests({
         exchangeProcessor, workflow, exchange, step
@@ -348,7 +366,7 @@ export async function processCredentialRequests({req, res, isBatchRequest}) {
 
       // fetch credential configurations for the step
       const supportedCredentialConfigurations =
-        _getSupportedCredentialConfigurations({workflow, exchange, step});
+        await _getSupportedCredentialConfigurations({workflow, exchange, step});
 
       // get credential requests (only more than one w/`isBatchRequest=true`)
       let credentialRequests = isBatchRequest ?
@@ -489,6 +507,10 @@ export async function processCredentialRequests({req, res, isBatchRequest}) {
             });
           }
         }
+        // reapply references to issued credentials for the same reason
+        recordIssuedCredentials({
+          exchange, issuedCredentials: issueResult.issuedCredentials
+        });
         // mark all matching `supportedCredentialRequests` as processed
         supportedCredentialRequests
           .filter(r =>
@@ -548,13 +570,47 @@ export async function processCredentialRequests({req, res, isBatchRequest}) {
   // and an assumption is made that workflow steps WILL NOT change issue
   // requests in a step once `supportedCredentialRequests` has been created
   exchangeProcessor.canRetry = true;
-  await exchangeProcessor.process();
+  try {
+    // the access token checked above was issued to the client, so the
+    // request key identifies it
+    await exchangeProcessor.process({
+      requestKey, requestDigest, clientKey: true
+    });
+  } catch(e) {
+    // replay the result of an identical request that completed the exchange
+    // concurrently, if it is stored in time
+    const stored = e.details?.duplicateRequest ?
+      await waitForStoredResponse({
+        workflow, exchange, requestKey, requestDigest
+      }) :
+      undefined;
+    if(!stored) {
+      throw e;
+    }
+    return stored;
+  }
+  if(exchangeProcessor.approvalPending) {
+    // the client should retry the request later
+    throw new BedrockError('Exchange is awaiting approval.', {
+      name: 'IssuancePending',
+      details: {httpStatusCode: 400, public: true}
+    });
+  }
   // use `issueResult` response
   const response = issueResult?.response;
   if(!response?.verifiablePresentation) {
     return null;
   }
-  return {response, format};
+  const {verifiablePresentation} = response;
+  const result = {response: {verifiablePresentation}};
+  if(format !== undefined) {
+    result.format = format;
+  }
+  await storeResponse({
+    workflow, exchange: exchangeProcessor.exchangeRecord.exchange, requestKey,
+    response: result, includesCredentials: true
+  });
+  return result;
 }
 
 export function supportsOID4VCI({exchange}) {
@@ -598,7 +654,9 @@ async function _checkAuthz({req, workflow, exchange}) {
 
 async function _createExchangeAccessToken({workflow, exchangeRecord}) {
   // FIXME: set `exp` to max of 15 minutes / configured max minutes
-  const expires = exchangeRecord.meta.expires;
+  // use actual expiration date of any exchange retained for expiry sweeper
+  const {meta} = exchangeRecord;
+  const expires = meta.pendingExpiry ?? meta.expires;
   const exp = Math.floor(expires.getTime() / 1000);
 
   // create access token
@@ -612,12 +670,12 @@ async function _createExchangeAccessToken({workflow, exchangeRecord}) {
   return {accessToken, ttl};
 }
 
-function _createSupportedCredentialRequests({
+async function _createSupportedCredentialRequests({
   workflow, exchange, step
 }) {
   let supportedCredentialRequests;
 
-  const issueRequestsParams = getIssueRequestsParams({
+  const issueRequestsParams = await getIssueRequestsParams({
     workflow, exchange, step
   });
 
@@ -692,9 +750,11 @@ function _getAlgFromPrivateKey({privateKeyJwk}) {
   return 'invalid';
 }
 
-function _getSupportedCredentialConfigurations({workflow, exchange, step}) {
+async function _getSupportedCredentialConfigurations({
+  workflow, exchange, step
+}) {
   // get all OID4VCI credential configuration IDs from issue requests in step
-  const issueRequestsParams = getIssueRequestsParams({
+  const issueRequestsParams = await getIssueRequestsParams({
     workflow, exchange, step
   });
   const credentialConfigurationIds = new Set([
@@ -738,7 +798,7 @@ async function _getSupportedCredentialRequests({
   // happen in the degenerate case that an older version of the software
   // provided the access token to the client
   if(!supportedCredentialRequests) {
-    supportedCredentialRequests = _createSupportedCredentialRequests({
+    supportedCredentialRequests = await _createSupportedCredentialRequests({
       workflow, exchange, step
     });
     exchange.variables.results[exchange.step] = {
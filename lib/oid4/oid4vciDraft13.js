@@ -18,10 +18,13 @@ export function createSupportedCredentialConfigurations({
   // build legacy supported credential configurations...
   const supported = new Map();
 
-  // get supported formats from issuer instances
+  // get supported formats from issuer instances; SD-JWT VCs are identified by
+  // `vct` instead of `credential_definition`, so they can only be offered via
+  // an issuer instance's `supportedCredentialConfigurations`
   const supportedFormats = new Set();
   issuerInstances.forEach(instance => instance.supportedFormats.forEach(
     supportedFormats.add, supportedFormats));
+  supportedFormats.delete('dc+sd-jwt');
 
   // for every expected credential request and supported format, generate a
   // supported credential configuration
@@ -92,6 +95,13 @@ function _createCredentialConfigurationId({
 }
 
 function _matchCredentialRequest(expected, cr) {
+  // SD-JWT VCs are matched by `vct` instead of `credential_definition`
+  if(expected.format === 'dc+sd-jwt' || cr.format === 'dc+sd-jwt') {
+    return expected.format === cr.format && expected.vct === cr.vct;
+  }
+  if(!(expected.credential_definition && cr.credential_definition)) {
+    return false;
+  }
   const {credential_definition: {'@context': c1, type: t1}} = expected;
   const {credential_definition: {'@context': c2, type: t2}} = cr;
   // contexts must match exactly but types can have different order
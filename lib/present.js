@@ -0,0 +1,49 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {getZcapClient, stripStacktrace} from './helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+export async function signPresentation({
+  workflow, presentation, challenge, domain
+} = {}) {
+  // create zcap client for signing presentations
+  const {zcapClient, zcaps} = await getZcapClient({workflow});
+
+  // bind the presentation to any `challenge` and `domain` given by the client
+  const options = {};
+  if(challenge !== undefined) {
+    options.challenge = challenge;
+  }
+  if(domain !== undefined) {
+    options.domain = domain;
+  }
+
+  // sign presentation using holder instance
+  let result;
+  try {
+    const capability = zcaps.createPresentation;
+    result = await zcapClient.write({
+      capability,
+      json: {presentation, options}
+    });
+  } catch(cause) {
+    throw new BedrockError(
+      cause.data?.message ?? 'Could not sign verifiable presentation.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        },
+        cause: stripStacktrace(cause)
+      });
+  }
+
+  // holder instances return the signed presentation as
+  // `verifiablePresentation`; also allow the presentation to be returned
+  // directly
+  const {data} = result;
+  return data?.verifiablePresentation ?? data;
+}
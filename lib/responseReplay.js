@@ -0,0 +1,226 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as exchanges from './storage/exchanges.js';
+import {
+  RESPONSE_REPLAY_POLL_INTERVAL_MAX,
+  RESPONSE_REPLAY_POLL_INTERVAL_MIN,
+  RESPONSE_REPLAY_WAIT_TIMEOUT
+} from './constants.js';
+import {createHash} from 'node:crypto';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Note: Exchange clients on unreliable networks may not receive the response
+to a request that has already changed an exchange (e.g., completed it) and
+then retry the same request. To allow this, the exchange processor records the
+key of the request that last updated an exchange, along with the exchange's
+new `sequence`, in `exchange.secrets.lastResponse`. Once the protocol
+generates its response, it is stored there as well. If a request with the
+same key is received before the exchange is updated again, the stored
+response is replayed instead of processing the request again, which would
+otherwise fail or, for a completed exchange, be treated as a duplicate
+completion (invalidating the exchange).
+
+A request key is a hash of the request's method and URL along with its
+`Idempotency-Key` header, if given, otherwise its body. A digest of the body
+is recorded with the request key so that reusing an `Idempotency-Key` with a
+different body is rejected instead of replaying the response to another
+request.
+
+Different exchange clients can send identical requests (e.g., an empty body),
+so a request key derived from the body does not identify the client that sent
+it. A response that includes credentials is therefore only stored (and
+replayed) if the request key identifies the client, i.e., it was derived from
+a client-supplied `Idempotency-Key` or the request was authorized with an
+access token issued to the client; this is recorded as `clientKey` in
+`lastResponse`. Otherwise, an identical request that completes the exchange is
+a duplicate completion. A response is also only replayed within a short
+window (`config['vc-workflow'].exchanges.responseReplay.window`) after the
+request updated the exchange, recorded as `date` in `lastResponse`. */
+
+/**
+ * Gets the key for a request, used to identify a retried request.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.req] - The express request.
+ *
+ * @returns {string | undefined} The request key or `undefined` if no request
+ *   was given.
+ */
+export function getRequestKey({req} = {}) {
+  if(!req) {
+    return;
+  }
+  const hash = createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n`);
+  const idempotencyKey = req.get('idempotency-key');
+  if(idempotencyKey !== undefined) {
+    hash.update(`idempotency-key: ${idempotencyKey}`);
+  } else {
+    hash.update(`body: ${JSON.stringify(req.body ?? {})}`);
+  }
+  return hash.digest('base64url');
+}
+
+/**
+ * Checks whether a request includes an `Idempotency-Key` header, i.e.,
+ * whether its request key identifies the exchange client.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.req] - The express request.
+ *
+ * @returns {boolean} `true` if the request has an `Idempotency-Key` header.
+ */
+export function hasIdempotencyKey({req} = {}) {
+  return req?.get('idempotency-key') !== undefined;
+}
+
+/**
+ * Gets the digest of a request's body, used to detect that a request key
+ * (given via an `Idempotency-Key` header) is reused for a different request.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.req] - The express request.
+ *
+ * @returns {string | undefined} The request digest or `undefined` if no
+ *   request was given.
+ */
+export function getRequestDigest({req} = {}) {
+  if(!req) {
+    return;
+  }
+  return createHash('sha256')
+    .update(JSON.stringify(req.body ?? {}))
+    .digest('base64url');
+}
+
+/**
+ * Gets the stored response for a request that can be replayed, if any. A
+ * response can only be replayed within the replay window. If the request key
+ * matches the request that last updated the exchange but its digest does not,
+ * a `DataError` is thrown.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.exchange - The exchange.
+ * @param {string} [options.requestKey] - The key of the request.
+ * @param {string} [options.requestDigest] - The digest of the request.
+ *
+ * @returns {object | undefined} The stored response or `undefined`.
+ */
+export function getStoredResponse({
+  exchange, requestKey, requestDigest
+} = {}) {
+  const lastResponse = exchange.secrets?.lastResponse;
+  if(requestKey !== undefined && lastResponse?.requestKey === requestKey &&
+    requestDigest !== undefined && lastResponse.requestDigest !== undefined &&
+    lastResponse.requestDigest !== requestDigest) {
+    throw new BedrockError(
+      'Idempotency key has already been used for a different request.', {
+        name: 'DataError',
+        details: {httpStatusCode: 422, public: true}
+      });
+  }
+  // response can only be replayed if the exchange has not changed since
+  if(requestKey !== undefined && lastResponse?.response &&
+    lastResponse.requestKey === requestKey &&
+    lastResponse.sequence === exchange.sequence &&
+    isReplayable({lastResponse})) {
+    return lastResponse.response;
+  }
+}
+
+/**
+ * Checks whether the response to the request recorded in an exchange's
+ * `lastResponse` can still be replayed, i.e., whether the replay window
+ * since that request updated the exchange has not yet passed.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.lastResponse - The exchange's `lastResponse`.
+ *
+ * @returns {boolean} `true` if the response can be replayed.
+ */
+export function isReplayable({lastResponse} = {}) {
+  const {window} = bedrock.config['vc-workflow'].exchanges.responseReplay;
+  return lastResponse?.date !== undefined &&
+    Date.now() - lastResponse.date <= window;
+}
+
+/**
+ * Stores the response to a request that updated an exchange so that it can be
+ * replayed. A response that includes credentials is only stored if the
+ * request key identifies the exchange client. Any error is only logged.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.workflow - The workflow configuration.
+ * @param {object} options.exchange - The exchange.
+ * @param {string} [options.requestKey] - The key of the request.
+ * @param {object} options.response - The response to store.
+ * @param {boolean} [options.includesCredentials=false] - `true` if the
+ *   response includes credentials.
+ *
+ * @returns {Promise<undefined>} Resolves once the response has been stored.
+ */
+export async function storeResponse({
+  workflow, exchange, requestKey, response, includesCredentials = false
+} = {}) {
+  // only store the response if the request updated the exchange
+  const lastResponse = exchange.secrets?.lastResponse;
+  if(requestKey === undefined || lastResponse?.requestKey !== requestKey) {
+    return;
+  }
+  // do not store credentials that could be replayed to another client
+  if(includesCredentials && !lastResponse.clientKey) {
+    return;
+  }
+  try {
+    await exchanges.setLastResponse({
+      workflowId: workflow.id, id: exchange.id, requestKey, response
+    });
+  } catch(error) {
+    logger.error(
+      `Could not store response for exchange "${exchange.id}": ` +
+      error.message, {error});
+  }
+}
+
+/**
+ * Waits for the response to an identical request that is being processed
+ * concurrently to be stored so that it can be replayed. The exchange is
+ * checked with an exponentially increasing interval until the response is
+ * stored or the wait times out.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.workflow - The workflow configuration.
+ * @param {object} options.exchange - The exchange.
+ * @param {string} options.requestKey - The key of the request.
+ * @param {string} [options.requestDigest] - The digest of the request.
+ *
+ * @returns {Promise<object | undefined>} Resolves to the stored response or
+ *   `undefined` if it was not stored in time.
+ */
+export async function waitForStoredResponse({
+  workflow, exchange, requestKey, requestDigest
+} = {}) {
+  const deadline = Date.now() + RESPONSE_REPLAY_WAIT_TIMEOUT;
+  let interval = RESPONSE_REPLAY_POLL_INTERVAL_MIN;
+  while(true) {
+    const record = await exchanges.get({
+      workflowId: workflow.id, id: exchange.id
+    });
+    const response = getStoredResponse({
+      exchange: record.exchange, requestKey, requestDigest
+    });
+    if(response) {
+      return response;
+    }
+    const remaining = deadline - Date.now();
+    if(remaining <= 0) {
+      return;
+    }
+    await new Promise(r => setTimeout(r, Math.min(interval, remaining)));
+    interval = Math.min(interval * 2, RESPONSE_REPLAY_POLL_INTERVAL_MAX);
+  }
+}
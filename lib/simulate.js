@@ -0,0 +1,163 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {generateRandom, setVariable} from './helpers.js';
+import {evaluateIssueRequest} from './issue.js';
+import {ExchangeProcessor} from './ExchangeProcessor.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// an exchange processor that never stores the exchange, records history, or
+// sends notifications
+class SimulatedExchangeProcessor extends ExchangeProcessor {
+  constructor({steps, ...options} = {}) {
+    super(options);
+    this.steps = steps;
+  }
+
+  async updateExchange({completedStep} = {}) {
+    const {exchange} = this.exchangeRecord;
+    exchange.sequence++;
+    if(completedStep !== undefined && exchange.state !== 'complete') {
+      this.steps.at(-1).nextStep = exchange.step;
+    }
+  }
+
+  async recordEvent() {}
+
+  async recordError() {}
+}
+
+/**
+ * Simulates running an exchange for a workflow without creating an exchange,
+ * calling any callbacks, or issuing any credentials. The exchange is
+ * processed by an `ExchangeProcessor` whose hooks are stubbed so that
+ * nothing is stored, issued, signed, or sent; the unsigned credential in each
+ * issue request is evaluated from its credential template and reported
+ * instead of being sent to an issuer instance.
+ *
+ * Any step results that would be produced by input from an exchange client
+ * (including DID proofs for OID4VCI), a workflow coordinator's approval, or a
+ * blocking callback, can be given via `results`; the simulation stops at the
+ * first step that requires input that has not been given.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.workflow - The workflow configuration.
+ * @param {object} [options.variables={}] - The sample exchange variables.
+ * @param {object} [options.results={}] - Mock step results, by step name, as
+ *   they would be stored in `exchange.variables.results`.
+ *
+ * @returns {Promise<object>} An object with the resulting exchange `state`
+ *   and the `steps` that were walked.
+ */
+export async function simulateWorkflow({
+  workflow, variables = {}, results = {}
+} = {}) {
+  workflow = structuredClone(workflow);
+
+  // create an exchange that is never stored
+  const now = Date.now();
+  const exchangeRecord = {
+    exchange: {
+      id: await generateRandom(),
+      sequence: 0,
+      step: workflow.initialStep,
+      state: 'pending',
+      variables: {...structuredClone(variables), results: {}}
+    },
+    meta: {created: now, updated: now}
+  };
+
+  const steps = [];
+  const exchangeProcessor = new SimulatedExchangeProcessor({
+    workflow, exchangeRecord, steps,
+    prepareStep({exchange, step}) {
+      steps.push({name: exchange.step, step, issueRequests: []});
+
+      // use any mock results for the step
+      if(results[exchange.step]) {
+        exchange.variables.results[exchange.step] =
+          structuredClone(results[exchange.step]);
+      }
+    },
+    inputRequired({exchange, step}) {
+      // stop if the step requires input that has not been mocked
+      const inputRequired = _getInputRequired({exchange, step});
+      if(inputRequired) {
+        steps.at(-1).inputRequired = inputRequired;
+      }
+      return !!inputRequired;
+    },
+    async issue({workflow, exchange, issueRequestsParams}) {
+      // evaluate every issue request, storing any unsigned credential that
+      // would be stored in exchange variables
+      const {issueRequests} = steps.at(-1);
+      for(const params of issueRequestsParams) {
+        const {issuerInstanceId, oid4vci, result, typedTemplate} = params;
+        const body = await evaluateIssueRequest({workflow, exchange, params});
+        const request = !body?.credential ? {credential: body} : body;
+        const issueRequest = {
+          credentialTemplateIndex:
+            workflow.credentialTemplates.indexOf(typedTemplate),
+          credentialTemplateId: typedTemplate.id,
+          issuerInstanceId,
+          oid4vci,
+          result,
+          request
+        };
+        // omit any unspecified parameters
+        for(const key in issueRequest) {
+          if(issueRequest[key] === undefined) {
+            delete issueRequest[key];
+          }
+        }
+        issueRequests.push(issueRequest);
+        if(result) {
+          setVariable({
+            variables: exchange.variables, name: result,
+            value: request.credential
+          });
+        }
+      }
+      return {issuedCredentials: []};
+    },
+    async verify() {
+      // presentations are only ever mocked via `results`
+      throw new BedrockError(
+        'Presentations cannot be verified in a simulation.', {
+          name: 'NotSupportedError',
+          details: {httpStatusCode: 400, public: true}
+        });
+    },
+    async createChallenge() {
+      return {challenge: await generateRandom()};
+    },
+    async signPresentation({presentation}) {
+      // presentations are not signed in a simulation
+      return presentation;
+    }
+  });
+  await exchangeProcessor.process();
+
+  if(exchangeProcessor.approvalPending) {
+    steps.at(-1).inputRequired = 'approval';
+  }
+  return {state: exchangeRecord.exchange.state, steps};
+}
+
+function _getInputRequired({exchange, step}) {
+  const stepResults = exchange.variables.results[exchange.step];
+  if(step.jwtDidProofRequest || step.divpDidProofRequest) {
+    // `did` is set by either a DID proof (OID4VCI) or a verified presentation
+    if(!stepResults?.did) {
+      return 'did';
+    }
+  } else if((step.verifiablePresentationRequest || step.openId) &&
+    !stepResults?.verifiablePresentation) {
+    return 'verifiablePresentation';
+  }
+  if(step.callback?.mode === 'blocking' && !stepResults?.callbackResults) {
+    return 'callbackResults';
+  }
+}
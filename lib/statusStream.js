@@ -0,0 +1,145 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as exchanges from './storage/exchanges.js';
+import * as exchangeUpdates from './storage/exchangeUpdates.js';
+import {logger} from './logger.js';
+import {parseLocalId} from './helpers.js';
+
+/* Note: An exchange status stream is a `text/event-stream` (server-sent
+events) response that sends a `status` event with the exchange's current
+`state`, `step`, `sequence`, and any `lastError` when it is opened and each
+time any of these changes thereafter. Each event's `id` is the exchange's
+`sequence`. The stream ends after a status with a terminal state (`complete`,
+`invalid`, or `cancelled`) is sent or, once the exchange expires, after an
+`expired` event is sent. A comment is sent periodically to keep idle
+connections open. */
+
+const TERMINAL_STATES = new Set(['complete', 'invalid', 'cancelled']);
+
+/**
+ * Streams changes to the status of an exchange as server-sent events until
+ * the exchange reaches a terminal state, expires, or the client disconnects.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.res - The express response.
+ * @param {object} options.workflow - The workflow configuration.
+ * @param {string} options.exchangeId - The local ID of the exchange.
+ *
+ * @returns {Promise<undefined>} Resolves once the stream has been opened.
+ */
+export async function streamExchangeStatus({
+  res, workflow, exchangeId
+} = {}) {
+  const {heartbeatInterval} =
+    bedrock.config['vc-workflow'].exchanges.statusStream;
+  const {localId: localWorkflowId} = parseLocalId({id: workflow.id});
+
+  // subscribe before getting the exchange so no change can be missed; any
+  // status published before the stream is opened is sent once it is
+  const pending = [];
+  let send = status => pending.push(status);
+  const unsubscribe = exchangeUpdates.subscribe({
+    localWorkflowId, id: exchangeId, listener: status => send(status)
+  });
+
+  let record;
+  try {
+    // throws `NotFoundError` if the exchange does not exist or has expired
+    record = await exchanges.get({workflowId: workflow.id, id: exchangeId});
+  } catch(e) {
+    unsubscribe();
+    throw e;
+  }
+
+  res.status(200).set({
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    connection: 'keep-alive',
+    // disable response buffering by any reverse proxy
+    'x-accel-buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let last;
+  let expires = record.meta.pendingExpiry ?? record.meta.expires;
+  let heartbeat = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const isClosed = () => res.writableEnded || res.destroyed;
+  const end = () => {
+    close();
+    if(!isClosed()) {
+      res.end();
+    }
+  };
+  const write = message => {
+    if(isClosed()) {
+      return;
+    }
+    res.write(message);
+    // flush any compression middleware buffer
+    res.flush?.();
+  };
+
+  send = status => {
+    if(isClosed()) {
+      return;
+    }
+    // skip any status that is not newer than the last one sent
+    if(last && (status.sequence < last.sequence ||
+      (status.sequence === last.sequence && status.state === last.state))) {
+      return;
+    }
+    last = status;
+    const data = {
+      exchangeId: `${workflow.id}/exchanges/${exchangeId}`,
+      ...status
+    };
+    write(
+      `id: ${status.sequence}\nevent: status\n` +
+      `data: ${JSON.stringify(data)}\n\n`);
+    if(TERMINAL_STATES.has(status.state)) {
+      end();
+    }
+  };
+
+  // handle client disconnect
+  res.on('close', close);
+
+  // send current status and then any status published since subscribing
+  const {exchange: {state, step, sequence, lastError}} = record;
+  send({state, step, sequence, ...(lastError ? {lastError} : {})});
+  pending.forEach(send);
+  if(isClosed()) {
+    return;
+  }
+
+  heartbeat = setInterval(async () => {
+    try {
+      if(expires && Date.now() >= expires.getTime()) {
+        // the exchange may have been extended
+        const record = await exchanges.get({
+          workflowId: workflow.id, id: exchangeId
+        });
+        expires = record.meta.pendingExpiry ?? record.meta.expires;
+      }
+      write(': heartbeat\n\n');
+    } catch(e) {
+      if(e.name === 'NotFoundError') {
+        write(
+          'event: expired\n' +
+          `data: ${JSON.stringify({
+            exchangeId: `${workflow.id}/exchanges/${exchangeId}`
+          })}\n\n`);
+      } else {
+        logger.error(
+          `Could not check expiry of exchange "${exchangeId}".`, {error: e});
+      }
+      end();
+    }
+  }, heartbeatInterval);
+}
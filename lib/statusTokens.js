@@ -0,0 +1,108 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {createHash, timingSafeEqual} from 'node:crypto';
+import {evaluateExchangeStep, generateRandom} from './helpers.js';
+import {logger} from './logger.js';
+import {STATUS_TOKEN_TTL_DEFAULT} from './constants.js';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Note: A status token is a short-lived bearer token, minted when an exchange
+is created, that only authorizes reading a minimal status view of that one
+exchange (its `state`, `step`, any `redirectUrl`, and any public error). This
+allows it to be given to a public web page, e.g., for a relying party's page to
+show the progress of an exchange. Only a digest of the token is stored, in
+`exchange.secrets`, which is never returned by any endpoint. */
+
+/**
+ * Creates a status token for an exchange that is about to be inserted, storing
+ * its digest in `exchange.secrets.statusToken`. The token expires after `ttl`
+ * seconds or when the exchange expires, whichever is sooner.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.exchange - The exchange.
+ * @param {number} [options.ttl] - The time to live for the token in seconds.
+ *
+ * @returns {Promise<object>} Resolves to `{token, expires}`.
+ */
+export async function createStatusToken({
+  exchange, ttl = STATUS_TOKEN_TTL_DEFAULT
+} = {}) {
+  const token = await generateRandom();
+  const exchangeExpires = new Date(exchange.expires);
+  let expires = new Date(Date.now() + ttl * 1000);
+  if(exchangeExpires < expires) {
+    expires = exchangeExpires;
+  }
+  expires = expires.toISOString().replace(/\.\d+Z$/, 'Z');
+  exchange.secrets = {
+    ...exchange.secrets,
+    statusToken: {digest: _digest({token}), expires}
+  };
+  return {token, expires};
+}
+
+/**
+ * Gets the minimal status view of an exchange that may be read using a status
+ * token.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.workflow - The workflow configuration.
+ * @param {object} options.exchange - The exchange.
+ *
+ * @returns {Promise<object>} Resolves to `{state, step, redirectUrl, error}`,
+ *   where `redirectUrl` and `error` are only present when set.
+ */
+export async function getStatusView({workflow, exchange} = {}) {
+  const {state, step, lastError} = exchange;
+  const view = {state, step};
+
+  // a completed exchange's last step may specify where to redirect the user
+  if(state === 'complete' && step && workflow.steps) {
+    try {
+      const {redirectUrl} = await evaluateExchangeStep({workflow, exchange});
+      if(redirectUrl) {
+        view.redirectUrl = redirectUrl;
+      }
+    } catch(error) {
+      logger.error(
+        `Could not evaluate step of exchange "${exchange.id}" to get its ` +
+        'redirect URL.', {error});
+    }
+  }
+
+  // only expose errors that are safe to show publicly
+  if(lastError?.details?.public) {
+    view.error = {name: lastError.name, message: lastError.message};
+  }
+  return view;
+}
+
+/**
+ * Verifies that the `authorization` header of a request has a bearer token
+ * that is an unexpired status token for the given exchange.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.req - The express request.
+ * @param {object} options.exchange - The exchange.
+ */
+export function verifyStatusToken({req, exchange} = {}) {
+  const [scheme, token] = (req.get('authorization') ?? '').split(' ');
+  const {statusToken} = exchange.secrets ?? {};
+  if(!(scheme === 'Bearer' && token && statusToken &&
+    new Date(statusToken.expires) > new Date() &&
+    timingSafeEqual(
+      Buffer.from(_digest({token}), 'base64url'),
+      Buffer.from(statusToken.digest, 'base64url')))) {
+    throw new BedrockError('Permission denied.', {
+      name: 'NotAllowedError',
+      details: {httpStatusCode: 403, public: true}
+    });
+  }
+}
+
+function _digest({token}) {
+  return createHash('sha256').update(token).digest('base64url');
+}
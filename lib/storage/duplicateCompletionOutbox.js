@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {serializeError} from 'serialize-error';
+import {stripStacktrace} from '../helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Note: The duplicate completion outbox stores the actions to take in
+response to duplicate exchange completions (see `duplicateCompletion.js`)
+until they succeed. Like webhook deliveries (see `webhookOutbox.js`), each
+action is claimed by a worker for a limited lease time before each attempt so
+that multiple application instances can process the outbox concurrently
+without attempting the same action at once; if a worker dies during an
+attempt, the action can be claimed again once the lease expires. */
+
+const COLLECTION_NAME = 'vc-duplicate-completion-outbox';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // cover queries by action ID
+    collection: COLLECTION_NAME,
+    fields: {'action.id': 1},
+    options: {unique: true}
+  }, {
+    // cover queries for actions that are due
+    collection: COLLECTION_NAME,
+    fields: {'action.nextAttempt': 1},
+    options: {unique: false}
+  }]);
+});
+
+/**
+ * Inserts a new action into the outbox; it will be due immediately.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.action - The action to insert, including its `id`,
+ *   `type`, `workflowId`, and `exchangeId`.
+ *
+ * @returns {Promise<object>} Resolves to the database record.
+ */
+export async function insert({action}) {
+  assert.object(action, 'action');
+  assert.string(action.id, 'action.id');
+  assert.string(action.type, 'action.type');
+  assert.string(action.workflowId, 'action.workflowId');
+  assert.string(action.exchangeId, 'action.exchangeId');
+
+  const now = Date.now();
+  const record = {
+    meta: {created: now, updated: now},
+    action: {
+      ...action,
+      attempts: 0,
+      nextAttempt: new Date(now)
+    }
+  };
+
+  try {
+    const collection = database.collections[COLLECTION_NAME];
+    await collection.insertOne(record);
+    return record;
+  } catch(e) {
+    throw new BedrockError('Could not insert duplicate completion action.', {
+      name: 'OperationError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+}
+
+/**
+ * Claims a due action from the outbox for an attempt, incrementing its
+ * `attempts` and leasing it for `leaseTime` so it is not claimed by another
+ * worker in the meantime.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.id] - The ID of the action to claim; if not
+ *   given, the action that has been due the longest is claimed.
+ * @param {number} options.leaseTime - The lease time in milliseconds.
+ *
+ * @returns {Promise<object|null>} Resolves to the claimed database record or
+ *   `null` if no matching action is due.
+ */
+export async function claim({id, leaseTime} = {}) {
+  assert.optionalString(id, 'id');
+  assert.number(leaseTime, 'leaseTime');
+
+  const now = Date.now();
+  const query = {'action.nextAttempt': {$lte: new Date(now)}};
+  if(id !== undefined) {
+    query['action.id'] = id;
+  }
+  const update = {
+    $inc: {'action.attempts': 1},
+    $set: {
+      'meta.updated': now,
+      'action.nextAttempt': new Date(now + leaseTime)
+    }
+  };
+  const collection = database.collections[COLLECTION_NAME];
+  return collection.findOneAndUpdate(query, update, {
+    projection: {_id: 0},
+    sort: {'action.nextAttempt': 1},
+    returnDocument: 'after',
+    includeResultMetadata: false
+  });
+}
+
+/**
+ * Removes an action from the outbox, e.g., once it has succeeded.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the action.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the action was removed
+ *   and `false` if it was not found.
+ */
+export async function remove({id} = {}) {
+  assert.string(id, 'id');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.deleteOne({'action.id': id});
+  return result.deletedCount > 0;
+}
+
+/**
+ * Schedules the next attempt of an action that failed.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the action.
+ * @param {number} options.nextAttempt - The time of the next attempt in
+ *   milliseconds since the epoch.
+ * @param {Error} options.error - The error from the failed attempt.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` once updated.
+ */
+export async function reschedule({id, nextAttempt, error} = {}) {
+  assert.string(id, 'id');
+  assert.number(nextAttempt, 'nextAttempt');
+  assert.object(error, 'error');
+
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne({'action.id': id}, {
+    $set: {
+      'meta.updated': Date.now(),
+      'action.nextAttempt': new Date(nextAttempt),
+      'action.lastError': serializeError(stripStacktrace(error))
+    }
+  });
+  return true;
+}
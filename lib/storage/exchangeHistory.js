@@ -0,0 +1,205 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {parseLocalId, stripStacktrace} from '../helpers.js';
+import assert from 'assert-plus';
+import {EXCHANGE_EXPIRY_GRACE_PERIOD} from '../constants.js';
+import {logger} from '../logger.js';
+import {serializeError} from 'serialize-error';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Note: Exchange history is an append-only log of events that occurred
+during an exchange. It is stored separately from the exchange record so that
+it can be written without contending with the exchange's optimistic `sequence`
+checks and without throttling (unlike `exchange.lastError`). History events
+are never updated and they expire along with the exchange (plus the same
+grace period that is applied to invalid exchanges).
+
+Event records never include full presentations or credentials, only hashes
+or summary information about them. */
+
+const COLLECTION_NAME = 'vc-exchange-history';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // cover history queries by local workflow ID + exchange ID
+    collection: COLLECTION_NAME,
+    fields: {localWorkflowId: 1, exchangeId: 1, 'meta.created': 1},
+    options: {unique: false}
+  }, {
+    // expire history events based on `expires` field
+    collection: COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {
+      partialFilterExpression: {
+        'meta.expires': {$exists: true}
+      },
+      unique: false,
+      expireAfterSeconds: 0
+    }
+  }]);
+});
+
+/**
+ * Appends an event to the history of an exchange.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.workflowId - The ID of the workflow that the
+ *   exchange is associated with.
+ * @param {object} options.exchange - The exchange the event occurred in.
+ * @param {string} options.type - The type of event.
+ * @param {object} [options.data] - Optional event-specific data.
+ * @param {Error} [options.error] - An optional error associated with the
+ *   event.
+ *
+ * @returns {Promise<object>} Resolves to the database record.
+ */
+export async function append({workflowId, exchange, type, data, error}) {
+  assert.string(workflowId, 'workflowId');
+  assert.object(exchange, 'exchange');
+  assert.string(exchange.id, 'exchange.id');
+  assert.string(type, 'type');
+  assert.optionalObject(data, 'data');
+
+  const now = Date.now();
+  const expires = Date.parse(exchange.expires) || now;
+  const {localId: localWorkflowId} = parseLocalId({id: workflowId});
+  const event = {
+    type,
+    date: new Date(now).toISOString(),
+    state: exchange.state,
+    sequence: exchange.sequence
+  };
+  if(exchange.step !== undefined) {
+    event.step = exchange.step;
+  }
+  if(data !== undefined) {
+    event.data = data;
+  }
+  if(error !== undefined) {
+    event.error = serializeError(stripStacktrace(error));
+  }
+  const record = {
+    localWorkflowId,
+    exchangeId: exchange.id,
+    meta: {
+      created: now,
+      expires: new Date(expires + EXCHANGE_EXPIRY_GRACE_PERIOD)
+    },
+    event
+  };
+
+  try {
+    const collection = database.collections[COLLECTION_NAME];
+    await collection.insertOne(record);
+    return record;
+  } catch(e) {
+    throw new BedrockError('Could not append exchange history event.', {
+      name: 'OperationError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+}
+
+/**
+ * Appends an event to the history of an exchange like `append()`, but logs
+ * any error instead of throwing it, so that an exchange operation never fails
+ * because its history could not be recorded.
+ *
+ * @param {object} options - The options to use; see `append()`.
+ *
+ * @returns {Promise<object|undefined>} Resolves to the database record or
+ *   `undefined` if the event could not be appended.
+ */
+export async function tryAppend(options) {
+  try {
+    return await append(options);
+  } catch(error) {
+    logger.error(
+      'Could not record exchange history event: ' + error.message, {error});
+  }
+}
+
+/**
+ * Gets all history event records for an exchange, in the order that they
+ * were appended.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.workflowId - The ID of the workflow that the
+ *   exchange is associated with.
+ * @param {string} options.exchangeId - The ID of the exchange.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<Array | ExplainObject>} Resolves with the records that
+ *   match the query or an ExplainObject if `explain=true`.
+ */
+export async function getAll({workflowId, exchangeId, explain = false} = {}) {
+  assert.string(workflowId, 'workflowId');
+  assert.string(exchangeId, 'exchangeId');
+
+  const {localId: localWorkflowId} = parseLocalId({id: workflowId});
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {localWorkflowId, exchangeId};
+  const projection = {_id: 0, event: 1, meta: 1};
+  // `_id` is used as a tie breaker for events created in the same millisecond
+  const cursor = collection.find(query, {projection})
+    .sort({'meta.created': 1, _id: 1});
+
+  if(explain) {
+    return cursor.explain('executionStats');
+  }
+
+  return cursor.toArray();
+}
+
+/**
+ * Updates the expiration date of all history event records for an exchange,
+ * e.g., when the exchange's expiration date has been extended.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.workflowId - The ID of the workflow that the
+ *   exchange is associated with.
+ * @param {object} options.exchange - The exchange with the new `expires`.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` once updated.
+ */
+export async function updateExpires({workflowId, exchange}) {
+  assert.string(workflowId, 'workflowId');
+  assert.object(exchange, 'exchange');
+  assert.string(exchange.id, 'exchange.id');
+  assert.string(exchange.expires, 'exchange.expires');
+
+  const {localId: localWorkflowId} = parseLocalId({id: workflowId});
+  const expires = Date.parse(exchange.expires);
+  try {
+    const collection = database.collections[COLLECTION_NAME];
+    await collection.updateMany({localWorkflowId, exchangeId: exchange.id}, {
+      $set: {'meta.expires': new Date(expires + EXCHANGE_EXPIRY_GRACE_PERIOD)}
+    });
+    return true;
+  } catch(e) {
+    throw new BedrockError('Could not update exchange history expiry.', {
+      name: 'OperationError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+}
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
@@ -0,0 +1,179 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {EventEmitter} from 'node:events';
+import {logger} from '../logger.js';
+import {rangeDelay} from 'delay';
+import {serializeError} from 'serialize-error';
+import {stripStacktrace} from '../helpers.js';
+
+/* Note: Changes to the status (`state`, `step`, `sequence`, and `lastError`)
+of an exchange are published to an in-process bus whenever an exchange record
+is changed by this instance. When several instances share the same database,
+changes made by other instances are also published from a MongoDB change
+stream on the exchange collection (which requires a replica set). Since a
+change made by this instance can be published from both sources, and changes
+can be published out of order, subscribers must use `sequence` to skip any
+status that is not newer than the last one they received. */
+
+const COLLECTION_NAME = 'vc-exchange';
+
+// in-process bus; each event name is a `localWorkflowId` + exchange ID key
+const BUS = new EventEmitter();
+// there is one listener per subscriber (e.g., open event stream)
+BUS.setMaxListeners(0);
+
+// state for running the exchange collection change stream watcher
+const CHANGE_STREAM_WATCHER = {
+  // used to abort the change stream watcher
+  abortController: new AbortController(),
+  // a Promise that resolves after the change stream watcher has shutdown
+  // cleanly after receiving an abort signal
+  shutdownPromise: null
+};
+
+bedrock.events.on('bedrock.ready', () => {
+  const {enabled} = bedrock.config['vc-workflow'].exchanges.changeStream;
+  if(enabled) {
+    // start the change stream watcher, which runs continuously
+    CHANGE_STREAM_WATCHER.shutdownPromise = _startWatcher();
+  }
+});
+
+bedrock.events.on('bedrock.exit', async () => {
+  try {
+    // abort change stream watcher
+    CHANGE_STREAM_WATCHER.abortController.abort();
+    logger.debug(
+      'Sent abort signal to exchange change stream watcher, ' +
+      'waiting for shutdown...');
+    await CHANGE_STREAM_WATCHER.shutdownPromise;
+    logger.debug('Exchange change stream watcher shutdown was successful.');
+  } catch(error) {
+    logger.error(
+      'Error during exchange change stream watcher shutdown.', {error});
+  }
+});
+
+/**
+ * Publishes a change to the status of an exchange to every in-process
+ * subscriber.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.localWorkflowId - The local ID of the workflow the
+ *   exchange is associated with.
+ * @param {object} options.exchange - The changed exchange, including its
+ *   `id`, `state`, `step`, `sequence`, and any `lastError`.
+ */
+export function publish({localWorkflowId, exchange} = {}) {
+  const {id, state, step, sequence, lastError} = exchange;
+  const status = {state, step, sequence};
+  if(lastError) {
+    status.lastError = lastError instanceof Error ?
+      serializeError(stripStacktrace(lastError)) : lastError;
+  }
+  try {
+    BUS.emit(_getKey({localWorkflowId, id}), status);
+  } catch(error) {
+    // never fail the change because a subscriber failed
+    logger.error(
+      `Could not publish status of exchange "${id}": ` + error.message,
+      {error});
+  }
+}
+
+/**
+ * Subscribes to changes to the status of an exchange.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.localWorkflowId - The local ID of the workflow the
+ *   exchange is associated with.
+ * @param {string} options.id - The ID of the exchange.
+ * @param {Function} options.listener - The function to call with each
+ *   status (`{state, step, sequence, lastError}`) that is published.
+ *
+ * @returns {Function} A function to call to unsubscribe.
+ */
+export function subscribe({localWorkflowId, id, listener} = {}) {
+  const key = _getKey({localWorkflowId, id});
+  BUS.on(key, listener);
+  return () => BUS.off(key, listener);
+}
+
+function _getKey({localWorkflowId, id}) {
+  return `${localWorkflowId}/${id}`;
+}
+
+async function _startWatcher() {
+  const {retryInterval} = bedrock.config['vc-workflow'].exchanges.changeStream;
+  const {signal} = CHANGE_STREAM_WATCHER.abortController;
+  while(!signal.aborted) {
+    try {
+      await _watch({signal});
+    } catch(e) {
+      if(signal.aborted) {
+        break;
+      }
+      // change streams are not supported by standalone MongoDB servers, in
+      // which case only changes made by this instance are published
+      if(e.code === 40573) {
+        logger.warning(
+          'Exchange change stream is not supported by the database; ' +
+          'only exchange changes made by this instance will be published.');
+        break;
+      }
+      logger.error('Error in exchange change stream watcher.', {error: e});
+    }
+    try {
+      // delay for `retryInterval` plus some fuzzing (up to half of
+      // `retryInterval`) before watching again
+      await rangeDelay(retryInterval, retryInterval * 1.5, {signal});
+    } catch(e) {
+      if(e.name === 'AbortError') {
+        break;
+      }
+      throw e;
+    }
+  }
+}
+
+async function _watch({signal}) {
+  const collection = database.collections[COLLECTION_NAME];
+  // only include the fields needed to publish exchange status
+  const pipeline = [{
+    $match: {operationType: {$in: ['update', 'replace']}}
+  }, {
+    $project: {
+      'fullDocument.localWorkflowId': 1,
+      'fullDocument.localExchangerId': 1,
+      'fullDocument.exchange.id': 1,
+      'fullDocument.exchange.state': 1,
+      'fullDocument.exchange.step': 1,
+      'fullDocument.exchange.sequence': 1,
+      'fullDocument.exchange.lastError': 1
+    }
+  }];
+  const changeStream = collection.watch(
+    pipeline, {fullDocument: 'updateLookup'});
+  const close = () => changeStream.close().catch(() => {});
+  signal.addEventListener('abort', close, {once: true});
+  try {
+    for await (const {fullDocument} of changeStream) {
+      // record may have been removed since the change
+      if(!fullDocument?.exchange) {
+        continue;
+      }
+      const {localWorkflowId, localExchangerId, exchange} = fullDocument;
+      publish({
+        // backwards compatibility: support `localExchangerId`
+        localWorkflowId: localWorkflowId ?? localExchangerId,
+        exchange
+      });
+    }
+  } finally {
+    signal.removeEventListener('abort', close);
+    await close();
+  }
+}
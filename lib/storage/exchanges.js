@@ -3,9 +3,13 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
-import {decodeVariables, encodeVariables} from './variables.js';
+import * as exchangeUpdates from './exchangeUpdates.js';
 import {
-  EXCHANGE_EXPIRY_GRACE_PERIOD, EXCHANGE_TTL_DEFAULT
+  decodeVariables, encodeVariables, getTotalSize, updateExpires
+} from './variables.js';
+import {
+  EXCHANGE_EXPIRY_GRACE_PERIOD, EXCHANGE_TTL_DEFAULT,
+  FIND_EXCHANGES_LIMIT_DEFAULT, FIND_EXCHANGES_LIMIT_MAX
 } from '../constants.js';
 import {parseLocalId, stripStacktrace} from '../helpers.js';
 import assert from 'assert-plus';
@@ -18,16 +22,26 @@ import './variablesGarbageCollector.js';
 const {util: {BedrockError}} = bedrock;
 
 /* Note: Exchanges have default TTLs of 15 minutes and are always in one of
-four states: `pending`, `active`, `complete`, or `invalid`. They can only
-transition from `pending` to `complete` or from `complete` to `invalid`.
+five states: `pending`, `active`, `complete`, `invalid`, or `cancelled`. They
+can only transition from `pending` to `active` or `complete`, from `active` to
+`complete`, from `complete` to `invalid`, or, if cancelled by the workflow
+coordinator, from `pending` or `active` to `cancelled`.
 
 If an exchange is marked as complete, any attempt to mark it complete again
-will result in an action, as specified in the exchange record, being taken
+will result in an action, as specified in the workflow config, being taken
 such as auto-revocation or notification.
 
 Each pending exchange is an instance of a workflow. A workflow may have
 one or more steps, each that might issue, verify, or deliver VCs. Capabilities
-must be provided to issue or verify VCs. */
+must be provided to issue or verify VCs.
+
+Exchange records are removed by the database once they expire. In order for
+the expiry sweeper to be able to notify about exchanges that expire before they
+are completed, the records of pending or active exchanges that are about to
+expire are retained (by moving `meta.expires` into the future) and their actual
+expiration date is stored in `meta.pendingExpiry` until the sweeper claims
+them, which restores `meta.expires`, see: `retainExpiring()` and
+`claimExpired()`. */
 
 const COLLECTION_NAME = 'vc-exchange';
 const BUCKET_NAME = 'vc-exchange-variables';
@@ -56,6 +70,17 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
       },
       unique: true
     }
+  }, {
+    // cover exchange listing queries by local workflow ID, sorted by
+    // creation time and exchange ID (for stable cursor-based paging)
+    collection: COLLECTION_NAME,
+    fields: {localWorkflowId: 1, 'meta.created': 1, 'exchange.id': 1},
+    options: {
+      partialFilterExpression: {
+        localWorkflowId: {$exists: true}
+      },
+      unique: false
+    }
   }, {
     // backwards compatibility: cover exchange queries by
     // local exchanger ID + exchange ID; local exchanger ID is the same as
@@ -75,6 +100,16 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
       unique: false,
       expireAfterSeconds: 0
     }
+  }, {
+    // cover expiry sweeper queries for retained exchanges
+    collection: COLLECTION_NAME,
+    fields: {'meta.pendingExpiry': 1},
+    options: {
+      partialFilterExpression: {
+        'meta.pendingExpiry': {$exists: true}
+      },
+      unique: false
+    }
   }]);
 });
 
@@ -109,7 +144,8 @@ export async function insert({workflowId, exchange}) {
     updated: now,
     expires: new Date(exchange.expires)
   };
-  // possible states are: `pending`, `active`, `complete`, or `invalid`
+  // possible states are: `pending`, `active`, `complete`, `invalid`, or
+  // `cancelled`
   exchange = {...exchange, sequence: 0, state: 'pending'};
   const {localId: localWorkflowId} = parseLocalId({id: workflowId});
   const record = {
@@ -149,13 +185,15 @@ export async function insert({workflowId, exchange}) {
  * @param {string} options.id - The ID of the exchange to retrieve.
  * @param {boolean} [options.allowExpired=false] - Controls whether an expired
  *   exchange that is still in the database can be retrieved or not.
+ * @param {boolean} [options.allowInvalid=false] - Controls whether an invalid
+ *   exchange can be retrieved or not.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<object | ExplainObject>} Resolves with the record that
  *   matches the query or an ExplainObject if `explain=true`.
  */
 export async function get({
-  workflowId, id, allowExpired = false, explain = false
+  workflowId, id, allowExpired = false, allowInvalid = false, explain = false
 } = {}) {
   assert.string(workflowId, 'workflowId');
   assert.string(id, 'id');
@@ -168,6 +206,9 @@ export async function get({
     // treat exchange as not found if invalid
     'exchange.state': {$ne: 'invalid'}
   };
+  if(allowInvalid) {
+    delete query['exchange.state'];
+  }
   // backwards compatibility: query on `localExchangerId`
   if(base.endsWith('/exchangers')) {
     query.localWorkflowId = {$in: [null, localWorkflowId]};
@@ -232,6 +273,153 @@ export async function get({
   return record;
 }
 
+/**
+ * Finds the exchange records associated with a workflow that match the given
+ * filters. Results are sorted by creation time (then by exchange ID) and are
+ * returned in pages; a `cursor` is returned whenever more results may be
+ * available and it can be passed to a subsequent call to get the next page.
+ *
+ * Expired exchanges are never returned and `invalid` exchanges are only
+ * returned if `state` is explicitly set to `invalid`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.workflowId - The ID of the workflow that the
+ *   exchanges are associated with.
+ * @param {string} [options.state] - An optional exchange state to filter by.
+ * @param {string} [options.step] - An optional current step to filter by.
+ * @param {object} [options.created] - An optional object with `after` and/or
+ *   `before` (in milliseconds) to filter exchanges by creation time.
+ * @param {object} [options.updated] - An optional object with `after` and/or
+ *   `before` (in milliseconds) to filter exchanges by last update time.
+ * @param {boolean} [options.hasLastError] - An optional flag to filter by
+ *   whether or not the exchange has a `lastError` set.
+ * @param {number} [options.limit] - The maximum number of records to return.
+ * @param {string} [options.cursor] - An optional cursor from a previous call.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with `{records, cursor}`
+ *   or an ExplainObject if `explain=true`.
+ */
+export async function find({
+  workflowId, state, step, created, updated, hasLastError,
+  limit = FIND_EXCHANGES_LIMIT_DEFAULT, cursor, explain = false
+} = {}) {
+  assert.string(workflowId, 'workflowId');
+  assert.optionalString(state, 'state');
+  assert.optionalString(step, 'step');
+  assert.optionalObject(created, 'created');
+  assert.optionalObject(updated, 'updated');
+  assert.optionalBool(hasLastError, 'hasLastError');
+  assert.number(limit, 'limit');
+  assert.optionalString(cursor, 'cursor');
+
+  if(!(limit > 0 && limit <= FIND_EXCHANGES_LIMIT_MAX)) {
+    throw new BedrockError(
+      `"limit" must be between 1 and ${FIND_EXCHANGES_LIMIT_MAX}.`, {
+        name: 'DataError',
+        details: {httpStatusCode: 400, public: true}
+      });
+  }
+
+  const {base, localId: localWorkflowId} = parseLocalId({id: workflowId});
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {
+    localWorkflowId,
+    // treat invalid exchanges as not found unless specifically requested
+    'exchange.state': state ?? {$ne: 'invalid'},
+    // never return expired exchanges, even if background job has not yet
+    // removed them or they are retained for the expiry sweeper
+    'meta.expires': {$gt: new Date()},
+    'meta.pendingExpiry': {$not: {$lte: new Date()}}
+  };
+  // backwards compatibility: query on `localExchangerId`
+  if(base.endsWith('/exchangers')) {
+    query.localWorkflowId = {$in: [null, localWorkflowId]};
+    query.localExchangerId = localWorkflowId;
+  }
+  if(step !== undefined) {
+    query['exchange.step'] = step;
+  }
+  if(created) {
+    query['meta.created'] = _buildRangeQuery(created);
+  }
+  if(updated) {
+    query['meta.updated'] = _buildRangeQuery(updated);
+  }
+  if(hasLastError !== undefined) {
+    query['exchange.lastError'] = {$exists: hasLastError};
+  }
+  if(cursor !== undefined) {
+    // continue after the last record from the previous page
+    const last = _decodeCursor({cursor});
+    query.$or = [
+      {'meta.created': {$gt: last.created}},
+      {'meta.created': last.created, 'exchange.id': {$gt: last.id}}
+    ];
+  }
+  const projection = {_id: 0, exchange: 1, meta: 1};
+  const sort = {'meta.created': 1, 'exchange.id': 1};
+
+  // fetch one extra record to determine whether there is another page
+  const findCursor = collection.find(query, {projection})
+    .sort(sort).limit(limit + 1);
+
+  if(explain) {
+    return findCursor.explain('executionStats');
+  }
+
+  const records = await findCursor.toArray();
+  let nextCursor;
+  if(records.length > limit) {
+    records.length = limit;
+    const {meta, exchange} = records.at(-1);
+    nextCursor = _encodeCursor({created: meta.created, id: exchange.id});
+  }
+  for(const record of records) {
+    record.exchange = await decodeVariables({workflowId, record});
+  }
+
+  return {records, cursor: nextCursor};
+}
+
+/**
+ * Gets the storage usage of the exchanges associated with a workflow,
+ * including any externalized `variables`. Exchanges are counted until they
+ * are removed from the database (i.e., including any grace period).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.workflowId - The ID of the workflow that the
+ *   exchanges are associated with.
+ *
+ * @returns {Promise<object>} Resolves with `{count, variablesSize}` where
+ *   `count` is the number of exchanges and `variablesSize` is the total size,
+ *   in bytes, of all externalized exchange `variables`.
+ */
+export async function getUsage({workflowId} = {}) {
+  assert.string(workflowId, 'workflowId');
+
+  const {base, localId: localWorkflowId} = parseLocalId({id: workflowId});
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {localWorkflowId};
+  // backwards compatibility: query on `localExchangerId`
+  if(base.endsWith('/exchangers')) {
+    query.localWorkflowId = {$in: [null, localWorkflowId]};
+    query.localExchangerId = localWorkflowId;
+  }
+
+  const [count, records] = await Promise.all([
+    collection.countDocuments(query),
+    collection.find({
+      ...query,
+      'meta.variablesFilename': {$type: 'string'}
+    }, {projection: {_id: 0, 'meta.variablesFilename': 1}}).toArray()
+  ]);
+  const variablesSize = await getTotalSize({
+    filenames: records.map(({meta}) => meta.variablesFilename)
+  });
+  return {count, variablesSize};
+}
+
 /**
  * Updates a pending or active exchange with new state, variables, step, and
  * TTL, and error information.
@@ -299,6 +487,7 @@ export async function update({
     const result = await collection.updateOne(query, update);
     if(result.modifiedCount > 0) {
       // document modified: success
+      exchangeUpdates.publish({localWorkflowId, exchange});
       return true;
     }
   } catch(e) {
@@ -382,6 +571,7 @@ export async function complete({workflowId, exchange, explain = false} = {}) {
     const result = await collection.updateOne(query, update);
     if(result.modifiedCount > 0) {
       // document modified: success
+      exchangeUpdates.publish({localWorkflowId, exchange});
       return true;
     }
   } catch(e) {
@@ -416,6 +606,29 @@ export async function complete({workflowId, exchange, explain = false} = {}) {
     });
   }
 
+  // if the exchange was just completed by an identical request from the same
+  // client (e.g., one that was retried by an exchange client that had not yet
+  // received a response), it is not a duplicate completion; throw a duplicate
+  // request error so that the response to the other request can be replayed
+  // instead (see `responseReplay.js`)
+  const requestKey = exchange.secrets?.lastResponse?.requestKey;
+  const lastResponse = record.exchange.secrets?.lastResponse;
+  const {window} = bedrock.config['vc-workflow'].exchanges.responseReplay;
+  if(requestKey !== undefined && record.exchange.state === 'complete' &&
+    lastResponse?.requestKey === requestKey && lastResponse.clientKey &&
+    Date.now() - lastResponse.date <= window) {
+    throw new BedrockError(
+      'Could not complete exchange; already completed by the same request.', {
+        name: 'DuplicateError',
+        details: {
+          public: true,
+          // this is a client-side conflict error
+          httpStatusCode: 409,
+          duplicateRequest: true
+        }
+      });
+  }
+
   // state is either `complete` or `invalid`, so throw duplicate completed
   // exchange error and invalidate exchange if needed, but do not throw any
   // error to client; only log it
@@ -435,6 +648,214 @@ export async function complete({workflowId, exchange, explain = false} = {}) {
   });
 }
 
+/**
+ * Marks a pending or active exchange as cancelled. A cancelled exchange
+ * cannot be updated or completed.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.workflowId - The ID of the workflow the exchange
+ *   is associated with.
+ * @param {string} options.id - The ID of the exchange to cancel.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<boolean | ExplainObject>} Resolves with `true` on update
+ *   success or an ExplainObject if `explain=true`.
+ */
+export async function cancel({workflowId, id, explain = false} = {}) {
+  assert.string(workflowId, 'workflowId');
+  assert.string(id, 'id');
+
+  const {base, localId: localWorkflowId} = parseLocalId({id: workflowId});
+
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {
+    localWorkflowId,
+    'exchange.id': id,
+    // previous state must be `pending` or `active` in order to change to
+    // `cancelled`
+    'exchange.state': {$in: ['pending', 'active']}
+  };
+  // backwards compatibility: query on `localExchangerId`
+  if(base.endsWith('/exchangers')) {
+    query.localWorkflowId = {$in: [null, localWorkflowId]};
+    query.localExchangerId = localWorkflowId;
+  }
+  const update = {
+    $inc: {'exchange.sequence': 1},
+    $set: {
+      'exchange.state': 'cancelled',
+      'meta.updated': Date.now()
+    }
+  };
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'findOneAndUpdate()' doesn't
+    // return a cursor which allows the use of the explain function.
+    const cursor = await collection.find(query).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  try {
+    const projection = {
+      _id: 0, 'exchange.id': 1, 'exchange.state': 1, 'exchange.step': 1,
+      'exchange.sequence': 1
+    };
+    const record = await collection.findOneAndUpdate(query, update, {
+      projection, returnDocument: 'after', includeResultMetadata: false
+    });
+    if(record) {
+      // document modified: success
+      exchangeUpdates.publish({localWorkflowId, exchange: record.exchange});
+      return true;
+    }
+  } catch(e) {
+    throw new BedrockError('Could not cancel exchange.', {
+      name: 'OperationError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+
+  // if no document was matched, try to get an existing exchange; if the
+  // exchange does not exist, a not found error will be automatically thrown
+  const record = await get({workflowId, id});
+
+  /* Note: Here the exchange *does* exist, but it is already in a terminal
+  state, so it cannot be cancelled. */
+  throw new BedrockError(
+    `Could not cancel exchange; exchange is ${record.exchange.state}.`, {
+      name: 'InvalidStateError',
+      details: {
+        public: true,
+        // this is a client-side conflict error
+        httpStatusCode: 409
+      }
+    });
+}
+
+/**
+ * Extends the expiration date of a pending or active exchange that has not
+ * yet expired. The new expiration date must be later than the current one.
+ * The expiry of any externalized `variables` is also extended so that they
+ * are not garbage collected before the exchange expires.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.workflowId - The ID of the workflow the exchange
+ *   is associated with.
+ * @param {string} options.id - The ID of the exchange to extend.
+ * @param {string} options.expires - The new expiration date for the exchange.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<boolean | ExplainObject>} Resolves with `true` on update
+ *   success or an ExplainObject if `explain=true`.
+ */
+export async function extend({
+  workflowId, id, expires, explain = false
+} = {}) {
+  assert.string(workflowId, 'workflowId');
+  assert.string(id, 'id');
+  assert.string(expires, 'expires');
+
+  const {base, localId: localWorkflowId} = parseLocalId({id: workflowId});
+
+  const now = Date.now();
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {
+    localWorkflowId,
+    'exchange.id': id,
+    // previous state must be `pending` or `active` in order to extend it
+    'exchange.state': {$in: ['pending', 'active']},
+    // exchange must not have expired and new expiry must be later (using the
+    // actual expiration date of any exchange retained for the expiry sweeper)
+    $or: [{
+      'meta.pendingExpiry': {$exists: false},
+      'meta.expires': {$gt: new Date(now), $lt: new Date(expires)}
+    }, {
+      'meta.pendingExpiry': {$gt: new Date(now), $lt: new Date(expires)}
+    }]
+  };
+  // backwards compatibility: query on `localExchangerId`
+  if(base.endsWith('/exchangers')) {
+    query.localWorkflowId = {$in: [null, localWorkflowId]};
+    query.localExchangerId = localWorkflowId;
+  }
+  // note: `sequence` is incremented to cause any concurrent update (that
+  // would otherwise use the old `expires` for externalized `variables`) to
+  // fail with a conflict error
+  const update = {
+    $inc: {'exchange.sequence': 1},
+    $set: {
+      'exchange.expires': expires,
+      'meta.expires': new Date(expires),
+      'meta.updated': now
+    },
+    // the exchange no longer needs to be retained for the expiry sweeper
+    $unset: {'meta.pendingExpiry': true}
+  };
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'findOneAndUpdate()' doesn't
+    // return a cursor which allows the use of the explain function.
+    const cursor = await collection.find(query).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  let record;
+  try {
+    const projection = {_id: 0, 'exchange.id': 1, meta: 1};
+    record = await collection.findOneAndUpdate(query, update, {
+      projection, returnDocument: 'after', includeResultMetadata: false
+    });
+  } catch(e) {
+    throw new BedrockError('Could not extend exchange.', {
+      name: 'OperationError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+
+  if(record) {
+    // document modified: extend any externalized `variables` expiry as well
+    const {meta: {variablesFilename: filename}} = record;
+    if(typeof filename === 'string') {
+      await updateExpires({
+        workflowId, exchange: {id, expires}, filename
+      });
+    }
+    return true;
+  }
+
+  // if no document was matched, try to get an existing exchange; if the
+  // exchange does not exist, a not found error will be automatically thrown
+  record = await get({workflowId, id});
+
+  /* Note: Here the exchange *does* exist, but it is either in a terminal
+  state or the new expiration date is not later than the current one. */
+  if(!['pending', 'active'].includes(record.exchange.state)) {
+    throw new BedrockError(
+      `Could not extend exchange; exchange is ${record.exchange.state}.`, {
+        name: 'InvalidStateError',
+        details: {
+          public: true,
+          // this is a client-side conflict error
+          httpStatusCode: 409
+        }
+      });
+  }
+  throw new BedrockError(
+    'Could not extend exchange; new expiration date must be later than ' +
+    `"${record.exchange.expires}".`, {
+      name: 'DataError',
+      details: {httpStatusCode: 400, public: true}
+    });
+}
+
 /**
  * Sets the last error associated with an exchange, provided that the exchange
  * has not been recently or frequently updated.
@@ -503,6 +924,7 @@ export async function setLastError({
     const result = await collection.updateOne(query, update);
     if(result.modifiedCount > 0) {
       // document modified: success
+      exchangeUpdates.publish({localWorkflowId, exchange});
       return true;
     }
   } catch(e) {
@@ -534,6 +956,149 @@ export async function setLastError({
   });
 }
 
+/**
+ * Sets the response to the request that last updated an exchange, so that it
+ * can be replayed if the same request is received again. The response is only
+ * set if the exchange has not been updated since that request updated it.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.workflowId - The ID of the workflow the exchange
+ *   is associated with.
+ * @param {string} options.id - The ID of the exchange.
+ * @param {string} options.requestKey - The key of the request, which must
+ *   match `exchange.secrets.lastResponse.requestKey`.
+ * @param {object} options.response - The response to set.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` if the response was set.
+ */
+export async function setLastResponse({
+  workflowId, id, requestKey, response
+} = {}) {
+  assert.string(workflowId, 'workflowId');
+  assert.string(id, 'id');
+  assert.string(requestKey, 'requestKey');
+  assert.object(response, 'response');
+
+  const {base, localId: localWorkflowId} = parseLocalId({id: workflowId});
+
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {
+    localWorkflowId,
+    'exchange.id': id,
+    'exchange.secrets.lastResponse.requestKey': requestKey,
+    // exchange must not have been updated since the request updated it
+    $expr: {
+      $eq: ['$exchange.secrets.lastResponse.sequence', '$exchange.sequence']
+    }
+  };
+  // backwards compatibility: query on `localExchangerId`
+  if(base.endsWith('/exchangers')) {
+    query.localWorkflowId = {$in: [null, localWorkflowId]};
+    query.localExchangerId = localWorkflowId;
+  }
+  // `sequence` is not incremented; the response does not change the exchange
+  const update = {$set: {'exchange.secrets.lastResponse.response': response}};
+
+  try {
+    const result = await collection.updateOne(query, update);
+    return result.modifiedCount > 0;
+  } catch(e) {
+    throw new BedrockError('Could not set last exchange response.', {
+      name: 'OperationError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+}
+
+/**
+ * Retains the records of any pending or active exchanges that expire within
+ * `lookahead` so that they are not removed by the database before the expiry
+ * sweeper can claim them via `claimExpired()`. Each record's actual
+ * expiration date is moved to `meta.pendingExpiry` and its `meta.expires` is
+ * moved into the future by the exchange expiry grace period.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.lookahead - How far into the future to retain
+ *   expiring exchanges, in milliseconds.
+ *
+ * @returns {Promise<number>} Resolves to the number of retained exchanges.
+ */
+export async function retainExpiring({lookahead} = {}) {
+  assert.number(lookahead, 'lookahead');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {
+    'exchange.state': {$in: ['pending', 'active']},
+    'meta.expires': {$lte: new Date(Date.now() + lookahead)},
+    'meta.pendingExpiry': {$exists: false}
+  };
+  const update = [{
+    $set: {
+      'meta.pendingExpiry': '$meta.expires',
+      'meta.expires': {$add: ['$meta.expires', EXCHANGE_EXPIRY_GRACE_PERIOD]}
+    }
+  }];
+  try {
+    const result = await collection.updateMany(query, update);
+    return result.modifiedCount;
+  } catch(e) {
+    throw new BedrockError('Could not retain expiring exchanges.', {
+      name: 'OperationError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+}
+
+/**
+ * Claims a retained exchange (see `retainExpiring()`) that has expired,
+ * restoring its `meta.expires` to its actual expiration date so that it will
+ * be removed by the database. Only one caller can claim each exchange.
+ *
+ * Note: The claimed exchange may have been completed or cancelled after it
+ * was retained; it is up to the caller to check its state.
+ *
+ * @returns {Promise<object|null>} Resolves to the claimed database record
+ *   (without its exchange `variables`) or `null` if no retained exchange has
+ *   expired.
+ */
+export async function claimExpired() {
+  const now = Date.now();
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {'meta.pendingExpiry': {$lte: new Date(now)}};
+  const update = [{
+    $set: {'meta.expires': '$meta.pendingExpiry', 'meta.updated': now}
+  }, {
+    $unset: 'meta.pendingExpiry'
+  }];
+  try {
+    return await collection.findOneAndUpdate(query, update, {
+      projection: {
+        _id: 0, localWorkflowId: 1, localExchangerId: 1,
+        'exchange.id': 1, 'exchange.state': 1, meta: 1
+      },
+      returnDocument: 'after',
+      includeResultMetadata: false
+    });
+  } catch(e) {
+    throw new BedrockError('Could not claim expired exchange.', {
+      name: 'OperationError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+}
+
 async function _invalidateExchange({record}) {
   try {
     // mark exchange invalid, but do not throw any error to client; only log it
@@ -543,11 +1108,12 @@ async function _invalidateExchange({record}) {
       `Could not mark exchange "${record.exchange.id}" invalid.`, {error});
   }
 
-  /* Consider perform auto-revocation of the VCs or notification (the action to
-  take is specified in the exchange record). */
-  // FIXME: handle auto-revocation / notification in background; do not throw
-  // errors to client; consider removing invalidation state as well and rely
-  // solely on TTL to manage exchange secrecy/abuse
+  /* Note: Any auto-revocation of the VCs or notification (the action to take
+  is specified in the workflow config via `duplicateCompletionAction`) is
+  performed in the background by the exchange processor once it receives the
+  `DuplicateError` thrown by `complete()`, see: `duplicateCompletion.js`. */
+  // FIXME: consider removing invalidation state and rely solely on TTL to
+  // manage exchange secrecy/abuse
 }
 
 async function _markExchangeInvalid({record}) {
@@ -568,12 +1134,19 @@ async function _markExchangeInvalid({record}) {
         'exchange.state': 'invalid',
         'meta.updated': now,
         'meta.expires': new Date(now + EXCHANGE_EXPIRY_GRACE_PERIOD)
-      }
+      },
+      // ensure the expiry sweeper does not restore the previous expiry
+      $unset: {'meta.pendingExpiry': true}
     };
     const collection = database.collections[COLLECTION_NAME];
     const result = await collection.updateOne(query, update);
     if(result.modifiedCount > 0) {
       // document modified: success
+      exchangeUpdates.publish({
+        // backwards compatibility: support `localExchangerId`
+        localWorkflowId: record.localWorkflowId ?? record.localExchangerId,
+        exchange: {...record.exchange, state: 'invalid'}
+      });
       return true;
     }
   } catch(e) {
@@ -588,6 +1161,35 @@ async function _markExchangeInvalid({record}) {
   }
 }
 
+function _buildRangeQuery({after, before}) {
+  const range = {};
+  if(after !== undefined) {
+    range.$gt = after;
+  }
+  if(before !== undefined) {
+    range.$lt = before;
+  }
+  return range;
+}
+
+function _decodeCursor({cursor}) {
+  try {
+    const {created, id} = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8'));
+    if(typeof created === 'number' && typeof id === 'string') {
+      return {created, id};
+    }
+  } catch(e) {}
+  throw new BedrockError('Invalid cursor.', {
+    name: 'DataError',
+    details: {httpStatusCode: 400, public: true}
+  });
+}
+
+function _encodeCursor({created, id}) {
+  return Buffer.from(JSON.stringify({created, id})).toString('base64url');
+}
+
 function _buildUpdate({exchange, meta, updateExpires = false}) {
   // build update
   const now = Date.now();
@@ -605,6 +1207,9 @@ function _buildUpdate({exchange, meta, updateExpires = false}) {
   if(exchange.step !== undefined) {
     update.$set['exchange.step'] = exchange.step;
   }
+  if(exchange.issuedCredentials !== undefined) {
+    update.$set['exchange.issuedCredentials'] = exchange.issuedCredentials;
+  }
   // only update (fix) `expires` if it was not previously set (a very old
   // exchange is being updated)
   if(updateExpires) {
@@ -122,14 +122,7 @@ export async function encodeVariables({workflowId, exchange, meta}) {
   meta.variablesFilename = filename;
 
   // create gridfs file metadata w/expiry; `exchange.expires` MUST be set
-  const expires = new Date(exchange.expires);
-  const metadata = {
-    // add exchange grace period to expiry to cover maximum exchange TTL and
-    // add a generous `variables` grace period as well
-    expires: new Date(
-      expires.getTime() +
-      EXCHANGE_EXPIRY_GRACE_PERIOD + VARIABLES_EXPIRY_GRACE_PERIOD)
-  };
+  const metadata = {expires: _getFileExpires({expires: exchange.expires})};
 
   // store variables; any duplicate content-based identifier will throw a
   // duplicate error which can be safely ignored
@@ -190,6 +183,49 @@ export async function decodeVariables({workflowId, record}) {
   return exchange;
 }
 
+export async function getTotalSize({filenames} = {}) {
+  if(filenames.length === 0) {
+    return 0;
+  }
+  // sum the lengths of all externalized `variables` files
+  const collection = database.collections[`${VARIABLES_STORAGE.name}.files`];
+  const [result] = await collection.aggregate([
+    {$match: {filename: {$in: filenames}}},
+    {$group: {_id: null, size: {$sum: '$length'}}}
+  ]).toArray();
+  return result?.size ?? 0;
+}
+
+export async function updateExpires({workflowId, exchange, filename}) {
+  // update the expiry of an externalized `variables` file to match an
+  // exchange's (new) `expires`
+  const collection = database.collections[`${VARIABLES_STORAGE.name}.files`];
+  try {
+    await collection.updateOne({filename}, {
+      $set: {'metadata.expires': _getFileExpires({expires: exchange.expires})}
+    });
+  } catch(e) {
+    throw new BedrockError(`Could not update exchange variables expiry.`, {
+      name: 'OperationError',
+      details: {
+        workflow: workflowId,
+        exchange: exchange.id,
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+}
+
+function _getFileExpires({expires}) {
+  // add exchange grace period to expiry to cover maximum exchange TTL and
+  // add a generous `variables` grace period as well
+  return new Date(
+    new Date(expires).getTime() +
+    EXCHANGE_EXPIRY_GRACE_PERIOD + VARIABLES_EXPIRY_GRACE_PERIOD);
+}
+
 function _hasIllegalMongoDBKeyChar(value) {
   if(Array.isArray(value)) {
     for(const e of value) {
@@ -0,0 +1,223 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {serializeError} from 'serialize-error';
+import {stripStacktrace} from '../helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Note: The webhook outbox stores step callback (webhook) deliveries until
+they succeed. Each delivery is claimed by a worker for a limited lease time
+before each attempt so that multiple application instances can process the
+outbox concurrently without attempting the same delivery at once; if a worker
+dies during an attempt, the delivery can be claimed again once the lease
+expires. Deliveries that permanently fail are moved to a separate dead-letter
+collection where they are kept for inspection until they expire. */
+
+const COLLECTION_NAME = 'vc-webhook-outbox';
+const DEAD_LETTER_COLLECTION_NAME = 'vc-webhook-dead-letter';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([
+    COLLECTION_NAME, DEAD_LETTER_COLLECTION_NAME
+  ]);
+
+  await database.createIndexes([{
+    // cover queries by delivery ID
+    collection: COLLECTION_NAME,
+    fields: {'delivery.id': 1},
+    options: {unique: true}
+  }, {
+    // cover queries for deliveries that are due
+    collection: COLLECTION_NAME,
+    fields: {'delivery.nextAttempt': 1},
+    options: {unique: false}
+  }, {
+    // cover dead-letter queries by workflow ID + exchange ID
+    collection: DEAD_LETTER_COLLECTION_NAME,
+    fields: {
+      'delivery.workflowId': 1, 'delivery.exchangeId': 1, 'meta.created': 1
+    },
+    options: {unique: false}
+  }, {
+    // expire dead-letter records based on `expires` field
+    collection: DEAD_LETTER_COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+});
+
+/**
+ * Inserts a new delivery into the outbox; it will be due immediately.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.delivery - The delivery to insert, including its
+ *   `id`, `url`, and `body`.
+ *
+ * @returns {Promise<object>} Resolves to the database record.
+ */
+export async function insert({delivery}) {
+  assert.object(delivery, 'delivery');
+  assert.string(delivery.id, 'delivery.id');
+  assert.string(delivery.url, 'delivery.url');
+  assert.object(delivery.body, 'delivery.body');
+
+  const now = Date.now();
+  const record = {
+    meta: {created: now, updated: now},
+    delivery: {
+      ...delivery,
+      attempts: 0,
+      nextAttempt: new Date(now)
+    }
+  };
+
+  try {
+    const collection = database.collections[COLLECTION_NAME];
+    await collection.insertOne(record);
+    return record;
+  } catch(e) {
+    throw new BedrockError('Could not insert webhook delivery.', {
+      name: 'OperationError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+}
+
+/**
+ * Claims a due delivery from the outbox for an attempt, incrementing its
+ * `attempts` and leasing it for `leaseTime` so it is not claimed by another
+ * worker in the meantime.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.id] - The ID of the delivery to claim; if not
+ *   given, the delivery that has been due the longest is claimed.
+ * @param {number} options.leaseTime - The lease time in milliseconds.
+ *
+ * @returns {Promise<object|null>} Resolves to the claimed database record or
+ *   `null` if no matching delivery is due.
+ */
+export async function claim({id, leaseTime} = {}) {
+  assert.optionalString(id, 'id');
+  assert.number(leaseTime, 'leaseTime');
+
+  const now = Date.now();
+  const query = {'delivery.nextAttempt': {$lte: new Date(now)}};
+  if(id !== undefined) {
+    query['delivery.id'] = id;
+  }
+  const update = {
+    $inc: {'delivery.attempts': 1},
+    $set: {
+      'meta.updated': now,
+      'delivery.nextAttempt': new Date(now + leaseTime)
+    }
+  };
+  const collection = database.collections[COLLECTION_NAME];
+  return collection.findOneAndUpdate(query, update, {
+    projection: {_id: 0},
+    sort: {'delivery.nextAttempt': 1},
+    returnDocument: 'after',
+    includeResultMetadata: false
+  });
+}
+
+/**
+ * Removes a delivery from the outbox, e.g., once it has succeeded.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the delivery.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the delivery was removed
+ *   and `false` if it was not found.
+ */
+export async function remove({id} = {}) {
+  assert.string(id, 'id');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.deleteOne({'delivery.id': id});
+  return result.deletedCount > 0;
+}
+
+/**
+ * Schedules the next attempt of a delivery that failed.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the delivery.
+ * @param {number} options.nextAttempt - The time of the next attempt in
+ *   milliseconds since the epoch.
+ * @param {Error} options.error - The error from the failed attempt.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` once updated.
+ */
+export async function reschedule({id, nextAttempt, error} = {}) {
+  assert.string(id, 'id');
+  assert.number(nextAttempt, 'nextAttempt');
+  assert.object(error, 'error');
+
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne({'delivery.id': id}, {
+    $set: {
+      'meta.updated': Date.now(),
+      'delivery.nextAttempt': new Date(nextAttempt),
+      'delivery.lastError': serializeError(stripStacktrace(error))
+    }
+  });
+  return true;
+}
+
+/**
+ * Moves a delivery that has permanently failed from the outbox to the
+ * dead-letter store.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.record - The outbox database record.
+ * @param {Error} options.error - The error from the last failed attempt.
+ * @param {number} options.ttl - How long to keep the dead-letter record, in
+ *   milliseconds.
+ *
+ * @returns {Promise<object>} Resolves to the dead-letter database record.
+ */
+export async function moveToDeadLetter({record, error, ttl} = {}) {
+  assert.object(record, 'record');
+  assert.object(error, 'error');
+  assert.number(ttl, 'ttl');
+
+  const now = Date.now();
+  const delivery = {...record.delivery};
+  delete delivery.nextAttempt;
+  const deadLetterRecord = {
+    meta: {
+      created: now,
+      updated: now,
+      expires: new Date(now + ttl)
+    },
+    delivery: {
+      ...delivery,
+      lastError: serializeError(stripStacktrace(error))
+    }
+  };
+
+  try {
+    const collection = database.collections[DEAD_LETTER_COLLECTION_NAME];
+    await collection.insertOne(deadLetterRecord);
+  } catch(e) {
+    throw new BedrockError('Could not insert dead-letter webhook delivery.', {
+      name: 'OperationError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      },
+      cause: e
+    });
+  }
+  await remove({id: delivery.id});
+  return deadLetterRecord;
+}
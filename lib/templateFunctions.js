@@ -0,0 +1,120 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createHash, randomUUID} from 'node:crypto';
+import jsonata from 'jsonata';
+
+// ISO 8601 duration, e.g., `P1Y2M3DT4H5M6.5S` or `-P1W`
+const DURATION_REGEX = new RegExp(
+  '^(-)?P(?!$)(?:(\\d+)Y)?(?:(\\d+)M)?(?:(\\d+)W)?(?:(\\d+)D)?' +
+  '(?:T(?=\\d)(?:(\\d+)H)?(?:(\\d+)M)?(?:(\\d+(?:\\.\\d+)?)S)?)?$');
+
+const DIGEST_ENCODINGS = ['base64url', 'hex'];
+
+// JSONata's built-in `$fromMillis()`, used to format `$now()` like JSONata's
+// built-in `$now()` when a picture or timezone is given
+const FROM_MILLIS = jsonata('$fromMillis($value, $picture, $timezone)');
+
+// private JWK members that must never be put into a DID
+const PRIVATE_JWK_MEMBERS = ['d', 'dp', 'dq', 'k', 'p', 'q', 'qi', 'oth'];
+
+/* Note: These functions are registered with every JSONata template (e.g.,
+credential templates, step templates, and conditions). Any template variable
+with the same name as a function takes precedence over it for backwards
+compatibility. Names must not clash with JSONata's built-in functions, except
+for `$now()`, which deliberately overrides JSONata's built-in so that, without
+arguments, it returns an XML dateTime without fractional seconds (as
+credentials commonly use); with a picture or timezone it returns the same
+result as the built-in. Each function is: name => {implementation, signature},
+where `signature` is a JSONata function signature. */
+const TEMPLATE_FUNCTIONS = new Map([
+  ['uuid', {implementation: _uuid, signature: '<:s>'}],
+  ['urnUuid', {implementation: _urnUuid, signature: '<:s>'}],
+  ['now', {implementation: _now, signature: '<s?s?:s>'}],
+  ['addDuration', {implementation: _addDuration, signature: '<ss:s>'}],
+  ['sha256', {implementation: _sha256, signature: '<s-s?:s>'}],
+  ['base64url', {implementation: _base64url, signature: '<s-:s>'}],
+  ['didFromJwk', {implementation: _didFromJwk, signature: '<o:s>'}]
+]);
+
+/**
+ * Registers every template function with a compiled JSONata expression.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.expression - The compiled JSONata expression.
+ *
+ * @returns {object} The expression.
+ */
+export function registerTemplateFunctions({expression} = {}) {
+  for(const [name, {implementation, signature}] of TEMPLATE_FUNCTIONS) {
+    expression.registerFunction(name, implementation, signature);
+  }
+  return expression;
+}
+
+function _uuid() {
+  return randomUUID();
+}
+
+function _urnUuid() {
+  return `urn:uuid:${randomUUID()}`;
+}
+
+function _now(picture, timezone) {
+  // use the timestamp fixed for the whole evaluation, like the built-in
+  const value = this.environment.timestamp?.getTime() ?? Date.now();
+  if(picture === undefined && timezone === undefined) {
+    return new Date(value).toISOString().slice(0, -5) + 'Z';
+  }
+  return FROM_MILLIS.evaluate({}, {value, picture, timezone});
+}
+
+function _addDuration(dateTime, duration) {
+  const date = new Date(dateTime);
+  if(isNaN(date)) {
+    throw new TypeError(`"dateTime" must be an XML dateTime.`);
+  }
+  const match = duration.match(DURATION_REGEX);
+  if(!match) {
+    throw new TypeError(`"duration" must be an ISO 8601 duration.`);
+  }
+  const sign = match[1] ? -1 : 1;
+  const [
+    years, months, weeks, days, hours, minutes, seconds
+  ] = match.slice(2).map(x => sign * Number(x ?? 0));
+  // add years and months first, pinning the day to the last day of the
+  // resulting month (as XML Schema does), e.g., `2026-01-31` + `P1M` results
+  // in `2026-02-28`; then add days and time
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCFullYear(
+    date.getUTCFullYear() + years, date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(
+    date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay) + weeks * 7 + days);
+  date.setTime(
+    date.getTime() + ((hours * 60 + minutes) * 60 + seconds) * 1000);
+  return date.toISOString().replace(/\.000Z$/, 'Z');
+}
+
+function _sha256(value, encoding = 'hex') {
+  if(!DIGEST_ENCODINGS.includes(encoding)) {
+    throw new TypeError(
+      `"encoding" must be one of: ${DIGEST_ENCODINGS.join(', ')}.`);
+  }
+  return createHash('sha256').update(value, 'utf8').digest(encoding);
+}
+
+function _base64url(value) {
+  return Buffer.from(value, 'utf8').toString('base64url');
+}
+
+function _didFromJwk(jwk) {
+  if(typeof jwk?.kty !== 'string') {
+    throw new TypeError('"jwk" must be a JWK.');
+  }
+  if(PRIVATE_JWK_MEMBERS.some(member => jwk[member] !== undefined)) {
+    throw new TypeError('"jwk" must be a public JWK.');
+  }
+  return `did:jwk:${_base64url(JSON.stringify(jwk))}`;
+}
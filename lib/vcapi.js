@@ -2,11 +2,21 @@
  * Copyright (c) 2018-2026 Digital Bazaar, Inc.
  */
 import * as bedrock from '@bedrock/core';
+import * as exchangeHistory from './storage/exchangeHistory.js';
 import * as exchanges from './storage/exchanges.js';
 import {evaluateExchangeStep, generateRandom} from './helpers.js';
 import {EXCHANGE_TTL_DEFAULT, EXCHANGE_TTL_MAX_IN_MS} from './constants.js';
 import {exportJWK, generateKeyPair, importJWK} from 'jose';
+import {
+  getRequestDigest, getRequestKey, getStoredResponse, hasIdempotencyKey,
+  storeResponse, waitForStoredResponse
+} from './responseReplay.js';
+import {createStatusToken} from './statusTokens.js';
+import {emitExchangeEvent} from './events.js';
+import {emitExchangeUpdated} from './webhooks.js';
 import {ExchangeProcessor} from './ExchangeProcessor.js';
+import jsonpointer from 'json-pointer';
+import {logger} from './logger.js';
 
 // supported protocols
 import * as inviteRequest from './inviteRequest/inviteRequest.js';
@@ -15,6 +25,25 @@ import * as oid4vp from './oid4/oid4vp.js';
 
 const {util: {BedrockError}} = bedrock;
 
+export async function approveExchange({workflow, exchangeRecord}) {
+  await _setApproval({workflow, exchangeRecord, approval: {
+    status: 'approved'
+  }});
+}
+
+export async function cancelExchange({workflow, exchangeRecord}) {
+  const {exchange} = exchangeRecord;
+  await exchanges.cancel({workflowId: workflow.id, id: exchange.id});
+  exchange.state = 'cancelled';
+  exchange.sequence++;
+  await exchangeHistory.tryAppend({
+    workflowId: workflow.id, exchange, type: 'cancelled'
+  });
+
+  // notify any callback in the current step
+  await _notifyStep({workflow, exchange});
+}
+
 export async function createExchange({workflow, exchange}) {
   const {
     expires,
@@ -22,7 +51,8 @@ export async function createExchange({workflow, exchange}) {
     variables = {},
     // allow steps to be skipped by creator as needed
     step: stepName = workflow.initialStep,
-    openId
+    openId,
+    statusToken: statusTokenOptions
   } = exchange;
 
   // validate exchange step, if given
@@ -36,29 +66,13 @@ export async function createExchange({workflow, exchange}) {
   // prepare new exchange object
   exchange = {
     id: await generateRandom(),
-    expires,
+    expires: _getExpires({expires, ttl}),
     variables,
     step: stepName
   };
   if(openId) {
     exchange.openId = {...openId, oauth2: await _initOAuth2(openId)};
   }
-  if(expires === undefined) {
-    // `ttl` is used and is in seconds, convert to `expires`
-    const date = new Date(Date.now() + ttl * 1000);
-    exchange.expires = date.toISOString().replace(/\.\d+Z$/, 'Z');
-  }
-
-  // should expires isn't too far into the future
-  const maxExpires = new Date(Date.now() + EXCHANGE_TTL_MAX_IN_MS);
-  if(new Date(exchange.expires) > maxExpires) {
-    throw new BedrockError(
-      'Maximum exchange expiration date is "' +
-      `${maxExpires.toISOString().replace(/\.\d+Z$/, 'Z')}".`, {
-        name: 'DataError',
-        details: {httpStatusCode: 400, public: true}
-      });
-  }
 
   // if present, early-evaluate first step
   let initialStep;
@@ -76,11 +90,92 @@ export async function createExchange({workflow, exchange}) {
     workflow, exchange, step: initialStep
   });
 
+  // mint any requested status token
+  let statusToken;
+  if(statusTokenOptions) {
+    statusToken = await createStatusToken({
+      exchange, ttl: statusTokenOptions.ttl
+    });
+  }
+
   // insert exchange
   const {id: workflowId} = workflow;
-  await exchanges.insert({workflowId, exchange});
+  const {exchange: inserted} = await exchanges.insert({workflowId, exchange});
+  await exchangeHistory.tryAppend({
+    workflowId, exchange: inserted, type: 'created'
+  });
+  await emitExchangeEvent({
+    workflow,
+    exchange: {...exchange, state: inserted.state, sequence: inserted.sequence},
+    type: 'exchange.created'
+  });
   // FIXME: run parallel process to pre-warm cache with new exchange record
-  return exchange;
+  return {exchange, statusToken};
+}
+
+export async function extendExchange({
+  workflow, exchangeRecord, expires, ttl
+}) {
+  const {exchange} = exchangeRecord;
+  const previousExpires = exchange.expires;
+  expires = _getExpires({expires, ttl});
+  await exchanges.extend({workflowId: workflow.id, id: exchange.id, expires});
+  exchange.expires = expires;
+  exchange.sequence++;
+  await exchangeHistory.updateExpires({
+    workflowId: workflow.id, exchange
+  }).catch(error => logger.error(
+    'Could not update exchange history expiry: ' + error.message, {error}));
+  await exchangeHistory.tryAppend({
+    workflowId: workflow.id, exchange, type: 'extended',
+    data: {previousExpires}
+  });
+  return {expires};
+}
+
+export async function rejectExchange({workflow, exchangeRecord, reason}) {
+  const approval = {status: 'rejected'};
+  if(reason !== undefined) {
+    approval.reason = reason;
+  }
+  await _setApproval({workflow, exchangeRecord, approval});
+}
+
+export async function updateExchangeVariables({
+  workflow, exchangeRecord, sequence, operations
+}) {
+  const {exchange, meta} = exchangeRecord;
+  if(!['pending', 'active'].includes(exchange.state)) {
+    throw new BedrockError(
+      'Could not update exchange variables; exchange is ' +
+      `${exchange.state}.`, {
+        name: 'InvalidStateError',
+        details: {httpStatusCode: 409, public: true}
+      });
+  }
+  if(sequence !== undefined && sequence !== exchange.sequence) {
+    throw new BedrockError(
+      'Could not update exchange variables; conflict error.', {
+        name: 'InvalidStateError',
+        details: {httpStatusCode: 409, public: true}
+      });
+  }
+
+  // apply operations to a copy of the variables, in order
+  const variables = structuredClone(exchange.variables);
+  for(const {op, path, value} of operations) {
+    _applyVariablesOperation({variables, op, path, value});
+  }
+
+  // use optimistic `sequence` check to store the update
+  exchange.variables = variables;
+  exchange.sequence++;
+  await exchanges.update({workflowId: workflow.id, exchange, meta});
+  await exchangeHistory.tryAppend({
+    workflowId: workflow.id, exchange, type: 'variablesUpdated',
+    data: {paths: operations.map(({path}) => path)}
+  });
+  return {sequence: exchange.sequence};
 }
 
 export async function getProtocols({req} = {}) {
@@ -99,8 +194,21 @@ export async function getProtocols({req} = {}) {
 }
 
 export async function processExchange({req, res, workflow, exchangeRecord}) {
-  // get any `verifiablePresentation` from the body...
+  // get any `verifiablePresentation` and `verifiablePresentationRequest`
+  // from the body...
   const receivedPresentation = req?.body?.verifiablePresentation;
+  const receivedPresentationRequest =
+    req?.body?.verifiablePresentationRequest;
+
+  // replay the stored response if the same request was already processed
+  const {exchange} = exchangeRecord;
+  const requestKey = getRequestKey({req});
+  const requestDigest = getRequestDigest({req});
+  const stored = getStoredResponse({exchange, requestKey, requestDigest});
+  if(stored) {
+    res.status(stored.status).json(stored.body);
+    return;
+  }
 
   // use exchange processor to generate a response
   let stepComplete = true;
@@ -143,10 +251,126 @@ export async function processExchange({req, res, workflow, exchangeRecord}) {
       return stepComplete;
     }
   });
-  const response = await exchangeProcessor.process({receivedPresentation});
+  let response;
+  try {
+    response = await exchangeProcessor.process({
+      receivedPresentation, receivedPresentationRequest, requestKey,
+      requestDigest, clientKey: hasIdempotencyKey({req})
+    });
+  } catch(e) {
+    // replay the response to an identical request that completed the
+    // exchange concurrently, if it is stored in time
+    const stored = e.details?.duplicateRequest ?
+      await waitForStoredResponse({
+        workflow, exchange, requestKey, requestDigest
+      }) :
+      undefined;
+    if(!stored) {
+      throw e;
+    }
+    res.status(stored.status).json(stored.body);
+    return;
+  }
+
+  // send response; use `202 Accepted` to indicate that the exchange is
+  // waiting for workflow coordinator approval and the client should poll
+  const status = exchangeProcessor.approvalPending ? 202 : 200;
+  await storeResponse({
+    workflow, exchange: exchangeProcessor.exchangeRecord.exchange, requestKey,
+    response: {status, body: response},
+    includesCredentials: response?.verifiablePresentation !== undefined
+  });
+  res.status(status).json(response);
+}
+
+function _getExpires({expires, ttl}) {
+  if(expires === undefined) {
+    // `ttl` is used and is in seconds, convert to `expires`
+    const date = new Date(Date.now() + ttl * 1000);
+    expires = date.toISOString().replace(/\.\d+Z$/, 'Z');
+  }
+
+  // should expires isn't too far into the future
+  const maxExpires = new Date(Date.now() + EXCHANGE_TTL_MAX_IN_MS);
+  if(new Date(expires) > maxExpires) {
+    throw new BedrockError(
+      'Maximum exchange expiration date is "' +
+      `${maxExpires.toISOString().replace(/\.\d+Z$/, 'Z')}".`, {
+        name: 'DataError',
+        details: {httpStatusCode: 400, public: true}
+      });
+  }
+  return expires;
+}
+
+function _applyVariablesOperation({variables, op, path, value}) {
+  // `path` is an RFC 6901 JSON pointer: the empty string is the root and `/`
+  // is the member named `""`
+  const isRoot = path === '';
+
+  // step results are only ever written by the exchange processor
+  if(path === '/results' || path.startsWith('/results/') ||
+    (isRoot && _isObject(value) && 'results' in value)) {
+    throw new BedrockError(
+      'Exchange step results in "/results" cannot be updated.', {
+        name: 'NotAllowedError',
+        details: {httpStatusCode: 403, public: true}
+      });
+  }
+
+  // `set` op, or `merge` op where there is nothing to merge into
+  const target = _getVariable({variables, path});
+  if(!isRoot && (op === 'set' || target === undefined)) {
+    try {
+      jsonpointer.set(variables, path, value);
+    } catch(cause) {
+      throw new BedrockError(
+        `Could not set exchange variable at "${path}".`, {
+          name: 'DataError',
+          details: {httpStatusCode: 400, public: true},
+          cause
+        });
+    }
+    return;
+  }
+
+  // `merge` op; the root can only be merged into, not replaced
+  if(op === 'set') {
+    throw new BedrockError(
+      'Exchange variables at the root ("") can only be merged, not set.', {
+        name: 'DataError',
+        details: {httpStatusCode: 400, public: true}
+      });
+  }
+  if(!(_isObject(target) && _isObject(value))) {
+    throw new BedrockError(
+      `Could not merge exchange variables at "${path}"; only objects can ` +
+      'be merged.', {
+        name: 'DataError',
+        details: {httpStatusCode: 400, public: true}
+      });
+  }
+  Object.assign(target, value);
+}
 
-  // send response
-  res.json(response);
+function _getVariable({variables, path}) {
+  try {
+    return jsonpointer.get(variables, path);
+  } catch(e) {
+    return undefined;
+  }
+}
+
+async function _notifyStep({workflow, exchange}) {
+  try {
+    // exchanges without steps can only notify workflow event subscriptions
+    const step = exchange.step && workflow.steps ?
+      await evaluateExchangeStep({workflow, exchange}) : undefined;
+    await emitExchangeUpdated({workflow, exchange, step});
+  } catch(error) {
+    logger.error(
+      `Could not notify update of exchange "${exchange.id}".`, {error});
+  }
 }
 
 async function _initOAuth2({oauth2}) {
@@ -233,6 +457,56 @@ async function _createProtocols({workflow, exchange, step}) {
   };
 }
 
+function _isObject(x) {
+  return x !== null && typeof x === 'object' && !Array.isArray(x);
+}
+
+async function _setApproval({workflow, exchangeRecord, approval}) {
+  const {exchange, meta} = exchangeRecord;
+  if(!['pending', 'active'].includes(exchange.state)) {
+    throw new BedrockError(
+      `Could not ${approval.status === 'approved' ? 'approve' : 'reject'} ` +
+      `exchange; exchange is ${exchange.state}.`, {
+        name: 'InvalidStateError',
+        details: {httpStatusCode: 409, public: true}
+      });
+  }
+
+  // current step must be awaiting approval; approval only becomes pending
+  // once the exchange client has provided any input the step requires, so
+  // a step cannot be approved (or rejected) before there is anything to
+  // review
+  const step = exchange.step ?
+    await evaluateExchangeStep({workflow, exchange}) : undefined;
+  const results = exchange.variables.results ?? {};
+  const stepResults = results[exchange.step];
+  if(!step?.awaitApproval || stepResults?.approval?.status !== 'pending') {
+    throw new BedrockError('Exchange is not awaiting approval.', {
+      name: 'InvalidStateError',
+      details: {httpStatusCode: 409, public: true}
+    });
+  }
+
+  // store approval decision in step results; a rejection ends the exchange
+  approval.date = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  exchange.variables.results = {
+    ...results,
+    [exchange.step]: {...stepResults, approval}
+  };
+  if(approval.status === 'rejected') {
+    exchange.state = 'cancelled';
+  }
+  exchange.sequence++;
+  await exchanges.update({workflowId: workflow.id, exchange, meta});
+  await exchangeHistory.tryAppend({
+    workflowId: workflow.id, exchange, type: approval.status,
+    data: approval.reason === undefined ? undefined : {reason: approval.reason}
+  });
+
+  // notify any callback in the current step
+  await _notifyStep({workflow, exchange});
+}
+
 function _supportsVcApi({workflow, step}) {
   return step?.verifiablePresentationRequest ||
     step?.verifiablePresentation ||
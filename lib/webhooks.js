@@ -0,0 +1,300 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as webhookOutbox from './storage/webhookOutbox.js';
+import {createHash} from 'node:crypto';
+import {generateRandom} from './helpers.js';
+import {getWorkflow} from './workflowConfigs.js';
+import {httpClient} from '@digitalbazaar/http-client';
+import {httpsAgent} from '@bedrock/https-agent';
+import {logger} from './logger.js';
+import {rangeDelay} from 'delay';
+import {serviceAgents} from '@bedrock/service-agent';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Note: `exchangeUpdated` notifications are sent to the callback of the
+exchange's step, if it has one, otherwise to every workflow event subscription
+(`workflow.eventSubscriptions`) for the event's type; a step callback therefore
+overrides the workflow event subscriptions for its step. Typed lifecycle events
+(see `events.js`) are only sent to subscriptions for their type. A
+subscription may specify a `secret` that is sent as a bearer token in the
+`Authorization` header of each delivery. The secret is never stored with a
+delivery; a delivery only references its subscription and the secret is read
+from the workflow config each time delivery is attempted.
+
+Step callback (webhook) notifications are not sent directly. Instead,
+each notification is stored in a persistent outbox and an attempt to deliver
+it is made right away; any failed delivery is retried by a background worker
+using exponential backoff until it succeeds or the maximum number of attempts
+is reached, at which point it is moved to a dead-letter store.
+
+Every delivery is signed using HTTP Message Signatures (RFC 9421) with the
+workflow service agent's zcap invocation key, covering the method, target URI,
+content type, and a `Content-Digest` (RFC 9530) of the body, so that receivers
+can verify that a notification was sent by this service and not modified. The
+`keyid` signature parameter is the ID of the verification method (a `did:key`
+DID URL) to verify the signature with. */
+
+// components of each delivery request covered by its signature
+const SIGNATURE_COMPONENTS = [
+  '@method', '@target-uri', 'content-type', 'content-digest'
+];
+
+// state for running the webhook outbox worker
+const OUTBOX_WORKER = {
+  // used to abort the outbox worker
+  abortController: new AbortController(),
+  // a Promise that resolves after the outbox worker has shutdown cleanly
+  // after receiving an abort signal
+  shutdownPromise: null
+};
+
+bedrock.events.on('bedrock.ready', () => {
+  // start the webhook outbox worker, which runs continuously
+  OUTBOX_WORKER.shutdownPromise = _startOutboxWorker();
+});
+
+bedrock.events.on('bedrock.exit', async () => {
+  try {
+    // abort webhook outbox worker
+    OUTBOX_WORKER.abortController.abort();
+    logger.debug(
+      'Sent abort signal to webhook outbox worker, waiting for shutdown...');
+    await OUTBOX_WORKER.shutdownPromise;
+    logger.debug('Webhook outbox worker shutdown was successful.');
+  } catch(error) {
+    logger.error('Error during webhook outbox worker shutdown.', {error});
+  }
+});
+
+/**
+ * Creates an event about an exchange to be sent to a step callback.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.workflow - The workflow configuration.
+ * @param {object} options.exchange - The exchange the event is about.
+ * @param {string} options.type - The type of event.
+ * @param {object} [options.data] - Optional additional event data.
+ *
+ * @returns {object} The event.
+ */
+export function createEvent({workflow, exchange, type, data}) {
+  return {
+    type,
+    date: new Date().toISOString(),
+    data: {
+      state: exchange.state,
+      step: exchange.step,
+      sequence: exchange.sequence,
+      // include any additional event data
+      ...data,
+      exchangeId: `${workflow.id}/exchanges/${exchange.id}`
+    }
+  };
+}
+
+/**
+ * Notifies the step callback or workflow event subscriptions, if any, that an
+ * exchange has been updated. The notification is stored in the webhook outbox
+ * and delivered asynchronously; this function does not wait for delivery and
+ * never throws.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.workflow - The workflow configuration.
+ * @param {object} options.exchange - The exchange that was updated.
+ * @param {object} [options.step] - The step with any callback to notify.
+ * @param {object} [options.data] - Optional additional event data.
+ *
+ * @returns {Promise<undefined>} Resolves once the notification has been
+ *   stored.
+ */
+export async function emitExchangeUpdated({workflow, exchange, step, data}) {
+  const event = createEvent({
+    workflow, exchange, type: 'exchangeUpdated', data
+  });
+  await sendEvent({workflow, exchange, step, event});
+}
+
+/**
+ * Sends an event to the step callback, if a step with one is given, or
+ * otherwise to every workflow event subscription for the event's type. The
+ * event is stored in the webhook outbox and delivered asynchronously; this
+ * function does not wait for delivery and never throws.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.workflow - The workflow configuration.
+ * @param {object} options.exchange - The exchange the event is about.
+ * @param {object} [options.step] - The step with any callback to notify.
+ * @param {object} options.event - The event to send, see `createEvent()`.
+ *
+ * @returns {Promise<undefined>} Resolves once the event has been stored.
+ */
+export async function sendEvent({workflow, exchange, step, event}) {
+  // a step callback overrides any workflow event subscriptions
+  const receivers = step?.callback?.url ? [{url: step.callback.url}] :
+    (workflow.eventSubscriptions ?? [])
+      .map((subscription, subscriptionIndex) => ({
+        ...subscription, subscriptionIndex
+      }))
+      .filter(({events}) => events.includes(event.type));
+
+  for(const {url, secret, subscriptionIndex} of receivers) {
+    try {
+      const delivery = {
+        id: await generateRandom(),
+        workflowId: workflow.id,
+        exchangeId: exchange.id,
+        url,
+        body: {event}
+      };
+      if(secret !== undefined) {
+        // reference the subscription to get its secret from when sending
+        delivery.subscriptionIndex = subscriptionIndex;
+      }
+      await webhookOutbox.insert({delivery});
+
+      // attempt delivery right away; the outbox worker handles any retries
+      _attemptDelivery({id: delivery.id}).catch(
+        error => logger.error(
+          `Could not attempt "${event.type}" push notification delivery: ` +
+          error.message, {error}));
+    } catch(error) {
+      logger.error(
+        `Could not send "${event.type}" push notification: ` +
+        error.message, {error});
+    }
+  }
+}
+
+async function _attemptDelivery({id} = {}) {
+  const {
+    leaseTime, timeout, retry, deadLetter
+  } = bedrock.config['vc-workflow'].webhooks;
+
+  // claim the delivery (or any due delivery if `id` is not given)
+  const record = await webhookOutbox.claim({id, leaseTime});
+  if(!record) {
+    return false;
+  }
+
+  const {delivery} = record;
+  try {
+    await _send({delivery, timeout});
+    await webhookOutbox.remove({id: delivery.id});
+  } catch(error) {
+    if(delivery.attempts >= retry.maxAttempts) {
+      logger.error(
+        `Webhook delivery "${delivery.id}" failed after ` +
+        `${delivery.attempts} attempt(s); moving it to the dead-letter store.`,
+        {error, workflowId: delivery.workflowId, url: delivery.url});
+      await webhookOutbox.moveToDeadLetter({
+        record, error, ttl: deadLetter.ttl
+      });
+    } else {
+      // exponential backoff
+      const delay = Math.min(
+        retry.initialDelay * 2 ** (delivery.attempts - 1), retry.maxDelay);
+      await webhookOutbox.reschedule({
+        id: delivery.id, nextAttempt: Date.now() + delay, error
+      });
+    }
+  }
+  return true;
+}
+
+async function _createSignatureHeaders({workflowId, url, body}) {
+  const signer = await _getSigner({workflowId});
+  const contentDigest =
+    `sha-256=:${createHash('sha256').update(body).digest('base64')}:`;
+  const values = {
+    '@method': 'POST',
+    '@target-uri': url,
+    'content-type': 'application/json',
+    'content-digest': contentDigest
+  };
+  const created = Math.floor(Date.now() / 1000);
+  const signatureParams =
+    `(${SIGNATURE_COMPONENTS.map(c => `"${c}"`).join(' ')})` +
+    `;created=${created};keyid="${signer.id}"`;
+  const signatureBase =
+    SIGNATURE_COMPONENTS.map(c => `"${c}": ${values[c]}\n`).join('') +
+    `"@signature-params": ${signatureParams}`;
+  const signature = await signer.sign({
+    data: new TextEncoder().encode(signatureBase)
+  });
+  return {
+    'content-digest': contentDigest,
+    'signature-input': `sig1=${signatureParams}`,
+    signature: `sig1=:${Buffer.from(signature).toString('base64')}:`
+  };
+}
+
+async function _getSigner({workflowId}) {
+  // backwards-compatibility: support deprecated `vc-exchanger`
+  const {pathname} = new URL(workflowId);
+  const serviceType = pathname.startsWith('/workflows/') ?
+    'vc-workflow' : 'vc-exchanger';
+  const {serviceAgent} = await serviceAgents.get({serviceType});
+  return serviceAgents.getInvocationSigner({serviceAgent});
+}
+
+async function _getSubscriptionSecret({delivery}) {
+  const {workflowId, url, subscriptionIndex, body: {event}} = delivery;
+  const workflow = await getWorkflow({id: workflowId});
+  const subscriptions = workflow?.eventSubscriptions ?? [];
+  // the subscription may have moved if the workflow config has been updated
+  const subscription = subscriptions[subscriptionIndex]?.url === url ?
+    subscriptions[subscriptionIndex] :
+    subscriptions.find(s => s.url === url && s.events.includes(event.type));
+  if(subscription?.secret === undefined) {
+    throw new BedrockError('Event subscription secret not found.', {
+      name: 'NotFoundError',
+      details: {httpStatusCode: 404, public: true}
+    });
+  }
+  return subscription.secret;
+}
+
+async function _send({delivery, timeout}) {
+  const {workflowId, url, subscriptionIndex} = delivery;
+  // serialize body once so that its digest matches what is sent exactly
+  const body = JSON.stringify(delivery.body);
+  const headers = await _createSignatureHeaders({workflowId, url, body});
+  if(subscriptionIndex !== undefined) {
+    const secret = await _getSubscriptionSecret({delivery});
+    headers.authorization = `Bearer ${secret}`;
+  }
+  await httpClient.post(url, {
+    agent: httpsAgent,
+    timeout,
+    headers: {'content-type': 'application/json', ...headers},
+    body
+  });
+}
+
+async function _startOutboxWorker() {
+  const {
+    webhooks: {outboxWorker: {interval}}
+  } = bedrock.config['vc-workflow'];
+  const {signal} = OUTBOX_WORKER.abortController;
+  while(!signal.aborted) {
+    try {
+      // attempt every delivery that is due
+      while(!signal.aborted && await _attemptDelivery()) {}
+    } catch(e) {
+      logger.error('Error in webhook outbox worker job.', {error: e});
+    }
+    try {
+      // delay for `interval` plus some fuzzing (up to half of `interval`)
+      // to spread load
+      await rangeDelay(interval, interval * 1.5, {signal});
+    } catch(e) {
+      if(e.name === 'AbortError') {
+        break;
+      }
+      throw e;
+    }
+  }
+}
@@ -0,0 +1,54 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+
+/* Note: Background workers (e.g., the exchange expiry sweeper) do not run in
+the context of a request for a workflow, so they get workflow configs from the
+services added here. */
+
+// services with workflow configs
+const SERVICES = [];
+
+/**
+ * Adds a service with workflow configs for background workers to use.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.service - The service.
+ */
+export function addService({service} = {}) {
+  SERVICES.push(service);
+}
+
+/**
+ * Gets a workflow config by its ID or, if the service is not known, by its
+ * local ID.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.id] - The ID of the workflow.
+ * @param {string} [options.localWorkflowId] - The local ID of the workflow,
+ *   used if `id` is not given.
+ *
+ * @returns {Promise<object|null>} Resolves to the workflow config or `null`
+ *   if it was not found.
+ */
+export async function getWorkflow({id, localWorkflowId} = {}) {
+  const {baseUri} = bedrock.config.server;
+  for(const {configStorage, routePrefix} of SERVICES) {
+    const serviceBaseUrl = `${baseUri}${routePrefix}`;
+    if(id !== undefined && !id.startsWith(`${serviceBaseUrl}/`)) {
+      continue;
+    }
+    try {
+      const {config} = await configStorage.get({
+        id: id ?? `${serviceBaseUrl}/${localWorkflowId}`
+      });
+      return config;
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+    }
+  }
+  return null;
+}
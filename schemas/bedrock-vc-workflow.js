@@ -1,7 +1,10 @@
 /*!
  * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import {MAX_ISSUER_INSTANCES} from '../lib/constants.js';
+import {
+  BLOCKING_CALLBACK_TIMEOUT_MAX, EXCHANGE_EVENT_TYPES, MAX_EVENT_SUBSCRIPTIONS,
+  MAX_ISSUER_INSTANCES, STATUS_TOKEN_TTL_MAX
+} from '../lib/constants.js';
 import {schemas} from '@bedrock/validation';
 
 const VC_CONTEXT_1 = 'https://www.w3.org/2018/credentials/v1';
@@ -283,6 +286,39 @@ function mdocCredentialConfiguration() {
   };
 }
 
+function sdJwtCredentialConfiguration() {
+  return {
+    title: 'OID4VCI Credential Configuration for SD-JWT VCs',
+    type: 'object',
+    required: ['format', 'vct'],
+    additionalProperties: false,
+    properties: {
+      cryptographic_binding_methods_supported: {
+        type: 'array',
+        minItems: 1,
+        items: {type: 'string'}
+      },
+      credential_signing_alg_values_supported: {
+        type: 'array',
+        minItems: 1,
+        items: {type: 'string'}
+      },
+      format: {
+        type: 'string',
+        enum: ['dc+sd-jwt']
+      },
+      proof_types_supported: {
+        type: 'object',
+        properties: {
+          di_vp: supportedProofTypeConfiguration,
+          jwt: supportedProofTypeConfiguration
+        }
+      },
+      vct: {type: 'string'}
+    }
+  };
+}
+
 const openIdExchangeOptions = {
   title: 'OpenID Exchange options',
   type: 'object',
@@ -343,7 +379,115 @@ export function createExchangeBody() {
         type: 'object',
         additionalProperties: true
       },
-      openId: openIdExchangeOptions
+      openId: openIdExchangeOptions,
+      // optionally mint an exchange-scoped, read-only status token
+      statusToken: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          // time to live in seconds
+          ttl: {type: 'number', minimum: 1, maximum: STATUS_TOKEN_TTL_MAX}
+        }
+      }
+    }
+  };
+}
+
+export function extendExchangeBody() {
+  return {
+    title: 'Extend Exchange',
+    type: 'object',
+    additionalProperties: false,
+    // use either `expires` or `ttl`, but NOT both
+    oneOf: [{required: ['ttl']}, {required: ['expires']}],
+    properties: {
+      ttl: {type: 'number'},
+      expires: schemas.w3cDateTime()
+    }
+  };
+}
+
+export function rejectExchangeBody() {
+  return {
+    title: 'Reject Exchange',
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      reason: {type: 'string', maxLength: 1024}
+    }
+  };
+}
+
+export function updateExchangeVariablesBody() {
+  return {
+    title: 'Update Exchange Variables',
+    type: 'object',
+    additionalProperties: false,
+    required: ['operations'],
+    properties: {
+      // optional expected current exchange `sequence`
+      sequence: {type: 'integer', minimum: 0},
+      operations: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['op', 'path', 'value'],
+          properties: {
+            op: {type: 'string', enum: ['set', 'merge']},
+            // RFC 6901 JSON pointer into `exchange.variables`; the empty
+            // string is the root
+            path: {type: 'string', pattern: '^(/|$)'},
+            value: {}
+          }
+        }
+      }
+    }
+  };
+}
+
+export function findExchangesQuery() {
+  return {
+    title: 'Find Exchanges Query',
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      state: {
+        type: 'string',
+        enum: ['pending', 'active', 'complete', 'invalid', 'cancelled']
+      },
+      step: {type: 'string'},
+      createdAfter: schemas.w3cDateTime(),
+      createdBefore: schemas.w3cDateTime(),
+      updatedAfter: schemas.w3cDateTime(),
+      updatedBefore: schemas.w3cDateTime(),
+      hasLastError: {type: 'string', enum: ['true', 'false']},
+      // query parameters are always strings
+      limit: {type: 'string', pattern: '^[1-9][0-9]{0,2}$'},
+      cursor: {type: 'string', pattern: '^[A-Za-z0-9_-]+$'}
+    }
+  };
+}
+
+export function simulateWorkflowBody() {
+  return {
+    title: 'Simulate Workflow',
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      variables: {
+        type: 'object',
+        additionalProperties: true
+      },
+      // mock step results (e.g., `verifiablePresentation`, `did`) by step name
+      results: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          additionalProperties: true
+        }
+      }
     }
   };
 }
@@ -409,6 +553,9 @@ const issuerInstance = {
   additionalProperties: false,
   properties: {
     id: {type: 'string'},
+    // optional priority group; matching issuer instances are tried in order
+    // of priority (lowest first) and load balanced within a group
+    priority: {type: 'integer', minimum: 0},
     oid4vci: {
       type: 'object',
       required: ['supportedCredentialConfigurations'],
@@ -419,7 +566,11 @@ const issuerInstance = {
           additionalProperties: false,
           patternProperties: {
             '^.*$': {
-              oneOf: [credentialConfiguration(), mdocCredentialConfiguration()]
+              oneOf: [
+                credentialConfiguration(),
+                mdocCredentialConfiguration(),
+                sdJwtCredentialConfiguration()
+              ]
             }
           }
         }
@@ -447,6 +598,15 @@ export function issuerInstances() {
   };
 }
 
+const issueRequestOid4vci = {
+  type: 'object',
+  required: ['credentialConfigurationId'],
+  additionalProperties: false,
+  properties: {
+    credentialConfigurationId: {type: 'string'}
+  }
+};
+
 const issueRequestParameters = {
   title: 'Issue Request Parameters',
   type: 'object',
@@ -455,18 +615,31 @@ const issueRequestParameters = {
   }, {
     required: ['credentialTemplateIndex']
   }],
+  // credentials issued to multiple targets cannot be stored in one `result`
+  not: {
+    required: ['result', 'targets']
+  },
   additionalProperties: false,
   properties: {
     // optionally explicitly reference an issuer instance to use
     issuerInstanceId: {type: 'string'},
     credentialTemplateId: {type: 'string'},
     credentialTemplateIndex: {type: 'number'},
-    oid4vci: {
-      type: 'object',
-      required: ['credentialConfigurationId'],
-      additionalProperties: false,
-      properties: {
-        credentialConfigurationId: {type: 'string'}
+    oid4vci: issueRequestOid4vci,
+    // optionally issue a copy of the credential via each target, e.g., to
+    // issue it in multiple formats; any target options override those above
+    targets: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_ISSUER_INSTANCES,
+      items: {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: false,
+        properties: {
+          issuerInstanceId: {type: 'string'},
+          oid4vci: issueRequestOid4vci
+        }
       }
     },
     // optional specify where to store the issued VCs instead of automatically
@@ -475,7 +648,10 @@ const issueRequestParameters = {
     // optionally specify different variables
     variables: {
       oneOf: [{type: 'string'}, {type: 'object'}]
-    }
+    },
+    // optional condition that is evaluated against the exchange variables;
+    // the issue request is skipped unless it evaluates to a truthy value
+    condition: typedTemplate
   }
 };
 
@@ -556,10 +732,9 @@ const oid4vpClientProfile = {
         }
       }
     },
-    // optional protocol URL parameters
+    // optional protocol URL parameters; any that are not given use defaults
     protocolUrlParameters: {
       type: 'object',
-      required: ['name', 'scheme'],
       additionalProperties: false,
       properties: {
         name: {
@@ -598,19 +773,60 @@ export function oid4vpClientProfiles() {
   };
 }
 
-function computedStep() {
+export function computedStep() {
   return {
     title: 'Computed Exchange Step',
     type: 'object',
     additionalProperties: false,
     properties: {
       allowUnprotectedPresentation: {type: 'boolean'},
+      // wait for workflow coordinator approval before completing the step
+      awaitApproval: {type: 'boolean'},
+      // ordered conditional transitions to other steps; the first branch with
+      // a `condition` that evaluates to a truthy value is taken when the step
+      // completes, otherwise `nextStep` is used (if set)
+      branches: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['condition', 'nextStep'],
+          additionalProperties: false,
+          properties: {
+            condition: typedTemplate,
+            nextStep: {type: 'string'}
+          }
+        }
+      },
       callback: {
         type: 'object',
         required: ['url'],
         additionalProperties: false,
         properties: {
-          url: {type: 'string'}
+          url: {type: 'string'},
+          // `notify` (default) only sends non-blocking notifications when the
+          // exchange is updated; `blocking` also calls `url` while processing
+          // the step and stores the response in the step results
+          mode: {
+            type: 'string',
+            enum: ['notify', 'blocking']
+          },
+          // timeout (in milliseconds) for `blocking` callbacks
+          timeout: {
+            type: 'integer',
+            minimum: 1,
+            maximum: BLOCKING_CALLBACK_TIMEOUT_MAX
+          },
+          // schema used to validate `blocking` callback responses
+          responseSchema: {
+            type: 'object',
+            required: ['type', 'jsonSchema'],
+            additionalProperties: false,
+            properties: {
+              type: {type: 'string'},
+              jsonSchema: {type: 'object'}
+            }
+          }
         }
       },
       createChallenge: {type: 'boolean'},
@@ -676,9 +892,7 @@ function computedStep() {
       openId: {
         // either a single top-level client profile is specified here or
         // `clientProfiles` is specified with nested client profiles
-        oneOf: [{
-          oid4vpClientProfile
-        }, {
+        oneOf: [oid4vpClientProfile, {
           type: 'object',
           required: ['clientProfiles'],
           additionalProperties: false,
@@ -697,6 +911,9 @@ function computedStep() {
         }
       },
       redirectUrl: {type: 'string'},
+      // sign `verifiablePresentation` (including any VCs issued in this step)
+      // using the workflow's `createPresentation` zcap before delivering it
+      signVerifiablePresentation: {type: 'boolean'},
       // the base verifiable presentation to use in this step; any VCs that
       // are issued in this step (see: `issueRequests`) will be added to this
       // VP, in which case any proofs on it will be invalidated; VCs that were
@@ -762,6 +979,43 @@ export function steps() {
   };
 }
 
+export function duplicateCompletionAction() {
+  return {
+    title: 'Duplicate Exchange Completion Action',
+    type: 'string',
+    enum: ['revoke', 'notify', 'none']
+  };
+}
+
+export function eventSubscriptions() {
+  return {
+    title: 'Exchange Event Subscriptions',
+    type: 'array',
+    minItems: 1,
+    maxItems: MAX_EVENT_SUBSCRIPTIONS,
+    items: {
+      type: 'object',
+      required: ['url', 'events'],
+      additionalProperties: false,
+      properties: {
+        url: {type: 'string'},
+        // the types of events to send to `url`
+        events: {
+          type: 'array',
+          minItems: 1,
+          uniqueItems: true,
+          items: {
+            type: 'string',
+            enum: ['exchangeUpdated', ...EXCHANGE_EVENT_TYPES]
+          }
+        },
+        // optional secret sent as a bearer token with every delivery
+        secret: {type: 'string', minLength: 1}
+      }
+    }
+  };
+}
+
 export function initialStep() {
   return {
     title: 'Initial Exchange Step',
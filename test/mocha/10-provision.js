@@ -15,7 +15,8 @@ describe('provision', () => {
   let workflowVerifyPresentationZcap;
   beforeEach(async () => {
     ({
-      workflowIssueZcap, workflowVerifyPresentationZcap, capabilityAgent
+      workflowIssueZcap, workflowCredentialStatusZcap,
+      workflowVerifyPresentationZcap, capabilityAgent
     } = await helpers.provisionDependencies());
   });
 
@@ -169,6 +170,174 @@ describe('provision', () => {
         'A capability to issue credentials is required when credential ' +
         'templates are provided.');
     });
+    it('creates a config with a duplicate completion action', async () => {
+      let err;
+      let result;
+      try {
+        const zcaps = {
+          issue: workflowIssueZcap,
+          credentialStatus: workflowCredentialStatusZcap
+        };
+        result = await helpers.createWorkflowConfig({
+          capabilityAgent, zcaps,
+          configOptions: {duplicateCompletionAction: 'revoke'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.should.have.keys([
+        'controller', 'id', 'sequence', 'meterId', 'zcaps',
+        'duplicateCompletionAction'
+      ]);
+      result.duplicateCompletionAction.should.equal('revoke');
+    });
+    it('throws with "revoke" action and no status zcap', async () => {
+      let err;
+      let result;
+      try {
+        const zcaps = {issue: workflowIssueZcap};
+        result = await helpers.createWorkflowConfig({
+          capabilityAgent, zcaps,
+          configOptions: {duplicateCompletionAction: 'revoke'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      should.exist(err.data);
+      err.data.name.should.equal('DataError');
+      const {message} = err.data.details.cause;
+      message.should.contain(
+        'A capability to update credential status is required when ' +
+        '"duplicateCompletionAction" is "revoke".');
+    });
+    it('throws with an invalid duplicate completion action', async () => {
+      let err;
+      let result;
+      try {
+        result = await helpers.createWorkflowConfig({
+          capabilityAgent,
+          configOptions: {duplicateCompletionAction: 'unknown'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      err.data.name.should.equal('ValidationError');
+    });
+    it('throws with every problem found in steps', async () => {
+      let err;
+      let result;
+      try {
+        const zcaps = {issue: workflowIssueZcap};
+        const credentialTemplates = [{
+          type: 'jsonata',
+          template: '{"id": credentialId'
+        }];
+        const steps = {
+          first: {
+            issueRequests: [{
+              credentialTemplateIndex: 1
+            }, {
+              credentialTemplateId: 'urn:unknown',
+              issuerInstanceId: 'urn:unknown'
+            }],
+            nextStep: 'second'
+          },
+          unreachable: {}
+        };
+        result = await helpers.createWorkflowConfig({
+          capabilityAgent, zcaps, credentialTemplates, steps,
+          initialStep: 'first'
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      err.status.should.equal(400);
+      err.data.name.should.equal('DataError');
+      const {details: {errors, warnings}} = err.data.details.cause;
+      errors.map(({path}) => path).should.deep.equal([
+        '.credentialTemplates[0].template',
+        '.steps.first.nextStep',
+        '.steps.first.issueRequests[0].credentialTemplateIndex',
+        '.steps.first.issueRequests[1].credentialTemplateId',
+        '.steps.first.issueRequests[1].issuerInstanceId'
+      ]);
+      warnings.should.deep.equal([{
+        message: 'Step "unreachable" cannot be reached from "initialStep".',
+        path: '.steps.unreachable'
+      }]);
+    });
+    it('throws with an inconsistent OID4VP client profile', async () => {
+      let err;
+      let result;
+      try {
+        const steps = {
+          myStep: {
+            openId: {
+              clientProfiles: {
+                default: {
+                  createAuthorizationRequest: 'authorizationRequest',
+                  client_id: 'x509_san_dns:example.com',
+                  client_id_scheme: 'redirect_uri',
+                  client_metadata: {
+                    require_signed_request_object: true
+                  }
+                }
+              }
+            }
+          }
+        };
+        result = await helpers.createWorkflowConfig({
+          capabilityAgent, steps, initialStep: 'myStep'
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      err.status.should.equal(400);
+      err.data.name.should.equal('DataError');
+      const {details: {errors}} = err.data.details.cause;
+      errors.map(({path}) => path).should.deep.equal([
+        '.steps.myStep.openId.clientProfiles.default.client_id',
+        '.steps.myStep.openId.clientProfiles.default.zcapReferenceIds'
+      ]);
+    });
+    it('allows an unknown OID4VP client ID scheme', async () => {
+      let err;
+      let result;
+      try {
+        const steps = {
+          myStep: {
+            openId: {
+              clientProfiles: {
+                default: {
+                  createAuthorizationRequest: 'authorizationRequest',
+                  client_id: 'https://example.com/verifier',
+                  client_id_scheme: 'https'
+                }
+              }
+            }
+          }
+        };
+        result = await helpers.createWorkflowConfig({
+          capabilityAgent, steps, initialStep: 'myStep'
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.steps.myStep.openId.clientProfiles.default.client_id_scheme
+        .should.equal('https');
+    });
     it('throws if duplicate client-chosen ID is used', async () => {
       let err;
       let result;
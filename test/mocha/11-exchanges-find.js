@@ -0,0 +1,166 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+
+const {credentialTemplate} = mockData;
+
+describe('find exchanges', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    const zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const credentialTemplates = [{
+      type: 'jsonata',
+      template: credentialTemplate
+    }];
+    const workflowConfig = await helpers.createWorkflowConfig(
+      {capabilityAgent, zcaps, credentialTemplates});
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  it('should page through exchanges', async () => {
+    const exchangeIds = [];
+    for(let i = 0; i < 3; ++i) {
+      const {exchangeId} = await helpers.createCredentialOffer({
+        capabilityAgent, workflowId, workflowRootZcap, openId: false
+      });
+      exchangeIds.push(exchangeId);
+    }
+
+    let err;
+    let page1;
+    let page2;
+    try {
+      page1 = await helpers.findExchanges(
+        {workflowId, capabilityAgent, query: {limit: 2}});
+      page2 = await helpers.findExchanges({
+        workflowId, capabilityAgent,
+        query: {limit: 2, cursor: page1.nextCursor}
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    page1.exchanges.length.should.equal(2);
+    should.exist(page1.nextCursor);
+    page2.exchanges.length.should.equal(1);
+    should.not.exist(page2.nextCursor);
+    const ids = [...page1.exchanges, ...page2.exchanges].map(
+      ({id}) => `${workflowId}/exchanges/${id}`);
+    ids.should.deep.equal(exchangeIds);
+  });
+
+  it('should filter exchanges by state', async () => {
+    const {exchangeId: completedId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, openId: false
+    });
+    const {exchangeId: pendingId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, openId: false
+    });
+    // complete the first exchange
+    await httpClient.post(completedId, {agent, json: {}});
+
+    let err;
+    let complete;
+    let pending;
+    try {
+      complete = await helpers.findExchanges(
+        {workflowId, capabilityAgent, query: {state: 'complete'}});
+      pending = await helpers.findExchanges(
+        {workflowId, capabilityAgent, query: {state: 'pending'}});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    complete.exchanges.length.should.equal(1);
+    `${workflowId}/exchanges/${complete.exchanges[0].id}`.should.equal(
+      completedId);
+    pending.exchanges.length.should.equal(1);
+    `${workflowId}/exchanges/${pending.exchanges[0].id}`.should.equal(
+      pendingId);
+  });
+
+  it('should filter exchanges by creation time', async () => {
+    await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, openId: false
+    });
+    const createdAfter = new Date().toISOString();
+
+    let err;
+    let result;
+    try {
+      result = await helpers.findExchanges(
+        {workflowId, capabilityAgent, query: {createdAfter}});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.exchanges.length.should.equal(0);
+  });
+
+  it('should not return secrets', async () => {
+    await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap,
+      credentialDefinition: mockData.credentialDefinition,
+      preAuthorized: true
+    });
+
+    let err;
+    let result;
+    try {
+      result = await helpers.findExchanges({workflowId, capabilityAgent});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.exchanges.length.should.equal(1);
+    const [exchange] = result.exchanges;
+    should.exist(exchange.openId?.oauth2?.keyPair?.publicKeyJwk);
+    should.not.exist(exchange.openId.oauth2.keyPair.privateKeyJwk);
+    should.not.exist(exchange.secrets);
+  });
+
+  it('should fail with an invalid query parameter', async () => {
+    let err;
+    try {
+      await helpers.findExchanges(
+        {workflowId, capabilityAgent, query: {state: 'unknown'}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.data.name.should.equal('ValidationError');
+  });
+
+  it('should fail with an invalid cursor', async () => {
+    let err;
+    try {
+      await helpers.findExchanges(
+        {workflowId, capabilityAgent, query: {cursor: 'invalid'}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.data.name.should.equal('DataError');
+  });
+});
@@ -0,0 +1,174 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+import {push} from '@bedrock/notify';
+
+const {baseUrl} = mockData;
+
+describe('cancel exchange', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    const zcaps = {
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const steps = {
+      didAuthn: {
+        stepTemplate: {
+          type: 'jsonata',
+          template: `
+          {
+            "createChallenge": true,
+            "verifiablePresentationRequest": {
+              "query": {
+                "type": "DIDAuthentication",
+                "acceptedMethods": [{"method": "key"}]
+              },
+              "domain": domain
+            },
+            "callback": {
+              "url": callbackUrl
+            }
+          }`
+        }
+      }
+    };
+    const initialStep = 'didAuthn';
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, steps, initialStep
+    });
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _createExchange() {
+    const {token} = await push.createPushToken({event: 'exchangeUpdated'});
+    const exchange = {
+      ttl: 60 * 15,
+      variables: {
+        callbackUrl: `${baseUrl}/callbacks/${token}`,
+        domain: baseUrl
+      }
+    };
+    const {id} = await helpers.createExchange({
+      url: `${workflowId}/exchanges`,
+      capabilityAgent, capability: workflowRootZcap, exchange
+    });
+    return id;
+  }
+
+  function _expectCallback({exchangeId}) {
+    // note: `Promise.withResolvers()` not available on node 20 so can't use
+    let callbackResolve;
+    const callbackPromise = new Promise(r => callbackResolve = r);
+    helpers.PUSH_NOTIFICATION_CALLBACK_DATA.expectedExchangeId = exchangeId;
+    helpers.PUSH_NOTIFICATION_CALLBACK_DATA.resolve = callbackResolve;
+    return callbackPromise;
+  }
+
+  it('should cancel a pending exchange', async () => {
+    const exchangeId = await _createExchange();
+    const callbackPromise = _expectCallback({exchangeId});
+
+    let err;
+    try {
+      await helpers.cancelExchange({id: exchangeId, capabilityAgent});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    // callback should be called
+    const callbackMatch = await callbackPromise;
+    callbackMatch.should.equal(true);
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.state.should.equal('cancelled');
+  });
+
+  it('should cancel an active exchange', async () => {
+    const exchangeId = await _createExchange();
+    // post to exchange URL to get VPR and activate exchange
+    await httpClient.post(exchangeId, {agent, json: {}});
+
+    let err;
+    try {
+      await helpers.cancelExchange({id: exchangeId, capabilityAgent});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.state.should.equal('cancelled');
+  });
+
+  it('should reject use of a cancelled exchange', async () => {
+    const exchangeId = await _createExchange();
+    await helpers.cancelExchange({id: exchangeId, capabilityAgent});
+    const {exchange: cancelled} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+
+    let err;
+    try {
+      await httpClient.post(exchangeId, {agent, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+    err.data.message.should.equal('Exchange has been cancelled.');
+
+    // rejection must not change the exchange
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.sequence.should.equal(cancelled.sequence);
+    should.not.exist(exchange.lastError);
+  });
+
+  it('should fail to cancel a cancelled exchange', async () => {
+    const exchangeId = await _createExchange();
+    await helpers.cancelExchange({id: exchangeId, capabilityAgent});
+
+    let err;
+    try {
+      await helpers.cancelExchange({id: exchangeId, capabilityAgent});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(409);
+    err.data.name.should.equal('InvalidStateError');
+  });
+
+  it('should fail to cancel an unknown exchange', async () => {
+    let err;
+    try {
+      await helpers.cancelExchange({
+        id: `${workflowId}/exchanges/z1A2RmqSkhFeoFDmGTE2W4mTe`,
+        capabilityAgent
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(404);
+    err.data.name.should.equal('NotFoundError');
+  });
+});
@@ -0,0 +1,193 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+
+const {baseUrl, credentialTemplate} = mockData;
+
+describe('exchange history', () => {
+  describe('issuance', () => {
+    let capabilityAgent;
+    let workflowId;
+    let workflowRootZcap;
+    beforeEach(async () => {
+      const deps = await helpers.provisionDependencies();
+      const {
+        workflowIssueZcap,
+        workflowCredentialStatusZcap
+      } = deps;
+      ({capabilityAgent} = deps);
+
+      const zcaps = {
+        issue: workflowIssueZcap,
+        credentialStatus: workflowCredentialStatusZcap
+      };
+      const credentialTemplates = [{
+        type: 'jsonata',
+        template: credentialTemplate
+      }];
+      const workflowConfig = await helpers.createWorkflowConfig(
+        {capabilityAgent, zcaps, credentialTemplates});
+      workflowId = workflowConfig.id;
+      workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+    });
+
+    it('should record exchange creation', async () => {
+      const {exchangeId} = await helpers.createCredentialOffer({
+        capabilityAgent, workflowId, workflowRootZcap, openId: false
+      });
+
+      let err;
+      let result;
+      try {
+        result = await helpers.getExchangeHistory(
+          {id: exchangeId, capabilityAgent});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      result.history.map(({type}) => type).should.deep.equal(['created']);
+      result.history[0].state.should.equal('pending');
+      result.history[0].sequence.should.equal(0);
+    });
+
+    it('should record issuance and completion', async () => {
+      const {exchangeId} = await helpers.createCredentialOffer({
+        capabilityAgent, workflowId, workflowRootZcap, openId: false
+      });
+      await httpClient.post(exchangeId, {agent, json: {}});
+
+      let err;
+      let result;
+      try {
+        result = await helpers.getExchangeHistory(
+          {id: exchangeId, capabilityAgent});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      result.history.map(({type}) => type).should.deep.equal(
+        ['created', 'issued', 'completed']);
+      const [, issued, completed] = result.history;
+      issued.data.issueRequestCount.should.equal(1);
+      issued.data.issuedCredentials.should.be.an('array');
+      completed.state.should.equal('complete');
+    });
+
+    it('should record errors', async () => {
+      const {exchangeId} = await helpers.createCredentialOffer({
+        capabilityAgent, workflowId, workflowRootZcap, openId: false
+      });
+      await httpClient.post(exchangeId, {agent, json: {}});
+      // reuse completed exchange
+      let err;
+      try {
+        await httpClient.post(exchangeId, {agent, json: {}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+
+      const result = await helpers.getExchangeHistory(
+        {id: exchangeId, capabilityAgent});
+      const last = result.history.at(-1);
+      last.type.should.equal('error');
+      last.error.name.should.equal('NotAllowedError');
+      should.not.exist(last.error.stack);
+    });
+
+    it('should fail for an unknown exchange', async () => {
+      let err;
+      try {
+        await helpers.getExchangeHistory({
+          id: `${workflowId}/exchanges/z1A2RmqSkhFeoFDmGTE2W4mTe`,
+          capabilityAgent
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(404);
+      err.data.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('presentation', () => {
+    let capabilityAgent;
+    let workflowId;
+    let workflowRootZcap;
+    beforeEach(async () => {
+      const deps = await helpers.provisionDependencies();
+      const {
+        workflowCreateChallengeZcap,
+        workflowVerifyPresentationZcap
+      } = deps;
+      ({capabilityAgent} = deps);
+
+      const zcaps = {
+        createChallenge: workflowCreateChallengeZcap,
+        verifyPresentation: workflowVerifyPresentationZcap
+      };
+      const steps = {
+        didAuthn: {
+          createChallenge: true,
+          verifiablePresentationRequest: {
+            query: {
+              type: 'DIDAuthentication',
+              acceptedMethods: [{method: 'key'}]
+            },
+            domain: baseUrl
+          }
+        }
+      };
+      const initialStep = 'didAuthn';
+      const workflowConfig = await helpers.createWorkflowConfig({
+        capabilityAgent, zcaps, steps, initialStep
+      });
+      workflowId = workflowConfig.id;
+      workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+    });
+
+    it('should record received and verified presentations', async () => {
+      const {id: exchangeId} = await helpers.createExchange({
+        url: `${workflowId}/exchanges`,
+        capabilityAgent, capability: workflowRootZcap,
+        exchange: {ttl: 60 * 15, variables: {}}
+      });
+
+      // get VPR
+      const response = await httpClient.post(exchangeId, {agent, json: {}});
+      const {data: {verifiablePresentationRequest: vpr}} = response;
+
+      // send DID authn VP
+      const {domain, challenge} = vpr;
+      const {verifiablePresentation} = await helpers.createDidAuthnVP(
+        {domain, challenge});
+      await httpClient.post(
+        exchangeId, {agent, json: {verifiablePresentation}});
+
+      let err;
+      let result;
+      try {
+        result = await helpers.getExchangeHistory(
+          {id: exchangeId, capabilityAgent});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      result.history.map(({type}) => type).should.deep.equal([
+        'created', 'updated', 'presentationReceived', 'presentationVerified',
+        'updated', 'completed'
+      ]);
+      const [, updated, received, verified] = result.history;
+      updated.state.should.equal('active');
+      updated.step.should.equal('didAuthn');
+      received.data.sha256.should.be.a('string');
+      should.not.exist(received.data.verifiablePresentation);
+      verified.data.verified.should.equal(true);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+
+const {credentialTemplate} = mockData;
+
+describe('extend exchange', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    const zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const credentialTemplates = [{
+      type: 'jsonata',
+      template: credentialTemplate
+    }];
+    const workflowConfig = await helpers.createWorkflowConfig(
+      {capabilityAgent, zcaps, credentialTemplates});
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _createExchange() {
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, openId: false
+    });
+    return exchangeId;
+  }
+
+  it('should extend an exchange using "ttl"', async () => {
+    const exchangeId = await _createExchange();
+    const {exchange: before} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+
+    let err;
+    let result;
+    try {
+      result = await helpers.extendExchange(
+        {id: exchangeId, capabilityAgent, ttl: 60 * 60 * 24});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(result?.expires);
+    Date.parse(result.expires).should.be.greaterThan(
+      Date.parse(before.expires));
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.expires.should.equal(result.expires);
+    exchange.sequence.should.equal(before.sequence + 1);
+  });
+
+  it('should extend an exchange using "expires"', async () => {
+    const exchangeId = await _createExchange();
+    const expires = new Date(Date.now() + 1000 * 60 * 60)
+      .toISOString().replace(/\.\d+Z$/, 'Z');
+
+    let err;
+    let result;
+    try {
+      result = await helpers.extendExchange(
+        {id: exchangeId, capabilityAgent, expires});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.expires.should.equal(expires);
+
+    // exchange should still be usable
+    const response = await httpClient.post(exchangeId, {agent, json: {}});
+    should.exist(response?.data?.verifiablePresentation);
+  });
+
+  it('should fail to extend beyond the maximum TTL', async () => {
+    const exchangeId = await _createExchange();
+
+    let err;
+    try {
+      await helpers.extendExchange(
+        {id: exchangeId, capabilityAgent, ttl: 60 * 60 * 24 * 3});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+  });
+
+  it('should fail to shorten an exchange', async () => {
+    const exchangeId = await _createExchange();
+
+    let err;
+    try {
+      await helpers.extendExchange(
+        {id: exchangeId, capabilityAgent, ttl: 60});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+  });
+
+  it('should fail to extend a completed exchange', async () => {
+    const exchangeId = await _createExchange();
+    await httpClient.post(exchangeId, {agent, json: {}});
+
+    let err;
+    try {
+      await helpers.extendExchange(
+        {id: exchangeId, capabilityAgent, ttl: 60 * 60});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(409);
+    err.data.name.should.equal('InvalidStateError');
+  });
+
+  it('should fail with both "ttl" and "expires"', async () => {
+    const exchangeId = await _createExchange();
+    const expires = new Date(Date.now() + 1000 * 60 * 60).toISOString();
+
+    let err;
+    try {
+      await helpers.extendExchange(
+        {id: exchangeId, capabilityAgent, ttl: 60 * 60, expires});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.data.name.should.equal('ValidationError');
+  });
+});
@@ -0,0 +1,190 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+import {v4 as uuid} from 'uuid';
+
+const {credentialTemplate} = mockData;
+
+describe('update exchange variables', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    const zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const credentialTemplates = [{
+      type: 'jsonata',
+      template: credentialTemplate
+    }];
+    const workflowConfig = await helpers.createWorkflowConfig(
+      {capabilityAgent, zcaps, credentialTemplates});
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _createExchange() {
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, openId: false
+    });
+    return exchangeId;
+  }
+
+  it('should set and merge variables', async () => {
+    const exchangeId = await _createExchange();
+
+    let err;
+    let result;
+    try {
+      result = await helpers.updateExchangeVariables({
+        id: exchangeId, capabilityAgent,
+        operations: [
+          {op: 'set', path: '/approval', value: {decision: 'approved'}},
+          {op: 'merge', path: '/approval', value: {by: 'back office'}},
+          {op: 'merge', path: '', value: {extra: true}},
+          // `/` is the member named `""`, not the root
+          {op: 'set', path: '/', value: 'empty key'}
+        ]
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.sequence.should.equal(1);
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.sequence.should.equal(1);
+    exchange.variables.approval.should.deep.equal(
+      {decision: 'approved', by: 'back office'});
+    exchange.variables.extra.should.equal(true);
+    exchange.variables[''].should.equal('empty key');
+    should.exist(exchange.variables.credentialId);
+  });
+
+  it('should use updated variables in issued credentials', async () => {
+    const exchangeId = await _createExchange();
+    const credentialId = `urn:uuid:${uuid()}`;
+
+    let err;
+    try {
+      await helpers.updateExchangeVariables({
+        id: exchangeId, capabilityAgent,
+        operations: [{op: 'set', path: '/credentialId', value: credentialId}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    const response = await httpClient.post(exchangeId, {agent, json: {}});
+    const {verifiablePresentation: vp} = response.data;
+    vp.verifiableCredential[0].id.should.equal(credentialId);
+  });
+
+  it('should fail with a stale sequence', async () => {
+    const exchangeId = await _createExchange();
+    await helpers.updateExchangeVariables({
+      id: exchangeId, capabilityAgent, sequence: 0,
+      operations: [{op: 'set', path: '/a', value: 1}]
+    });
+
+    let err;
+    try {
+      await helpers.updateExchangeVariables({
+        id: exchangeId, capabilityAgent, sequence: 0,
+        operations: [{op: 'set', path: '/b', value: 2}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(409);
+    err.data.name.should.equal('InvalidStateError');
+  });
+
+  it('should fail to update step results', async () => {
+    const exchangeId = await _createExchange();
+
+    let err;
+    try {
+      await helpers.updateExchangeVariables({
+        id: exchangeId, capabilityAgent,
+        operations: [{op: 'set', path: '/results/foo', value: {}}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+  });
+
+  it('should fail to set the root', async () => {
+    const exchangeId = await _createExchange();
+
+    let err;
+    try {
+      await helpers.updateExchangeVariables({
+        id: exchangeId, capabilityAgent,
+        operations: [{op: 'set', path: '', value: {a: 1}}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+  });
+
+  it('should fail to merge into a non-object', async () => {
+    const exchangeId = await _createExchange();
+
+    let err;
+    try {
+      await helpers.updateExchangeVariables({
+        id: exchangeId, capabilityAgent,
+        operations: [{op: 'merge', path: '/credentialId', value: {a: 1}}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+  });
+
+  it('should fail to update a completed exchange', async () => {
+    const exchangeId = await _createExchange();
+    await httpClient.post(exchangeId, {agent, json: {}});
+
+    let err;
+    try {
+      await helpers.updateExchangeVariables({
+        id: exchangeId, capabilityAgent,
+        operations: [{op: 'set', path: '/a', value: 1}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(409);
+    err.data.name.should.equal('InvalidStateError');
+  });
+});
@@ -0,0 +1,183 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+import {randomUUID as uuid} from 'node:crypto';
+
+const {baseUrl, didAuthnCredentialTemplate} = mockData;
+
+describe('exchange approval', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    const zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const credentialTemplates = [{
+      type: 'jsonata',
+      template: didAuthnCredentialTemplate
+    }];
+    const steps = {
+      didAuthn: {
+        createChallenge: true,
+        verifiablePresentationRequest: {
+          query: {
+            type: 'DIDAuthentication',
+            acceptedMethods: [{method: 'key'}]
+          },
+          domain: baseUrl
+        },
+        awaitApproval: true
+      }
+    };
+    const initialStep = 'didAuthn';
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, credentialTemplates, steps, initialStep
+    });
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _startExchange() {
+    const credentialId = `urn:uuid:${uuid()}`;
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, credentialId,
+      openId: false
+    });
+
+    // send DID authn VP; exchange should now await approval
+    const challenge = exchangeId.slice(exchangeId.lastIndexOf('/') + 1);
+    const {verifiablePresentation, did} = await helpers.createDidAuthnVP(
+      {domain: baseUrl, challenge});
+    const response = await httpClient.post(
+      exchangeId, {agent, json: {verifiablePresentation}});
+    response.status.should.equal(202);
+    response.data.should.deep.equal({verifiablePresentationRequest: {}});
+    return {exchangeId, credentialId, did};
+  }
+
+  it('should issue after approval', async () => {
+    const {exchangeId, credentialId, did} = await _startExchange();
+
+    // polling should continue to report pending approval
+    const pollResponse = await httpClient.post(exchangeId, {agent, json: {}});
+    pollResponse.status.should.equal(202);
+    const {exchange: pending} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    pending.state.should.equal('active');
+    pending.variables.results.didAuthn.approval.status.should.equal(
+      'pending');
+
+    let err;
+    try {
+      await helpers.approveExchange({id: exchangeId, capabilityAgent});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    const response = await httpClient.post(exchangeId, {agent, json: {}});
+    response.status.should.equal(200);
+    const {verifiablePresentation: vp} = response.data;
+    const {verifiableCredential: [vc]} = vp;
+    vc.id.should.equal(credentialId);
+    vc.credentialSubject.id.should.equal(did);
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.state.should.equal('complete');
+  });
+
+  it('should end exchange after rejection', async () => {
+    const {exchangeId} = await _startExchange();
+
+    let err;
+    try {
+      await helpers.rejectExchange(
+        {id: exchangeId, capabilityAgent, reason: 'Not eligible.'});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    err = null;
+    try {
+      await httpClient.post(exchangeId, {agent, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+    err.data.message.should.equal('Exchange approval has been rejected.');
+    err.data.details.reason.should.equal('Not eligible.');
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.state.should.equal('cancelled');
+    exchange.variables.results.didAuthn.approval.status.should.equal(
+      'rejected');
+  });
+
+  it('should fail to approve an approved exchange', async () => {
+    const {exchangeId} = await _startExchange();
+    await helpers.approveExchange({id: exchangeId, capabilityAgent});
+
+    let err;
+    try {
+      await helpers.approveExchange({id: exchangeId, capabilityAgent});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(409);
+    err.data.name.should.equal('InvalidStateError');
+  });
+
+  it('should fail to approve before the exchange client responds', async () => {
+    const credentialId = `urn:uuid:${uuid()}`;
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, credentialId,
+      openId: false
+    });
+
+    let err;
+    try {
+      await helpers.approveExchange({id: exchangeId, capabilityAgent});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(409);
+    err.data.name.should.equal('InvalidStateError');
+
+    // the presentation is still held for approval
+    const challenge = exchangeId.slice(exchangeId.lastIndexOf('/') + 1);
+    const {verifiablePresentation} = await helpers.createDidAuthnVP(
+      {domain: baseUrl, challenge});
+    const response = await httpClient.post(
+      exchangeId, {agent, json: {verifiablePresentation}});
+    response.status.should.equal(202);
+    response.data.should.deep.equal({verifiablePresentationRequest: {}});
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.variables.results.didAuthn.approval.status.should.equal(
+      'pending');
+  });
+});
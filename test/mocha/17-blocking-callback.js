@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+
+const {baseUrl, didAuthnCredentialTemplate} = mockData;
+
+describe('exchange w/ blocking step callback', () => {
+  let capabilityAgent;
+  let deps;
+  beforeEach(async () => {
+    deps = await helpers.provisionDependencies();
+    ({capabilityAgent} = deps);
+  });
+
+  async function _createWorkflow({policy}) {
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    const zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const credentialTemplates = [{
+      type: 'jsonata',
+      template: didAuthnCredentialTemplate
+    }];
+    const steps = {
+      didAuthn: {
+        createChallenge: true,
+        verifiablePresentationRequest: {
+          query: {
+            type: 'DIDAuthentication',
+            acceptedMethods: [{method: 'key'}]
+          },
+          domain: baseUrl
+        },
+        callback: {
+          url: `${baseUrl}/blocking-callbacks/${policy}`,
+          mode: 'blocking',
+          timeout: 5000,
+          responseSchema: {
+            type: 'JsonSchema',
+            jsonSchema: {
+              type: 'object',
+              required: ['allowed'],
+              properties: {
+                allowed: {type: 'boolean'}
+              }
+            }
+          }
+        }
+      }
+    };
+    const initialStep = 'didAuthn';
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, credentialTemplates, steps, initialStep
+    });
+    const workflowId = workflowConfig.id;
+    const workflowRootZcap =
+      `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, openId: false
+    });
+    return {exchangeId};
+  }
+
+  async function _sendDidAuthn({exchangeId}) {
+    const challenge = exchangeId.slice(exchangeId.lastIndexOf('/') + 1);
+    const {verifiablePresentation, did} = await helpers.createDidAuthnVP(
+      {domain: baseUrl, challenge});
+    const response = await httpClient.post(
+      exchangeId, {agent, json: {verifiablePresentation}});
+    return {response, did};
+  }
+
+  it('should store callback results', async () => {
+    const {exchangeId} = await _createWorkflow({policy: 'allow'});
+
+    let err;
+    let result;
+    try {
+      result = await _sendDidAuthn({exchangeId});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    const {response, did} = result;
+    should.exist(response?.data?.verifiablePresentation);
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.state.should.equal('complete');
+    exchange.variables.results.didAuthn.callbackResults.should.deep.equal(
+      {allowed: true, did});
+  });
+
+  it('should fail when the callback rejects the step', async () => {
+    const {exchangeId} = await _createWorkflow({policy: 'deny'});
+
+    let err;
+    try {
+      await _sendDidAuthn({exchangeId});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+    err.data.details.callbackMessage.should.equal('Denied by policy.');
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    should.exist(exchange.lastError);
+    exchange.lastError.name.should.equal('NotAllowedError');
+  });
+
+  it('should not call the callback while input is required', async () => {
+    // a callback that rejects the step must not be called before the
+    // presentation has been received
+    const {exchangeId} = await _createWorkflow({policy: 'deny'});
+
+    let err;
+    let response;
+    try {
+      response = await httpClient.post(exchangeId, {agent, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(response?.data?.verifiablePresentationRequest);
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.state.should.equal('active');
+    should.not.exist(exchange.lastError);
+    should.not.exist(exchange.variables.results?.didAuthn?.callbackResults);
+  });
+
+  it('should fail when the callback response is invalid', async () => {
+    const {exchangeId} = await _createWorkflow({policy: 'invalid'});
+
+    let err;
+    try {
+      await _sendDidAuthn({exchangeId});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(500);
+    err.data.name.should.equal('DataError');
+  });
+});
@@ -0,0 +1,94 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+
+const {baseUrl, credentialTemplate} = mockData;
+
+describe('exchange w/ signed verifiable presentation', () => {
+  let capabilityAgent;
+  let zcaps;
+  let workflowCreatePresentationZcap;
+  const credentialTemplates = [{
+    type: 'jsonata',
+    template: credentialTemplate
+  }];
+  const steps = {
+    issue: {
+      signVerifiablePresentation: true
+    }
+  };
+  const initialStep = 'issue';
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+    ({workflowCreatePresentationZcap} = await helpers.provisionHolder(
+      {capabilityAgent}));
+
+    zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+  });
+
+  it('should sign the presentation w/ client challenge', async () => {
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, credentialTemplates, steps, initialStep,
+      zcaps: {...zcaps, createPresentation: workflowCreatePresentationZcap}
+    });
+    const workflowId = workflowConfig.id;
+    const workflowRootZcap =
+      `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, openId: false
+    });
+
+    let err;
+    let response;
+    try {
+      response = await httpClient.post(exchangeId, {
+        agent, json: {
+          verifiablePresentationRequest: {
+            challenge: 'a3a2bd1c', domain: baseUrl
+          }
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    const {verifiablePresentation: vp} = response.data;
+    should.exist(vp.verifiableCredential);
+    vp.verifiableCredential.length.should.equal(1);
+    should.exist(vp.proof);
+    vp.proof.challenge.should.equal('a3a2bd1c');
+    vp.proof.domain.should.equal(baseUrl);
+  });
+
+  it('should fail to create a workflow w/o "createPresentation"', async () => {
+    let err;
+    let result;
+    try {
+      result = await helpers.createWorkflowConfig({
+        capabilityAgent, credentialTemplates, steps, initialStep, zcaps
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+  });
+});
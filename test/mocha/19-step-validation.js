@@ -0,0 +1,197 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+
+const {baseUrl, credentialTemplate} = mockData;
+
+describe('evaluated step validation', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    const zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const credentialTemplates = [{
+      type: 'jsonata',
+      template: credentialTemplate
+    }];
+    // step template output depends on exchange variables
+    const steps = {
+      myStep: {
+        stepTemplate: {
+          type: 'jsonata',
+          template: `
+          {
+            "issueRequests": issueRequests,
+            "callback": callback
+          }`
+        }
+      }
+    };
+    const initialStep = 'myStep';
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, credentialTemplates, steps, initialStep
+    });
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _useExchange({variables}) {
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, openId: false,
+      variables
+    });
+    let err;
+    let response;
+    try {
+      response = await httpClient.post(exchangeId, {agent, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    return {exchangeId, err, response};
+  }
+
+  it('should pass with a valid evaluated step', async () => {
+    const {err, response} = await _useExchange({
+      variables: {
+        credentialId: 'urn:uuid:0e6ab0a6-3f2b-4fbc-aa3c-8f5a2c1ae3d3',
+        issueRequests: [{credentialTemplateIndex: 0}]
+      }
+    });
+    assertNoError(err);
+    should.exist(response?.data?.verifiablePresentation);
+  });
+
+  it('should fail with an invalid evaluated step', async () => {
+    const {exchangeId, err} = await _useExchange({
+      variables: {
+        issueRequests: [{credentialTemplateIndex: 0}],
+        callback: {}
+      }
+    });
+    should.exist(err);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+    err.data.message.should.equal(
+      'Invalid step "myStep"; ".callback" should have required property ' +
+      '\'url\'.');
+    err.data.details.step.should.equal('myStep');
+    err.data.details.errors[0].path.should.equal('.callback');
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    should.exist(exchange.lastError);
+    exchange.lastError.name.should.equal('DataError');
+  });
+
+  it('should fail with an unknown evaluated step property', async () => {
+    const {err} = await _useExchange({
+      variables: {
+        issueRequests: [{credentialTemplateIndex: 0, unknown: true}]
+      }
+    });
+    should.exist(err);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+    err.data.details.errors.some(
+      ({path}) => path === '.issueRequests[0]').should.equal(true);
+  });
+
+  it('should reject an invalid step from a legacy workflow', async () => {
+    // a step template in a workflow config created before evaluated steps
+    // were validated may produce a step that is now rejected; using it fails
+    // with a client error instead of a server error
+    const steps = {
+      legacy: {
+        stepTemplate: {
+          type: 'jsonata',
+          template: '{"legacyOption": true}'
+        }
+      }
+    };
+    const {id: legacyWorkflowId} = await helpers.createWorkflowConfig({
+      capabilityAgent, steps, initialStep: 'legacy'
+    });
+
+    // the initial step is evaluated when an exchange is created
+    let err;
+    let result;
+    try {
+      result = await helpers.createExchange({
+        url: `${legacyWorkflowId}/exchanges`,
+        capabilityAgent,
+        capability: `urn:zcap:root:${encodeURIComponent(legacyWorkflowId)}`,
+        exchange: {ttl: 60 * 15, variables: {}}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+    err.data.details.step.should.equal('legacy');
+    err.data.details.errors[0].path.should.equal('.');
+  });
+
+  it('should allow partial OID4VP protocol URL parameters', async () => {
+    // any protocol URL parameters that are not given use their defaults
+    const steps = {
+      myStep: {
+        stepTemplate: {
+          type: 'jsonata',
+          template: `
+          {
+            "verifiablePresentationRequest": {
+              "query": {
+                "type": "DIDAuthentication",
+                "acceptedMethods": [{"method": "key"}]
+              },
+              "domain": domain
+            },
+            "openId": {
+              "createAuthorizationRequest": "authorizationRequest",
+              "protocolUrlParameters": {"version": "OID4VP-draft18"}
+            }
+          }`
+        }
+      }
+    };
+    const {id: partialWorkflowId} = await helpers.createWorkflowConfig({
+      capabilityAgent, steps, initialStep: 'myStep'
+    });
+    const {id: exchangeId} = await helpers.createExchange({
+      url: `${partialWorkflowId}/exchanges`,
+      capabilityAgent,
+      capability: `urn:zcap:root:${encodeURIComponent(partialWorkflowId)}`,
+      exchange: {ttl: 60 * 15, variables: {domain: baseUrl}}
+    });
+
+    let err;
+    let response;
+    try {
+      response = await httpClient.post(exchangeId, {agent, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(response?.data?.verifiablePresentationRequest);
+  });
+});
@@ -0,0 +1,145 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+import {v4 as uuid} from 'uuid';
+
+const {baseUrl, didAuthnCredentialTemplate} = mockData;
+
+describe('exchange w/ step branches', () => {
+  let capabilityAgent;
+  let zcaps;
+  const credentialTemplates = [{
+    type: 'jsonata',
+    template: didAuthnCredentialTemplate
+  }];
+  const initialStep = 'didAuthn';
+  const steps = {
+    didAuthn: {
+      createChallenge: true,
+      verifiablePresentationRequest: {
+        query: {
+          type: 'DIDAuthentication',
+          acceptedMethods: [{method: 'key'}]
+        },
+        domain: baseUrl
+      },
+      branches: [{
+        condition: {
+          type: 'jsonata',
+          template: 'tier = "gold" and $exists(results.didAuthn.did)'
+        },
+        nextStep: 'gold'
+      }],
+      nextStep: 'basic'
+    },
+    gold: {
+      issueRequests: [{credentialTemplateIndex: 0}]
+    },
+    basic: {
+      issueRequests: [{credentialTemplateIndex: 0}]
+    }
+  };
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+  });
+
+  async function _runExchange({tier}) {
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, credentialTemplates, steps, initialStep
+    });
+    const workflowId = workflowConfig.id;
+    const workflowRootZcap =
+      `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+    const credentialId = `urn:uuid:${uuid()}`;
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, openId: false,
+      variables: {credentialId, tier}
+    });
+
+    const challenge = exchangeId.slice(exchangeId.lastIndexOf('/') + 1);
+    const {verifiablePresentation, did} = await helpers.createDidAuthnVP(
+      {domain: baseUrl, challenge});
+    const response = await httpClient.post(
+      exchangeId, {agent, json: {verifiablePresentation}});
+    const {verifiablePresentation: vp} = response.data;
+    vp.verifiableCredential[0].id.should.equal(credentialId);
+    vp.verifiableCredential[0].credentialSubject.id.should.equal(did);
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.state.should.equal('complete');
+    return {exchange};
+  }
+
+  it('should take a branch w/ a matching condition', async () => {
+    let err;
+    let result;
+    try {
+      result = await _runExchange({tier: 'gold'});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.exchange.step.should.equal('gold');
+  });
+
+  it('should use "nextStep" when no branch matches', async () => {
+    let err;
+    let result;
+    try {
+      result = await _runExchange({tier: 'silver'});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.exchange.step.should.equal('basic');
+  });
+
+  it('should fail to create a workflow w/ an unknown branch step', async () => {
+    let err;
+    let result;
+    try {
+      result = await helpers.createWorkflowConfig({
+        capabilityAgent, zcaps, credentialTemplates, initialStep,
+        steps: {
+          ...steps,
+          didAuthn: {
+            ...steps.didAuthn,
+            branches: [{
+              condition: {type: 'jsonata', template: 'true'},
+              nextStep: 'platinum'
+            }]
+          }
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+    err.data.details.cause.details.errors.should.deep.equal([{
+      message: 'Referenced step "platinum" not found in "steps".',
+      path: '.steps.didAuthn.branches[0].nextStep'
+    }]);
+  });
+});
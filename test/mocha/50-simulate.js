@@ -0,0 +1,198 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {mockData} from './mock.data.js';
+import {v4 as uuid} from 'uuid';
+
+const {baseUrl, didAuthnCredentialTemplate} = mockData;
+
+describe('workflow simulation', () => {
+  let capabilityAgent;
+  let workflowId;
+  let zcaps;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const credentialTemplates = [{
+      type: 'jsonata',
+      template: didAuthnCredentialTemplate
+    }];
+    const steps = {
+      didAuthn: {
+        createChallenge: true,
+        verifiablePresentationRequest: {
+          query: {
+            type: 'DIDAuthentication',
+            acceptedMethods: [{method: 'key'}]
+          },
+          domain: baseUrl
+        },
+        branches: [{
+          condition: {type: 'jsonata', template: 'tier = "gold"'},
+          nextStep: 'gold'
+        }],
+        nextStep: 'basic'
+      },
+      gold: {
+        issueRequests: [{credentialTemplateIndex: 0}]
+      },
+      basic: {
+        stepTemplate: {
+          type: 'jsonata',
+          template: `
+          {
+            "issueRequests": [{
+              "credentialTemplateIndex": 0,
+              "result": "basicCredential"
+            }]
+          }`
+        }
+      }
+    };
+    const initialStep = 'didAuthn';
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, credentialTemplates, steps, initialStep
+    });
+    workflowId = workflowConfig.id;
+  });
+
+  it('should walk steps using mock presentation results', async () => {
+    const credentialId = `urn:uuid:${uuid()}`;
+    const did = 'did:example:1234';
+    let err;
+    let result;
+    try {
+      result = await helpers.simulateWorkflow({
+        workflowId, capabilityAgent,
+        variables: {credentialId, tier: 'gold'},
+        results: {didAuthn: {did, verifiablePresentation: {}}}
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.state.should.equal('complete');
+    result.steps.map(({name}) => name).should.deep.equal(['didAuthn', 'gold']);
+    result.steps[0].nextStep.should.equal('gold');
+    result.steps[0].issueRequests.should.deep.equal([]);
+    const [issueRequest] = result.steps[1].issueRequests;
+    issueRequest.credentialTemplateIndex.should.equal(0);
+    const {credential} = issueRequest.request;
+    credential.id.should.equal(credentialId);
+    credential.credentialSubject.id.should.equal(did);
+    should.not.exist(credential.proof);
+
+    // no exchanges are created by a simulation
+    const {exchanges} = await helpers.findExchanges(
+      {workflowId, capabilityAgent});
+    exchanges.should.deep.equal([]);
+  });
+
+  it('should evaluate step templates and store results', async () => {
+    const credentialId = `urn:uuid:${uuid()}`;
+    let err;
+    let result;
+    try {
+      result = await helpers.simulateWorkflow({
+        workflowId, capabilityAgent,
+        variables: {credentialId, tier: 'basic'},
+        results: {
+          didAuthn: {did: 'did:example:1234', verifiablePresentation: {}}
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.state.should.equal('complete');
+    result.steps.map(({name}) => name).should.deep.equal(['didAuthn', 'basic']);
+    const [issueRequest] = result.steps[1].issueRequests;
+    issueRequest.result.should.equal('basicCredential');
+    issueRequest.request.credential.id.should.equal(credentialId);
+  });
+
+  it('should stop at a step that requires input', async () => {
+    let err;
+    let result;
+    try {
+      result = await helpers.simulateWorkflow({
+        workflowId, capabilityAgent,
+        variables: {credentialId: `urn:uuid:${uuid()}`, tier: 'gold'}
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.state.should.equal('active');
+    result.steps.length.should.equal(1);
+    result.steps[0].name.should.equal('didAuthn');
+    result.steps[0].inputRequired.should.equal('verifiablePresentation');
+    should.exist(result.steps[0].step.verifiablePresentationRequest);
+  });
+
+  it('should stop at a step that requires a DID proof', async () => {
+    const {id: didProofWorkflowId} = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps,
+      credentialTemplates: [{
+        type: 'jsonata',
+        template: didAuthnCredentialTemplate
+      }],
+      steps: {
+        didAuthn: {
+          jwtDidProofRequest: {acceptedMethods: [{method: 'key'}]},
+          issueRequests: [{credentialTemplateIndex: 0}]
+        }
+      },
+      initialStep: 'didAuthn'
+    });
+    const credentialId = `urn:uuid:${uuid()}`;
+
+    let err;
+    let result;
+    try {
+      result = await helpers.simulateWorkflow({
+        workflowId: didProofWorkflowId, capabilityAgent,
+        variables: {credentialId}
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.state.should.equal('active');
+    result.steps.length.should.equal(1);
+    result.steps[0].inputRequired.should.equal('did');
+    result.steps[0].issueRequests.should.deep.equal([]);
+
+    // a mocked DID proof result completes the exchange
+    const did = 'did:example:1234';
+    err = undefined;
+    try {
+      result = await helpers.simulateWorkflow({
+        workflowId: didProofWorkflowId, capabilityAgent,
+        variables: {credentialId},
+        results: {didAuthn: {did}}
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.state.should.equal('complete');
+    should.not.exist(result.steps[0].inputRequired);
+    const [{request: {credential}}] = result.steps[0].issueRequests;
+    credential.credentialSubject.id.should.equal(did);
+  });
+});
@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as database from '@bedrock/mongodb';
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import * as helpers from './helpers.js';
+import {createHash} from 'node:crypto';
+import {mockData} from './mock.data.js';
+import {v4 as uuid} from 'uuid';
+
+const {baseUrl} = mockData;
+
+describe('webhook delivery', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    const zcaps = {
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const steps = {
+      didAuthn: {
+        stepTemplate: {
+          type: 'jsonata',
+          template: `
+          {
+            "createChallenge": true,
+            "verifiablePresentationRequest": {
+              "query": {
+                "type": "DIDAuthentication",
+                "acceptedMethods": [{"method": "key"}]
+              },
+              "domain": domain
+            },
+            "callback": {
+              "url": callbackUrl
+            }
+          }`
+        }
+      }
+    };
+    const initialStep = 'didAuthn';
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, steps, initialStep
+    });
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  // creates and cancels an exchange to trigger a webhook delivery
+  async function _triggerDelivery({failures = 0} = {}) {
+    const token = uuid();
+    helpers.WEBHOOK_RECEIVERS.set(token, {
+      type: 'exchangeUpdated', failures, requests: []
+    });
+    const callbackUrl = `${baseUrl}/webhooks/${token}`;
+    const exchange = {
+      ttl: 60 * 15,
+      variables: {callbackUrl, domain: baseUrl}
+    };
+    const {id: exchangeId} = await helpers.createExchange({
+      url: `${workflowId}/exchanges`,
+      capabilityAgent, capability: workflowRootZcap, exchange
+    });
+    await helpers.cancelExchange({id: exchangeId, capabilityAgent});
+    return {token, callbackUrl, exchangeId};
+  }
+
+  it('should deliver a signed event', async () => {
+    const {token, callbackUrl, exchangeId} = await _triggerDelivery();
+    const [{headers, body}] = await helpers.waitForWebhookRequests(
+      {token, count: 1});
+
+    // check event
+    body.event.type.should.equal('exchangeUpdated');
+    should.exist(body.event.date);
+    body.event.data.exchangeId.should.equal(exchangeId);
+    body.event.data.state.should.equal('cancelled');
+    body.event.data.step.should.equal('didAuthn');
+    body.event.data.sequence.should.be.a('number');
+
+    // check content digest
+    const digest = createHash('sha256')
+      .update(JSON.stringify(body)).digest('base64');
+    headers['content-digest'].should.equal(`sha-256=:${digest}:`);
+
+    // check signature
+    const signatureParams = headers['signature-input'].slice('sig1='.length);
+    const [, components] = signatureParams.match(/^\(([^)]*)\)/);
+    const [, keyId] = signatureParams.match(/;keyid="([^"]+)"/);
+    keyId.should.match(/^did:key:/);
+    const values = {
+      '@method': 'POST',
+      '@target-uri': callbackUrl,
+      'content-type': headers['content-type'],
+      'content-digest': headers['content-digest']
+    };
+    const signatureBase = components.split(' ')
+      .map(c => `${c}: ${values[JSON.parse(c)]}\n`).join('') +
+      `"@signature-params": ${signatureParams}`;
+    const [, signature] = headers.signature.match(/^sig1=:([^:]+):$/);
+    const keyPair = await Ed25519Multikey.from({
+      '@context': 'https://w3id.org/security/multikey/v1',
+      type: 'Multikey',
+      id: keyId,
+      controller: keyId.slice(0, keyId.indexOf('#')),
+      publicKeyMultibase: keyId.slice(keyId.indexOf('#') + 1)
+    });
+    const verified = await keyPair.verifier().verify({
+      data: new TextEncoder().encode(signatureBase),
+      signature: Buffer.from(signature, 'base64')
+    });
+    verified.should.equal(true);
+  });
+
+  it('should retry a failed delivery', async () => {
+    const {token, exchangeId} = await _triggerDelivery({failures: 2});
+    const requests = await helpers.waitForWebhookRequests({token, count: 3});
+    requests.length.should.equal(3);
+    for(const {body} of requests) {
+      body.should.deep.equal(requests[0].body);
+      body.event.data.exchangeId.should.equal(exchangeId);
+    }
+  });
+
+  it('should move a permanently failed delivery to dead letter', async () => {
+    // test config allows a maximum of 3 attempts
+    const {token, exchangeId} = await _triggerDelivery({failures: 3});
+    await helpers.waitForWebhookRequests({token, count: 3});
+
+    const localExchangeId = exchangeId.slice(exchangeId.lastIndexOf('/') + 1);
+    const query = {'delivery.exchangeId': localExchangeId};
+    let record;
+    const start = Date.now();
+    while(!record && Date.now() - start < 5000) {
+      record = await database.collections['vc-webhook-dead-letter']
+        .findOne(query);
+      if(!record) {
+        await new Promise(r => setTimeout(r, 50));
+      }
+    }
+    should.exist(record);
+    record.delivery.attempts.should.equal(3);
+    should.exist(record.delivery.lastError);
+    const outboxRecord = await database.collections['vc-webhook-outbox']
+      .findOne(query);
+    should.not.exist(outboxRecord);
+
+    // no further attempts are made
+    await new Promise(r => setTimeout(r, 500));
+    helpers.WEBHOOK_RECEIVERS.get(token).requests.length.should.equal(3);
+  });
+});
@@ -0,0 +1,238 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+import {v4 as uuid} from 'uuid';
+
+const {baseUrl} = mockData;
+
+const EVENT_TYPES = [
+  'exchange.created', 'exchange.stepCompleted', 'exchange.completed',
+  'exchange.failed', 'exchange.expired', 'exchange.invalidated'
+];
+
+// events emitted via Bedrock, by exchange ID
+const EMITTED_EVENTS = new Map();
+
+describe('exchange lifecycle events', () => {
+  let capabilityAgent;
+  let subscriptionToken;
+  let workflowId;
+  let workflowRootZcap;
+  before(() => {
+    for(const type of EVENT_TYPES) {
+      bedrock.events.on(`bedrock-vc-delivery.${type}`, ({event}) => {
+        const {exchangeId} = event.data;
+        const events = EMITTED_EVENTS.get(exchangeId) ?? [];
+        events.push(event);
+        EMITTED_EVENTS.set(exchangeId, events);
+      });
+    }
+  });
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    const zcaps = {
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const steps = {
+      first: {
+        stepTemplate: {
+          type: 'jsonata',
+          template: `
+          {
+            "callback": {"url": callbackUrl},
+            "nextStep": "second"
+          }`
+        }
+      },
+      second: {
+        stepTemplate: {
+          type: 'jsonata',
+          template: `
+          {
+            "callback": {"url": callbackUrl},
+            "nextStep": failSecondStep ? 1
+          }`
+        }
+      }
+    };
+    const initialStep = 'first';
+    subscriptionToken = uuid();
+    helpers.WEBHOOK_RECEIVERS.set(
+      subscriptionToken, {failures: 0, requests: []});
+    const eventSubscriptions = [{
+      url: `${baseUrl}/webhooks/${subscriptionToken}`,
+      events: EVENT_TYPES
+    }];
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps,
+      configOptions: {steps, initialStep, eventSubscriptions}
+    });
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _createExchange({
+    ttl = 60 * 15, failSecondStep = false
+  } = {}) {
+    const token = uuid();
+    helpers.WEBHOOK_RECEIVERS.set(token, {failures: 0, requests: []});
+    const callbackUrl = `${baseUrl}/webhooks/${token}`;
+    const exchange = {ttl, variables: {callbackUrl, failSecondStep}};
+    const {id: exchangeId} = await helpers.createExchange({
+      url: `${workflowId}/exchanges`,
+      capabilityAgent, capability: workflowRootZcap, exchange
+    });
+    return {token, exchangeId};
+  }
+
+  async function _waitForEvents({exchangeId, count, timeout = 10000}) {
+    const start = Date.now();
+    while(true) {
+      const events = EMITTED_EVENTS.get(exchangeId) ?? [];
+      if(events.length >= count) {
+        return events;
+      }
+      if(Date.now() - start > timeout) {
+        throw new Error(
+          `Timed out waiting for ${count} event(s); ` +
+          `received ${events.length}.`);
+      }
+      await new Promise(r => setTimeout(r, 50));
+    }
+  }
+
+  // gets the events received by a webhook receiver for an exchange
+  async function _getWebhookEvents({token, exchangeId, count}) {
+    const start = Date.now();
+    while(true) {
+      const events = (helpers.WEBHOOK_RECEIVERS.get(token)?.requests ?? [])
+        .map(({body: {event}}) => event)
+        .filter(({data}) => data.exchangeId === exchangeId);
+      if(events.length >= count || Date.now() - start > 10000) {
+        return events;
+      }
+      await new Promise(r => setTimeout(r, 50));
+    }
+  }
+
+  it('should emit events as an exchange is completed', async () => {
+    const {token, exchangeId} = await _createExchange();
+    let err;
+    try {
+      await httpClient.post(exchangeId, {agent, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    const events = await _waitForEvents({exchangeId, count: 4});
+    events.map(({type}) => type).should.deep.equal([
+      'exchange.created',
+      'exchange.stepCompleted',
+      'exchange.stepCompleted',
+      'exchange.completed'
+    ]);
+    events[0].data.state.should.equal('pending');
+    events[0].data.step.should.equal('first');
+    events[1].data.completedStep.should.equal('first');
+    events[1].data.step.should.equal('second');
+    events[2].data.completedStep.should.equal('second');
+    events[3].data.state.should.equal('complete');
+
+    // the same events are sent to the event subscription
+    const webhookEvents = await _getWebhookEvents(
+      {token: subscriptionToken, exchangeId, count: 4});
+    webhookEvents.map(({type}) => type).should.have.members(
+      events.map(({type}) => type));
+
+    // step callbacks are only sent `exchangeUpdated` notifications
+    const callbackEvents = await _getWebhookEvents(
+      {token, exchangeId, count: 2});
+    // wait for any unexpected deliveries
+    await new Promise(r => setTimeout(r, 500));
+    callbackEvents.length.should.equal(2);
+    for(const {type} of callbackEvents) {
+      type.should.equal('exchangeUpdated');
+    }
+  });
+
+  it('should not emit "exchange.failed" for a completed exchange', async () => {
+    const {exchangeId} = await _createExchange();
+    await httpClient.post(exchangeId, {agent, json: {}});
+    await _waitForEvents({exchangeId, count: 4});
+
+    let err;
+    try {
+      await httpClient.post(exchangeId, {agent, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+
+    // rejection is not recorded as a processing error
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    should.not.exist(exchange.lastError);
+    await new Promise(r => setTimeout(r, 500));
+    EMITTED_EVENTS.get(exchangeId).map(({type}) => type)
+      .should.not.include('exchange.failed');
+  });
+
+  it('should emit an event when an exchange expires', async () => {
+    const {exchangeId} = await _createExchange({ttl: 1});
+
+    const events = await _waitForEvents({exchangeId, count: 2});
+    events.map(({type}) => type).should.deep.equal([
+      'exchange.created',
+      'exchange.expired'
+    ]);
+    events[1].data.state.should.equal('pending');
+    events[1].data.step.should.equal('first');
+
+    const webhookEvents = await _getWebhookEvents(
+      {token: subscriptionToken, exchangeId, count: 2});
+    webhookEvents.map(({type}) => type).should.include('exchange.expired');
+
+    // expired exchange is not found
+    const {exchanges} = await helpers.findExchanges(
+      {workflowId, capabilityAgent});
+    exchanges.map(({id}) => id).should.not.include(
+      exchangeId.slice(exchangeId.lastIndexOf('/') + 1));
+  });
+
+  it('should emit an event when processing an exchange fails', async () => {
+    const {exchangeId} = await _createExchange({failSecondStep: true});
+    let err;
+    try {
+      await httpClient.post(exchangeId, {agent, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+
+    const events = await _waitForEvents({exchangeId, count: 3});
+    events.map(({type}) => type).should.deep.equal([
+      'exchange.created',
+      'exchange.stepCompleted',
+      'exchange.failed'
+    ]);
+    events[2].data.state.should.equal('active');
+    events[2].data.step.should.equal('second');
+    should.exist(events[2].data.error.name);
+    should.exist(events[2].data.error.message);
+  });
+});
@@ -0,0 +1,222 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+import {v4 as uuid} from 'uuid';
+
+const {baseUrl} = mockData;
+
+describe('workflow event subscriptions', () => {
+  let capabilityAgent;
+  beforeEach(async () => {
+    ({capabilityAgent} = await helpers.provisionDependencies());
+  });
+
+  async function _createWorkflow({eventSubscriptions, steps}) {
+    const initialStep = 'first';
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent,
+      configOptions: {steps, initialStep, eventSubscriptions}
+    });
+    return workflowConfig.id;
+  }
+
+  async function _runExchange({workflowId, variables = {}}) {
+    const {id: exchangeId} = await helpers.createExchange({
+      url: `${workflowId}/exchanges`,
+      capabilityAgent,
+      capability: `urn:zcap:root:${encodeURIComponent(workflowId)}`,
+      exchange: {ttl: 60 * 15, variables}
+    });
+    await httpClient.post(exchangeId, {agent, json: {}});
+    return {exchangeId};
+  }
+
+  it('should deliver subscribed events to a receiver', async () => {
+    const token = uuid();
+    helpers.WEBHOOK_RECEIVERS.set(token, {failures: 0, requests: []});
+    const secret = uuid();
+    const workflowId = await _createWorkflow({
+      eventSubscriptions: [{
+        url: `${baseUrl}/webhooks/${token}`,
+        events: ['exchange.created', 'exchange.completed'],
+        secret
+      }],
+      steps: {
+        first: {nextStep: 'second'},
+        second: {}
+      }
+    });
+
+    let err;
+    let exchangeId;
+    try {
+      ({exchangeId} = await _runExchange({workflowId}));
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    const requests = await helpers.waitForWebhookRequests({token, count: 2});
+    // wait for any unexpected deliveries
+    await new Promise(r => setTimeout(r, 500));
+    requests.length.should.equal(2);
+    requests.map(({body}) => body.event.type).should.have.members([
+      'exchange.created', 'exchange.completed'
+    ]);
+    for(const {headers, body} of requests) {
+      headers.authorization.should.equal(`Bearer ${secret}`);
+      body.event.data.exchangeId.should.equal(exchangeId);
+    }
+  });
+
+  it('should not store a subscription secret with deliveries', async () => {
+    // test config allows a maximum of 3 attempts
+    const token = uuid();
+    helpers.WEBHOOK_RECEIVERS.set(token, {failures: 3, requests: []});
+    const secret = uuid();
+    const workflowId = await _createWorkflow({
+      eventSubscriptions: [{
+        url: `${baseUrl}/webhooks/${token}`,
+        events: ['exchange.created'],
+        secret
+      }],
+      steps: {first: {}}
+    });
+
+    let err;
+    let exchangeId;
+    try {
+      ({exchangeId} = await _runExchange({workflowId}));
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    // the secret is sent with every attempt
+    const requests = await helpers.waitForWebhookRequests({token, count: 3});
+    requests.length.should.equal(3);
+    for(const {headers} of requests) {
+      headers.authorization.should.equal(`Bearer ${secret}`);
+    }
+
+    // only a reference to the subscription is stored
+    const localExchangeId = exchangeId.slice(exchangeId.lastIndexOf('/') + 1);
+    const query = {'delivery.exchangeId': localExchangeId};
+    let record;
+    const start = Date.now();
+    while(!record && Date.now() - start < 5000) {
+      record = await database.collections['vc-webhook-dead-letter']
+        .findOne(query);
+      if(!record) {
+        await new Promise(r => setTimeout(r, 50));
+      }
+    }
+    should.exist(record);
+    record.delivery.subscriptionIndex.should.equal(0);
+    should.not.exist(record.delivery.secret);
+  });
+
+  it('should only deliver "exchangeUpdated" to a step callback', async () => {
+    const subscriptionToken = uuid();
+    const callbackToken = uuid();
+    helpers.WEBHOOK_RECEIVERS.set(
+      subscriptionToken, {failures: 0, requests: []});
+    helpers.WEBHOOK_RECEIVERS.set(callbackToken, {failures: 0, requests: []});
+    const workflowId = await _createWorkflow({
+      eventSubscriptions: [{
+        url: `${baseUrl}/webhooks/${subscriptionToken}`,
+        events: ['exchangeUpdated', 'exchange.stepCompleted']
+      }],
+      steps: {
+        first: {
+          stepTemplate: {
+            type: 'jsonata',
+            template: `
+            {
+              "callback": {"url": callbackUrl},
+              "nextStep": "second"
+            }`
+          }
+        },
+        second: {}
+      }
+    });
+
+    let err;
+    try {
+      await _runExchange({
+        workflowId,
+        variables: {callbackUrl: `${baseUrl}/webhooks/${callbackToken}`}
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    // `first` step callback overrides the subscription for `exchangeUpdated`
+    const [callbackRequest] = await helpers.waitForWebhookRequests(
+      {token: callbackToken, count: 1});
+    callbackRequest.body.event.type.should.equal('exchangeUpdated');
+    callbackRequest.body.event.data.step.should.equal('second');
+    should.not.exist(callbackRequest.headers.authorization);
+
+    // `second` step has no callback so the subscription is sent its
+    // `exchangeUpdated` notification and every `exchange.stepCompleted` event
+    const requests = await helpers.waitForWebhookRequests(
+      {token: subscriptionToken, count: 3});
+    // wait for any unexpected deliveries
+    await new Promise(r => setTimeout(r, 500));
+    helpers.WEBHOOK_RECEIVERS.get(callbackToken).requests.length
+      .should.equal(1);
+    requests.length.should.equal(3);
+    const events = requests.map(({body: {event}}) => event);
+    events.filter(({type}) => type === 'exchangeUpdated')
+      .map(({data}) => data.state).should.deep.equal(['complete']);
+    events.filter(({type}) => type === 'exchange.stepCompleted')
+      .map(({data}) => data.completedStep).should.have.members(
+        ['first', 'second']);
+  });
+
+  it('throws with an invalid event subscription', async () => {
+    let err;
+    let result;
+    try {
+      result = await _createWorkflow({
+        eventSubscriptions: [{url: 'not a url', events: ['exchange.created']}],
+        steps: {first: {}}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.data.name.should.equal('DataError');
+    const {details: {errors}} = err.data.details.cause;
+    errors.map(({path}) => path).should.deep.equal([
+      '.eventSubscriptions[0].url'
+    ]);
+  });
+
+  it('throws with an unknown event type', async () => {
+    let err;
+    let result;
+    try {
+      result = await _createWorkflow({
+        eventSubscriptions: [{
+          url: `${baseUrl}/webhooks/${uuid()}`, events: ['exchange.unknown']
+        }],
+        steps: {first: {}}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.data.name.should.equal('ValidationError');
+  });
+});
@@ -0,0 +1,125 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+
+describe('exchange status stream', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    ({capabilityAgent} = await helpers.provisionDependencies());
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent,
+      configOptions: {
+        steps: {
+          first: {nextStep: 'second'},
+          second: {}
+        },
+        initialStep: 'first'
+      }
+    });
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _createExchange({ttl = 60 * 15} = {}) {
+    const {id: exchangeId} = await helpers.createExchange({
+      url: `${workflowId}/exchanges`,
+      capabilityAgent,
+      capability: workflowRootZcap,
+      exchange: {ttl, variables: {}}
+    });
+    return {exchangeId};
+  }
+
+  it('should stream status changes until complete', async () => {
+    const {exchangeId} = await _createExchange();
+
+    let err;
+    let events;
+    try {
+      const response = await helpers.openExchangeStatusStream(
+        {id: exchangeId, capabilityAgent});
+      response.status.should.equal(200);
+      response.headers.get('content-type').should.contain(
+        'text/event-stream');
+      await httpClient.post(exchangeId, {agent, json: {}});
+      // stream ends once the exchange is complete
+      events = helpers.parseEventStream({text: await response.text()});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    events.length.should.be.gte(2);
+    for(const {event, data} of events) {
+      event.should.equal('status');
+      data.exchangeId.should.equal(exchangeId);
+    }
+    // current status is sent first
+    events[0].data.state.should.equal('pending');
+    events[0].data.step.should.equal('first');
+    events[0].data.sequence.should.equal(0);
+    events.at(-1).data.state.should.equal('complete');
+    // statuses are sent in order without duplicates
+    const sequences = events.map(({data: {sequence}}) => sequence);
+    sequences.should.deep.equal([...new Set(sequences)].sort((a, b) => a - b));
+    events.map(({id}) => id).should.deep.equal(sequences.map(String));
+  });
+
+  it('should end stream when exchange is cancelled', async () => {
+    const {exchangeId} = await _createExchange();
+
+    let err;
+    let events;
+    try {
+      const response = await helpers.openExchangeStatusStream(
+        {id: exchangeId, capabilityAgent});
+      await helpers.cancelExchange({id: exchangeId, capabilityAgent});
+      events = helpers.parseEventStream({text: await response.text()});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    events.map(({data: {state}}) => state).should.deep.equal(
+      ['pending', 'cancelled']);
+    events[1].data.sequence.should.equal(1);
+  });
+
+  it('should send an expired event when exchange expires', async () => {
+    const {exchangeId} = await _createExchange({ttl: 2});
+
+    let err;
+    let events;
+    try {
+      const response = await helpers.openExchangeStatusStream(
+        {id: exchangeId, capabilityAgent});
+      events = helpers.parseEventStream({text: await response.text()});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    events.map(({event}) => event).should.deep.equal(['status', 'expired']);
+    events[1].data.exchangeId.should.equal(exchangeId);
+  });
+
+  it('should return 404 for an unknown exchange', async () => {
+    let err;
+    try {
+      await helpers.openExchangeStatusStream({
+        id: `${workflowId}/exchanges/z19uMCiPNET4YbcPpBcab5mEE`,
+        capabilityAgent
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(404);
+    err.data.name.should.equal('NotFoundError');
+  });
+});
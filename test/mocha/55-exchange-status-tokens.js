@@ -0,0 +1,147 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+
+const REDIRECT_URL = 'https://example.com/done';
+
+describe('exchange status tokens', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    ({capabilityAgent} = await helpers.provisionDependencies());
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent,
+      configOptions: {
+        steps: {
+          first: {nextStep: 'second'},
+          second: {redirectUrl: REDIRECT_URL}
+        },
+        initialStep: 'first'
+      }
+    });
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _createExchange({statusToken, ttl = 60 * 15} = {}) {
+    return helpers.createExchange({
+      url: `${workflowId}/exchanges`,
+      capabilityAgent,
+      capability: workflowRootZcap,
+      exchange: {ttl, variables: {}, statusToken}
+    });
+  }
+
+  it('should read exchange status with a status token', async () => {
+    const {id: exchangeId, statusToken} = await _createExchange(
+      {statusToken: {}});
+    should.exist(statusToken);
+    statusToken.token.should.be.a('string');
+    // status token expires with the exchange when sooner than its TTL
+    const exchange = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    statusToken.expires.should.equal(exchange.exchange.expires);
+    // status token is never returned with the exchange
+    should.not.exist(exchange.exchange.secrets);
+
+    let err;
+    let result;
+    try {
+      result = await helpers.getExchangeStatus(
+        {id: exchangeId, token: statusToken.token});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.should.deep.equal({state: 'pending', step: 'first'});
+
+    await httpClient.post(exchangeId, {agent, json: {}});
+
+    err = undefined;
+    result = undefined;
+    try {
+      result = await helpers.getExchangeStatus(
+        {id: exchangeId, token: statusToken.token});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.should.deep.equal({
+      state: 'complete', step: 'second', redirectUrl: REDIRECT_URL
+    });
+  });
+
+  it('should use a shorter status token TTL', async () => {
+    const {statusToken} = await _createExchange({statusToken: {ttl: 60}});
+    should.exist(statusToken);
+    const expires = Date.parse(statusToken.expires);
+    expires.should.be.lte(Date.now() + 60 * 1000);
+    expires.should.be.gt(Date.now());
+  });
+
+  it('should not return a status token unless requested', async () => {
+    const {id: exchangeId, statusToken} = await _createExchange();
+    should.not.exist(statusToken);
+
+    let err;
+    try {
+      await helpers.getExchangeStatus({id: exchangeId});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+  });
+
+  it('should fail with another exchange\'s status token', async () => {
+    const {id: exchangeId} = await _createExchange({statusToken: {}});
+    const {statusToken} = await _createExchange({statusToken: {}});
+
+    let err;
+    try {
+      await helpers.getExchangeStatus(
+        {id: exchangeId, token: statusToken.token});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+  });
+
+  it('should fail with an expired status token', async () => {
+    const {id: exchangeId, statusToken} = await _createExchange(
+      {statusToken: {ttl: 1}});
+    await new Promise(r => setTimeout(r, 1500));
+
+    let err;
+    try {
+      await helpers.getExchangeStatus(
+        {id: exchangeId, token: statusToken.token});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+  });
+
+  it('should not allow a status token to read the exchange', async () => {
+    const {id: exchangeId, statusToken} = await _createExchange(
+      {statusToken: {}});
+
+    let err;
+    try {
+      await helpers.getExchange(
+        {id: exchangeId, accessToken: statusToken.token});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+  });
+});
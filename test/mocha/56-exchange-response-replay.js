@@ -0,0 +1,207 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  OID4Client,
+  parseCredentialOfferUrl
+} from '@digitalbazaar/oid4-client';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+import {randomUUID as uuid} from 'node:crypto';
+
+const {credentialTemplate} = mockData;
+
+describe('exchange response replay', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    const zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap
+    };
+    const credentialTemplates = [{
+      type: 'jsonata',
+      template: credentialTemplate
+    }];
+    const workflowConfig = await helpers.createWorkflowConfig(
+      {capabilityAgent, zcaps, credentialTemplates, oauth2: true});
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _createExchange({openId = false} = {}) {
+    return helpers.createCredentialOffer({
+      userId: 'urn:uuid:01cc3771-7c51-47ab-a3a3-6d34b47ae3c4',
+      credentialDefinition: mockData.credentialDefinition,
+      credentialId: `urn:uuid:${uuid()}`,
+      preAuthorized: true,
+      userPinRequired: false,
+      capabilityAgent,
+      workflowId,
+      workflowRootZcap,
+      openId
+    });
+  }
+
+  it('should replay the response to a retried VC-API request', async () => {
+    const {exchangeId} = await _createExchange();
+    const headers = {'idempotency-key': uuid()};
+    const first = await httpClient.post(
+      exchangeId, {agent, headers, json: {}});
+
+    let err;
+    let second;
+    try {
+      second = await httpClient.post(exchangeId, {agent, headers, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    second.status.should.equal(first.status);
+    second.data.should.deep.equal(first.data);
+    should.exist(second.data.verifiablePresentation?.verifiableCredential);
+
+    // exchange is not invalidated by the retried request
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.state.should.equal('complete');
+  });
+
+  it('should not replay credentials without "Idempotency-Key"', async () => {
+    const {exchangeId} = await _createExchange();
+    const first = await httpClient.post(exchangeId, {agent, json: {}});
+    should.exist(first.data.verifiablePresentation?.verifiableCredential);
+
+    // an identical request could be from another client
+    let err;
+    try {
+      await httpClient.post(exchangeId, {agent, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.state.should.equal('complete');
+  });
+
+  it('should not replay a response after the replay window', async function() {
+    this.timeout(10000);
+
+    const {exchangeId} = await _createExchange();
+    const headers = {'idempotency-key': uuid()};
+    await httpClient.post(exchangeId, {agent, headers, json: {}});
+
+    // test config sets a 2 second replay window
+    await new Promise(r => setTimeout(r, 2500));
+    let err;
+    try {
+      await httpClient.post(exchangeId, {agent, headers, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+  });
+
+  it('should replay the response to concurrent VC-API requests', async () => {
+    const {exchangeId} = await _createExchange();
+    const headers = {'idempotency-key': uuid()};
+
+    let err;
+    let responses;
+    try {
+      responses = await Promise.all([
+        httpClient.post(exchangeId, {agent, headers, json: {}}),
+        httpClient.post(exchangeId, {agent, headers, json: {}})
+      ]);
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    responses[1].data.should.deep.equal(responses[0].data);
+
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    exchange.state.should.equal('complete');
+  });
+
+  it('should use "Idempotency-Key" to identify a request', async () => {
+    const {exchangeId} = await _createExchange();
+    const headers = {'idempotency-key': uuid()};
+    const first = await httpClient.post(
+      exchangeId, {agent, headers, json: {}});
+
+    // same key is replayed
+    let err;
+    let second;
+    try {
+      second = await httpClient.post(exchangeId, {agent, headers, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    second.data.should.deep.equal(first.data);
+
+    // same key with a different body is rejected
+    err = undefined;
+    try {
+      await httpClient.post(exchangeId, {
+        agent, headers, json: {verifiablePresentationRequest: {}}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(422);
+    err.data.name.should.equal('DataError');
+
+    // a different request is not replayed
+    err = undefined;
+    try {
+      await httpClient.post(exchangeId, {
+        agent, headers: {'idempotency-key': uuid()}, json: {}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+    err.data.name.should.equal('NotAllowedError');
+  });
+
+  it('should replay the response to a retried OID4VCI request', async () => {
+    const {offerUrl} = await _createExchange({openId: true});
+    const offer = parseCredentialOfferUrl({url: offerUrl});
+    const client = await OID4Client.fromCredentialOffer({offer, agent});
+    const first = await client.requestCredential({agent});
+
+    let err;
+    let second;
+    try {
+      second = await client.requestCredential({agent});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    second.should.deep.equal(first);
+
+    const {exchange} = await helpers.getExchange(
+      {id: offer.credential_issuer, capabilityAgent});
+    exchange.state.should.equal('complete');
+  });
+});
@@ -0,0 +1,195 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {getCredentialOffer, OID4Client} from '@digitalbazaar/oid4-client';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+
+const {credentialTemplateV2} = mockData;
+
+describe('exchange w/ conditional issue requests', () => {
+  let capabilityAgent;
+  let zcaps;
+  let workflowId;
+  let workflowRootZcap;
+  const credentialTemplates = [{
+    type: 'jsonata',
+    template: credentialTemplateV2.replace('subjectName', 'subjectName1')
+  }, {
+    type: 'jsonata',
+    template: credentialTemplateV2.replace('subjectName', 'subjectName2')
+  }];
+  const credential_definition = {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    type: ['VerifiableCredential']
+  };
+  const issuerInstances = [{
+    oid4vci: {
+      supportedCredentialConfigurations: {
+        firstCredentialConfigId: {format: 'ldp_vc', credential_definition},
+        secondCredentialConfigId: {format: 'ldp_vc', credential_definition}
+      }
+    },
+    supportedMediaTypes: ['application/vc'],
+    zcapReferenceIds: {
+      issue: 'issue'
+    }
+  }];
+  const steps = {
+    issue: {
+      issueRequests: [{
+        credentialTemplateIndex: 0,
+        oid4vci: {credentialConfigurationId: 'firstCredentialConfigId'}
+      }, {
+        credentialTemplateIndex: 1,
+        oid4vci: {credentialConfigurationId: 'secondCredentialConfigId'},
+        condition: {
+          type: 'jsonata',
+          template: 'includeSecond = true'
+        }
+      }]
+    }
+  };
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies({
+      issuerOptions: {
+        issueOptions: {
+          cryptosuites: [{
+            name: 'ecdsa-rdfc-2019',
+            algorithm: 'P-256'
+          }]
+        }
+      }
+    });
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, oauth2: true,
+      configOptions: {
+        credentialTemplates, steps, initialStep: 'issue', issuerInstances
+      }
+    });
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _runVcApiExchange({includeSecond}) {
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, openId: false,
+      variables: {
+        subjectName1: 'Name One',
+        subjectName2: 'Name Two',
+        includeSecond
+      }
+    });
+    const response = await httpClient.post(exchangeId, {agent, json: {}});
+    const {verifiablePresentation: vp} = response.data;
+    return {
+      names: vp.verifiableCredential.map(vc => vc.credentialSubject.name)
+    };
+  }
+
+  it('should issue a VC w/ a truthy condition', async () => {
+    let err;
+    let result;
+    try {
+      result = await _runVcApiExchange({includeSecond: true});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.names.should.have.members(['Name One', 'Name Two']);
+  });
+
+  it('should skip a VC w/ a falsy condition', async () => {
+    let err;
+    let result;
+    try {
+      result = await _runVcApiExchange({includeSecond: false});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.names.should.deep.equal(['Name One']);
+  });
+
+  it('should omit a skipped VC from an OID4VCI offer', async () => {
+    const {offerUrl} = await helpers.createCredentialOffer({
+      variables: {
+        subjectName1: 'Name One',
+        subjectName2: 'Name Two',
+        includeSecond: false
+      },
+      preAuthorized: true,
+      capabilityAgent,
+      workflowId,
+      workflowRootZcap,
+      useCredentialOfferUri: true
+    });
+
+    // only the unskipped VC is offered
+    const offer = await getCredentialOffer({url: offerUrl, agent});
+    offer.credential_configuration_ids.should.deep.equal(
+      ['firstCredentialConfigId']);
+
+    let err;
+    let result;
+    try {
+      const client = await OID4Client.fromCredentialOffer({offer, agent});
+      result = await client.requestCredentials({agent});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    const credentials = result.credential_responses.flatMap(
+      r => r.credentials.map(({credential}) => credential));
+    credentials.map(vc => vc.credentialSubject.name).should.deep.equal(
+      ['Name One']);
+
+    const {exchange} = await helpers.getExchange(
+      {id: offer.credential_issuer, capabilityAgent});
+    exchange.state.should.equal('complete');
+  });
+
+  it('should fail to create a workflow w/ an invalid condition', async () => {
+    let err;
+    let result;
+    try {
+      result = await helpers.createWorkflowConfig({
+        capabilityAgent, zcaps, credentialTemplates, initialStep: 'issue',
+        steps: {
+          issue: {
+            issueRequests: [{
+              credentialTemplateIndex: 0,
+              condition: {type: 'jsonata', template: 'includeSecond = '}
+            }]
+          }
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+    const {details: {errors}} = err.data.details.cause;
+    errors.map(({path}) => path).should.deep.equal([
+      '.steps.issue.issueRequests[0].condition.template'
+    ]);
+  });
+});
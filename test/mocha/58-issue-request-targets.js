@@ -0,0 +1,215 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {getCredentialOffer, OID4Client} from '@digitalbazaar/oid4-client';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+
+const {credentialDefinition, credentialTemplate} = mockData;
+
+describe('exchange w/ issue request targets', () => {
+  let capabilityAgent;
+  let zcaps;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    // provision a second issuer instance that issues VC-JWTs
+    const keystoreAgent = await helpers.createKeystoreAgent({capabilityAgent});
+    const {
+      workflowIssueZcap: workflowIssueVcJwtZcap
+    } = await helpers.provisionIssuer({
+      capabilityAgent, keystoreAgent,
+      issuerOptions: {
+        issueOptions: {
+          envelope: {
+            format: 'VC-JWT',
+            algorithm: 'Ed25519'
+          }
+        }
+      }
+    });
+
+    zcaps = {
+      issue: workflowIssueZcap,
+      issueVcJwt: workflowIssueVcJwtZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const configOptions = {
+      credentialTemplates: [{
+        type: 'jsonata',
+        template: credentialTemplate
+      }],
+      steps: {
+        issue: {
+          issueRequests: [{
+            credentialTemplateIndex: 0,
+            targets: [{
+              issuerInstanceId: 'di',
+              oid4vci: {credentialConfigurationId: 'diCredentialConfigId'}
+            }, {
+              issuerInstanceId: 'vcJwt',
+              oid4vci: {credentialConfigurationId: 'vcJwtCredentialConfigId'}
+            }]
+          }]
+        }
+      },
+      initialStep: 'issue',
+      issuerInstances: [{
+        id: 'di',
+        oid4vci: {
+          supportedCredentialConfigurations: {
+            diCredentialConfigId: {
+              format: 'ldp_vc',
+              credential_definition: credentialDefinition
+            }
+          }
+        },
+        supportedMediaTypes: ['application/vc'],
+        zcapReferenceIds: {
+          issue: 'issue'
+        }
+      }, {
+        id: 'vcJwt',
+        oid4vci: {
+          supportedCredentialConfigurations: {
+            vcJwtCredentialConfigId: {
+              format: 'jwt_vc_json-ld',
+              credential_definition: credentialDefinition
+            }
+          }
+        },
+        supportedMediaTypes: ['application/vc'],
+        zcapReferenceIds: {
+          issue: 'issueVcJwt'
+        }
+      }]
+    };
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, configOptions, oauth2: true
+    });
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _getCredentialIds({credentials}) {
+    return Promise.all(credentials.map(async credential => {
+      if(typeof credential === 'string' ||
+        credential.type === 'EnvelopedVerifiableCredential') {
+        ({credential} = await helpers.unenvelopeCredential({
+          envelopedCredential: credential, format: 'jwt_vc_json-ld'
+        }));
+      }
+      return credential.id;
+    }));
+  }
+
+  it('should deliver linked copies in a VP', async () => {
+    let err;
+    let credentialIds;
+    try {
+      // no `credentialId` variable, so a linked credential ID is generated
+      const {exchangeId} = await helpers.createCredentialOffer({
+        capabilityAgent, workflowId, workflowRootZcap, openId: false,
+        variables: {}
+      });
+      const response = await httpClient.post(exchangeId, {agent, json: {}});
+      const {verifiablePresentation: vp} = response.data;
+      vp.verifiableCredential.length.should.equal(2);
+      vp.verifiableCredential.filter(
+        vc => vc.type === 'EnvelopedVerifiableCredential').length
+        .should.equal(1);
+      credentialIds = await _getCredentialIds(
+        {credentials: vp.verifiableCredential});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    credentialIds[0].should.be.a('string');
+    credentialIds[0].should.match(/^urn:uuid:/);
+    credentialIds[1].should.equal(credentialIds[0]);
+  });
+
+  it('should offer linked copies via OID4VCI', async () => {
+    const {offerUrl} = await helpers.createCredentialOffer({
+      variables: {},
+      preAuthorized: true,
+      capabilityAgent,
+      workflowId,
+      workflowRootZcap,
+      useCredentialOfferUri: true
+    });
+
+    // each copy is offered as a separate credential configuration
+    const offer = await getCredentialOffer({url: offerUrl, agent});
+    offer.credential_configuration_ids.should.have.members(
+      ['diCredentialConfigId', 'vcJwtCredentialConfigId']);
+
+    let err;
+    let credentialIds;
+    try {
+      const client = await OID4Client.fromCredentialOffer({offer, agent});
+      const result = await client.requestCredentials({agent});
+      const credentials = result.credential_responses.flatMap(
+        r => r.credentials.map(({credential}) => credential));
+      credentials.length.should.equal(2);
+      credentialIds = await _getCredentialIds({credentials});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    credentialIds[0].should.match(/^urn:uuid:/);
+    credentialIds[1].should.equal(credentialIds[0]);
+
+    const {exchange} = await helpers.getExchange(
+      {id: offer.credential_issuer, capabilityAgent});
+    exchange.state.should.equal('complete');
+  });
+
+  it('should fail to create a workflow w/ an unknown target', async () => {
+    let err;
+    let result;
+    try {
+      result = await helpers.createWorkflowConfig({
+        capabilityAgent, zcaps,
+        configOptions: {
+          credentialTemplates: [{
+            type: 'jsonata',
+            template: credentialTemplate
+          }],
+          steps: {
+            issue: {
+              issueRequests: [{
+                credentialTemplateIndex: 0,
+                targets: [{issuerInstanceId: 'unknown'}]
+              }]
+            }
+          },
+          initialStep: 'issue'
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.status.should.equal(400);
+    err.data.name.should.equal('DataError');
+    const {details: {errors}} = err.data.details.cause;
+    errors.map(({path}) => path).should.deep.equal([
+      '.steps.issue.issueRequests[0].targets[0].issuerInstanceId'
+    ]);
+  });
+});
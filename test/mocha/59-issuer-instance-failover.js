@@ -0,0 +1,156 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+import {v4 as uuid} from 'uuid';
+
+const {credentialTemplate} = mockData;
+
+describe('exchange w/ issuer instance failover', () => {
+  let capabilityAgent;
+  let token;
+  let zcaps;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    let workflowUnavailableIssueZcap;
+    ({
+      token, workflowIssueZcap: workflowUnavailableIssueZcap
+    } = await helpers.provisionUnavailableIssuer({capabilityAgent}));
+
+    zcaps = {
+      issue: workflowIssueZcap,
+      issueUnavailable: workflowUnavailableIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+  });
+
+  const unavailableIssuerInstance = {
+    id: 'unavailable',
+    priority: 0,
+    supportedMediaTypes: ['application/vc'],
+    zcapReferenceIds: {
+      issue: 'issueUnavailable'
+    }
+  };
+  const availableIssuerInstance = {
+    id: 'available',
+    priority: 1,
+    supportedMediaTypes: ['application/vc'],
+    zcapReferenceIds: {
+      issue: 'issue'
+    }
+  };
+
+  async function _createWorkflow({issuerInstances}) {
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps,
+      configOptions: {
+        credentialTemplates: [{
+          type: 'jsonata',
+          template: credentialTemplate
+        }],
+        steps: {
+          issue: {
+            issueRequests: [{credentialTemplateIndex: 0}]
+          }
+        },
+        initialStep: 'issue',
+        issuerInstances
+      }
+    });
+    return workflowConfig.id;
+  }
+
+  async function _runExchange({workflowId}) {
+    const credentialId = `urn:uuid:${uuid()}`;
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, openId: false, credentialId,
+      workflowRootZcap: `urn:zcap:root:${encodeURIComponent(workflowId)}`
+    });
+    const response = await httpClient.post(exchangeId, {agent, json: {}});
+    const {verifiablePresentation: vp} = response.data;
+    vp.verifiableCredential[0].id.should.equal(credentialId);
+    const {exchange} = await helpers.getExchange(
+      {id: exchangeId, capabilityAgent});
+    return {credentialId, exchange};
+  }
+
+  it('should fail over to the next priority group', async () => {
+    const workflowId = await _createWorkflow({
+      issuerInstances: [unavailableIssuerInstance, availableIssuerInstance]
+    });
+
+    let err;
+    let result;
+    try {
+      result = await _runExchange({workflowId});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    const {credentialId, exchange} = result;
+    exchange.state.should.equal('complete');
+    exchange.variables.results.issue.issuance.should.deep.equal([{
+      credentialTemplateIndex: 0,
+      credentialId,
+      issuerInstanceIndex: 1,
+      issuerInstanceId: 'available'
+    }]);
+    helpers.UNAVAILABLE_ISSUER_REQUESTS.get(token).should.equal(1);
+  });
+
+  it('should skip an issuer instance that keeps failing', async () => {
+    const workflowId = await _createWorkflow({
+      issuerInstances: [unavailableIssuerInstance, availableIssuerInstance]
+    });
+
+    let err;
+    try {
+      for(let i = 0; i < 3; ++i) {
+        await _runExchange({workflowId});
+      }
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    // circuit opens after `failureThreshold` (2 in tests) failures
+    helpers.UNAVAILABLE_ISSUER_REQUESTS.get(token).should.equal(2);
+  });
+
+  it('should fail when no issuer instance is available', async () => {
+    const workflowId = await _createWorkflow({
+      issuerInstances: [unavailableIssuerInstance]
+    });
+
+    let err;
+    let result;
+    try {
+      result = await _runExchange({workflowId});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.status.should.equal(503);
+    err.data.name.should.equal('OperationError');
+    err.data.details.failures.should.deep.equal([{
+      issuerInstanceIndex: 0,
+      issuerInstanceId: 'unavailable',
+      status: 503,
+      message: 'Issuer instance is unavailable.'
+    }]);
+  });
+});
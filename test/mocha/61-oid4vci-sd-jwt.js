@@ -0,0 +1,177 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import * as helpers from './helpers.js';
+import {getCredentialOffer, OID4Client} from '@digitalbazaar/oid4-client';
+import {agent} from '@bedrock/https-agent';
+import {createHash} from 'node:crypto';
+import {jwtVerify} from 'jose';
+
+const VCT = 'https://example.com/vct/identity';
+
+describe('exchange w/OID4VCI that issues SD-JWT VCs', () => {
+  let capabilityAgent;
+  let workflowId;
+  let workflowRootZcap;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    ({capabilityAgent} = deps);
+
+    // use a local stand-in SD-JWT VC issuer instance
+    const {
+      workflowIssueZcap
+    } = await helpers.provisionSdJwtIssuer({capabilityAgent});
+
+    const zcaps = {
+      issue: workflowIssueZcap
+    };
+    const credentialTemplates = [{
+      type: 'jsonata',
+      template: `
+      {
+        "vct": "${VCT}",
+        "given_name": givenName,
+        "family_name": familyName,
+        "cnf": cnf
+      }`
+    }];
+    const steps = {
+      issue: {
+        issueRequests: [{
+          credentialTemplateIndex: 0,
+          oid4vci: {credentialConfigurationId: 'IdentityCredential_sd_jwt'}
+        }],
+        jwtDidProofRequest: {
+          acceptedMethods: [{method: 'key'}]
+        }
+      }
+    };
+    const configOptions = {
+      credentialTemplates,
+      steps,
+      initialStep: 'issue',
+      issuerInstances: [{
+        id: 'sd-jwt-issuer-instance',
+        oid4vci: {
+          supportedCredentialConfigurations: {
+            IdentityCredential_sd_jwt: {
+              format: 'dc+sd-jwt',
+              vct: VCT,
+              cryptographic_binding_methods_supported: ['jwk'],
+              credential_signing_alg_values_supported: ['ES256'],
+              proof_types_supported: {
+                jwt: {
+                  proof_signing_alg_values_supported: ['ES256']
+                }
+              }
+            }
+          }
+        },
+        supportedMediaTypes: ['application/dc+sd-jwt'],
+        zcapReferenceIds: {
+          issue: 'issue'
+        }
+      }]
+    };
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, configOptions, oauth2: true
+    });
+    workflowId = workflowConfig.id;
+    workflowRootZcap = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  });
+
+  async function _requestCredential({variables}) {
+    const {offerUrl} = await helpers.createCredentialOffer({
+      variables: {
+        givenName: 'Jane',
+        familyName: 'Doe',
+        ...variables
+      },
+      preAuthorized: true,
+      userPinRequired: false,
+      capabilityAgent,
+      workflowId,
+      workflowRootZcap,
+      useCredentialOfferUri: true
+    });
+
+    const offer = await getCredentialOffer({url: offerUrl, agent});
+    offer.credential_configuration_ids.should.deep.equal(
+      ['IdentityCredential_sd_jwt']);
+
+    const client = await OID4Client.fromCredentialOffer({
+      offer, agent, supportedFormats: ['dc+sd-jwt']
+    });
+    const {
+      did, signer: didProofSigner
+    } = await helpers.createDidProofSigner({algorithm: 'P-256'});
+    const result = await client.requestCredentials({
+      agent, getDidOptions: () => ({did, didProofSigner}),
+      format: 'dc+sd-jwt'
+    });
+    const credentials = result.credential_responses.flatMap(
+      r => r.credentials.map(({credential}) => credential));
+    credentials.length.should.equal(1);
+
+    const {exchange} = await helpers.getExchange(
+      {id: offer.credential_issuer, capabilityAgent});
+    exchange.state.should.equal('complete');
+
+    return {did, sdJwt: credentials[0]};
+  }
+
+  async function _parseSdJwt({sdJwt}) {
+    // SD-JWT is `<issuer-signed JWT>~<disclosure 1>~...~<disclosure N>~`
+    sdJwt.should.be.a('string');
+    const [jwt, ...disclosures] = sdJwt.split('~');
+    disclosures.pop().should.equal('');
+    const {payload, protectedHeader} = await jwtVerify(
+      jwt, helpers.SD_JWT_ISSUER.keyPair.publicKey);
+    protectedHeader.typ.should.equal('dc+sd-jwt');
+    const claims = {};
+    for(const disclosure of disclosures) {
+      const digest = createHash('sha256')
+        .update(disclosure).digest('base64url');
+      payload._sd.should.include(digest);
+      const [, name, value] = JSON.parse(
+        Buffer.from(disclosure, 'base64url').toString('utf8'));
+      claims[name] = value;
+    }
+    return {payload, claims};
+  }
+
+  it('should bind an SD-JWT VC to the proof key', async () => {
+    let err;
+    let result;
+    try {
+      result = await _requestCredential({variables: {}});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    const {did, sdJwt} = result;
+    const {payload, claims} = await _parseSdJwt({sdJwt});
+    payload.vct.should.equal(VCT);
+    claims.should.deep.equal({given_name: 'Jane', family_name: 'Doe'});
+
+    // `cnf` claim must hold the key that signed the DID proof
+    should.exist(payload.cnf?.jwk);
+    const keyPair = await EcdsaMultikey.fromJwk({jwk: payload.cnf.jwk});
+    did.should.equal(`did:key:${keyPair.publicKeyMultibase}`);
+  });
+
+  it('should keep a "cnf" claim set by the template', async () => {
+    const cnf = {kid: 'did:example:1234#key-1'};
+    let err;
+    let result;
+    try {
+      result = await _requestCredential({variables: {cnf}});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    const {payload} = await _parseSdJwt({sdJwt: result.sdJwt});
+    payload.cnf.should.deep.equal(cnf);
+  });
+});
@@ -0,0 +1,126 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {createHash} from 'node:crypto';
+
+describe('template functions', () => {
+  let capabilityAgent;
+  let workflowId;
+  beforeEach(async () => {
+    const deps = await helpers.provisionDependencies();
+    const {
+      workflowIssueZcap,
+      workflowCredentialStatusZcap,
+      workflowCreateChallengeZcap,
+      workflowVerifyPresentationZcap
+    } = deps;
+    ({capabilityAgent} = deps);
+
+    const zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap,
+      createChallenge: workflowCreateChallengeZcap,
+      verifyPresentation: workflowVerifyPresentationZcap
+    };
+    const credentialTemplates = [{
+      type: 'jsonata',
+      template: `
+      (
+        $validFrom := $now();
+        {
+          "@context": ["https://www.w3.org/ns/credentials/v2"],
+          "id": $urnUuid(),
+          "type": ["VerifiableCredential"],
+          "validFrom": $validFrom,
+          "validUntil": $addDuration($validFrom, "PT1H"),
+          "credentialSubject": {
+            "id": $didFromJwk(jwk),
+            "emailHash": $sha256(email),
+            "nickname": $base64url(nickname),
+            "year": $now('[Y0001]')
+          }
+        }
+      )`
+    }];
+    const steps = {
+      start: {
+        branches: [{
+          condition: {
+            type: 'jsonata',
+            template: '$sha256(email, "base64url") = emailDigest'
+          },
+          nextStep: 'issue'
+        }],
+        nextStep: 'skip'
+      },
+      issue: {
+        stepTemplate: {
+          type: 'jsonata',
+          template: `
+          {
+            "issueRequests": [{"credentialTemplateIndex": 0}],
+            "redirectUrl": "https://example.com/done/" & $uuid()
+          }`
+        }
+      },
+      skip: {
+        redirectUrl: 'https://example.com/skipped'
+      }
+    };
+    const initialStep = 'start';
+    const workflowConfig = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, credentialTemplates, steps, initialStep
+    });
+    workflowId = workflowConfig.id;
+  });
+
+  it('should evaluate functions in every template', async () => {
+    const email = 'user@example.com';
+    const jwk = {kty: 'OKP', crv: 'Ed25519', x: 'AAAA'};
+    let err;
+    let result;
+    try {
+      result = await helpers.simulateWorkflow({
+        workflowId, capabilityAgent,
+        variables: {
+          email,
+          emailDigest: _sha256({value: email, encoding: 'base64url'}),
+          jwk,
+          nickname: 'Jane'
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.state.should.equal('complete');
+
+    // condition
+    result.steps.map(({name}) => name).should.deep.equal(['start', 'issue']);
+
+    // step template
+    result.steps[1].step.redirectUrl.should.match(
+      /^https:\/\/example\.com\/done\/[0-9a-f-]{36}$/);
+
+    // credential template
+    const [{request: {credential}}] = result.steps[1].issueRequests;
+    credential.id.should.match(
+      /^urn:uuid:[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$/);
+    credential.validFrom.should.match(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ$/);
+    (Date.parse(credential.validUntil) - Date.parse(credential.validFrom))
+      .should.equal(60 * 60 * 1000);
+    credential.credentialSubject.should.deep.equal({
+      id: 'did:jwk:' +
+        Buffer.from(JSON.stringify(jwk)).toString('base64url'),
+      emailHash: _sha256({value: email, encoding: 'hex'}),
+      nickname: Buffer.from('Jane').toString('base64url'),
+      // `$now()` with a picture is formatted like JSONata's built-in
+      year: String(new Date().getUTCFullYear())
+    });
+  });
+});
+
+function _sha256({value, encoding}) {
+  return createHash('sha256').update(value).digest(encoding);
+}
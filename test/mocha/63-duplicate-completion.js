@@ -0,0 +1,190 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+import {randomUUID as uuid} from 'node:crypto';
+
+const {baseUrl, credentialTemplate} = mockData;
+
+// IDs of exchanges for which `exchange.invalidated` was emitted
+const INVALIDATED_EXCHANGES = new Set();
+
+describe('exchange duplicate completion', () => {
+  let capabilityAgent;
+  before(() => {
+    bedrock.events.on('bedrock-vc-delivery.exchange.invalidated', ({event}) => {
+      INVALIDATED_EXCHANGES.add(event.data.exchangeId);
+    });
+  });
+  beforeEach(async () => {
+    ({capabilityAgent} = await helpers.provisionDependencies());
+  });
+
+  async function _createExchange({duplicateCompletionAction}) {
+    // use a local stand-in issuer instance that issues credentials with a
+    // revocation status
+    const {
+      token, workflowIssueZcap, workflowCredentialStatusZcap
+    } = await helpers.provisionStatusIssuer({capabilityAgent});
+
+    // receive `exchangeUpdated` notifications sent to the step callback
+    const webhookToken = uuid();
+    helpers.WEBHOOK_RECEIVERS.set(webhookToken, {
+      failures: 0, requests: [], type: 'exchangeUpdated'
+    });
+
+    const zcaps = {
+      issue: workflowIssueZcap,
+      credentialStatus: workflowCredentialStatusZcap
+    };
+    const configOptions = {
+      credentialTemplates: [{type: 'jsonata', template: credentialTemplate}],
+      steps: {
+        issue: {
+          callback: {url: `${baseUrl}/webhooks/${webhookToken}`},
+          issueRequests: [{credentialTemplateIndex: 0}]
+        }
+      },
+      initialStep: 'issue',
+      duplicateCompletionAction
+    };
+    const {id: workflowId} = await helpers.createWorkflowConfig({
+      capabilityAgent, zcaps, configOptions
+    });
+    const workflowRootZcap =
+      `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+    const credentialId = `urn:uuid:${uuid()}`;
+    const {exchangeId} = await helpers.createCredentialOffer({
+      capabilityAgent, workflowId, workflowRootZcap, credentialId,
+      openId: false
+    });
+    return {exchangeId, credentialId, token, webhookToken};
+  }
+
+  async function _completeTwice({exchangeId}) {
+    // concurrent requests with different idempotency keys both issue
+    // credentials (slowly) and then attempt to complete the exchange
+    const results = await Promise.allSettled([uuid(), uuid()].map(
+      key => httpClient.post(exchangeId, {
+        agent, headers: {'idempotency-key': key}, json: {}
+      })));
+    const rejected = results.filter(({status}) => status === 'rejected');
+    rejected.length.should.equal(1);
+    rejected[0].reason.status.should.equal(409);
+    rejected[0].reason.data.name.should.equal('DuplicateError');
+  }
+
+  // waits for at least one of the items returned by `getItems`
+  async function _waitForItems(getItems, {timeout = 10000} = {}) {
+    const start = Date.now();
+    while(true) {
+      const items = getItems();
+      if(items.length > 0 || Date.now() - start > timeout) {
+        return items;
+      }
+      await new Promise(r => setTimeout(r, 50));
+    }
+  }
+
+  function _getDuplicateCompletionNotifications({webhookToken}) {
+    return helpers.WEBHOOK_RECEIVERS.get(webhookToken).requests
+      .map(({body: {event}}) => event)
+      .filter(({data}) => data.reason === 'duplicateCompletion');
+  }
+
+  it('should revoke credentials and notify with "revoke"', async () => {
+    const {
+      exchangeId, credentialId, token, webhookToken
+    } = await _createExchange({duplicateCompletionAction: 'revoke'});
+
+    let err;
+    try {
+      await _completeTwice({exchangeId});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    // credential status is set to revoked
+    const updates = await _waitForItems(
+      () => helpers.STATUS_ISSUER_UPDATES.get(token));
+    updates.length.should.equal(1);
+    updates[0].credentialId.should.equal(credentialId);
+    updates[0].status.should.equal(true);
+    updates[0].credentialStatus.statusPurpose.should.equal('revocation');
+
+    // step callback is notified after revocation
+    const notifications = await _waitForItems(
+      () => _getDuplicateCompletionNotifications({webhookToken}));
+    notifications.length.should.equal(1);
+    notifications[0].data.state.should.equal('invalid');
+    notifications[0].data.exchangeId.should.equal(exchangeId);
+  });
+
+  it('should only notify with "notify"', async () => {
+    const {
+      exchangeId, token, webhookToken
+    } = await _createExchange({duplicateCompletionAction: 'notify'});
+
+    let err;
+    try {
+      await _completeTwice({exchangeId});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+
+    const notifications = await _waitForItems(
+      () => _getDuplicateCompletionNotifications({webhookToken}));
+    notifications.length.should.equal(1);
+    notifications[0].data.state.should.equal('invalid');
+
+    // no credential status is changed
+    helpers.STATUS_ISSUER_UPDATES.get(token).should.deep.equal([]);
+  });
+
+  it('should invalidate when completed twice without a key', async () => {
+    const {exchangeId} = await _createExchange(
+      {duplicateCompletionAction: 'none'});
+
+    // identical requests without an `Idempotency-Key` could be from different
+    // clients, so the response to one is not replayed to the other
+    const results = await Promise.allSettled([1, 2].map(
+      () => httpClient.post(exchangeId, {agent, json: {}})));
+    const rejected = results.filter(({status}) => status === 'rejected');
+    rejected.length.should.equal(1);
+    rejected[0].reason.status.should.equal(409);
+    rejected[0].reason.data.name.should.equal('DuplicateError');
+
+    const invalidated = await _waitForItems(
+      () => INVALIDATED_EXCHANGES.has(exchangeId) ? [exchangeId] : []);
+    invalidated.length.should.equal(1);
+  });
+
+  it('should invalidate when completed again after the replay window',
+    async function() {
+      this.timeout(10000);
+
+      const {exchangeId, token} = await _createExchange(
+        {duplicateCompletionAction: 'none'});
+
+      // the second issue request finishes after the test config's 2 second
+      // replay window
+      helpers.STATUS_ISSUER_DELAYS.set(token, [0, 3000]);
+      const headers = {'idempotency-key': uuid()};
+      const results = await Promise.allSettled([1, 2].map(
+        () => httpClient.post(exchangeId, {agent, headers, json: {}})));
+      const rejected = results.filter(({status}) => status === 'rejected');
+      rejected.length.should.equal(1);
+      rejected[0].reason.status.should.equal(409);
+      rejected[0].reason.data.name.should.equal('DuplicateError');
+
+      const invalidated = await _waitForItems(
+        () => INVALIDATED_EXCHANGES.has(exchangeId) ? [exchangeId] : []);
+      invalidated.length.should.equal(1);
+    });
+});
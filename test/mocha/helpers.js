@@ -79,6 +79,24 @@ export const PUSH_NOTIFICATION_CALLBACK_DATA = {
   resolve: null
 };
 
+// for testing webhook deliveries; mock webhook receivers by token
+export const WEBHOOK_RECEIVERS = new Map();
+
+// for testing issuer instance failover; # of issue requests received by each
+// unavailable mock issuer instance, by token
+export const UNAVAILABLE_ISSUER_REQUESTS = new Map();
+
+// for testing SD-JWT VC issuance; the key pair used by the mock SD-JWT VC
+// issuer instance is generated on first use
+export const SD_JWT_ISSUER = {keyPair: null};
+
+// for testing duplicate completion actions; credential status updates
+// received by each mock status issuer instance, by token
+export const STATUS_ISSUER_UPDATES = new Map();
+// delays (in milliseconds) of the issue requests received by each mock status
+// issuer instance, in order, by token; the default delay is 500ms
+export const STATUS_ISSUER_DELAYS = new Map();
+
 // create document loader with contexts for VCs from `mock.data.js`
 const contexts = new Map();
 contexts.set(
@@ -524,13 +542,42 @@ export async function createDidProofSigner({
   return {did: didDocument.id, signer};
 }
 
+export async function approveExchange({id, capabilityAgent} = {}) {
+  const zcapClient = createZcapClient({capabilityAgent});
+  // assume root zcap for associated workflow
+  const workflowId = id.slice(0, id.lastIndexOf('/exchanges/'));
+  const capability = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  return zcapClient.write({url: `${id}/approve`, json: {}, capability});
+}
+
+export async function cancelExchange({id, capabilityAgent} = {}) {
+  const zcapClient = createZcapClient({capabilityAgent});
+  // assume root zcap for associated workflow
+  const workflowId = id.slice(0, id.lastIndexOf('/exchanges/'));
+  const capability = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  return zcapClient.write({url: `${id}/cancel`, json: {}, capability});
+}
+
 export async function createExchange({
   url, capabilityAgent, capability, exchange
 }) {
   const zcapClient = createZcapClient({capabilityAgent});
   const response = await zcapClient.write({url, json: exchange, capability});
   const exchangeId = response.headers.get('location');
-  return {id: exchangeId};
+  // any status token is only returned if requested
+  return {id: exchangeId, statusToken: response.data?.statusToken};
+}
+
+export async function extendExchange({
+  id, capabilityAgent, ttl, expires
+} = {}) {
+  const zcapClient = createZcapClient({capabilityAgent});
+  // assume root zcap for associated workflow
+  const workflowId = id.slice(0, id.lastIndexOf('/exchanges/'));
+  const capability = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  const response = await zcapClient.write(
+    {url: `${id}/extend`, json: {ttl, expires}, capability});
+  return response.data;
 }
 
 export async function getExchange({id, capabilityAgent, accessToken} = {}) {
@@ -556,6 +603,121 @@ export async function getExchange({id, capabilityAgent, accessToken} = {}) {
   return data;
 }
 
+export async function rejectExchange({id, capabilityAgent, reason} = {}) {
+  const zcapClient = createZcapClient({capabilityAgent});
+  // assume root zcap for associated workflow
+  const workflowId = id.slice(0, id.lastIndexOf('/exchanges/'));
+  const capability = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  return zcapClient.write({url: `${id}/reject`, json: {reason}, capability});
+}
+
+export async function updateExchangeVariables({
+  id, capabilityAgent, sequence, operations
+} = {}) {
+  const zcapClient = createZcapClient({capabilityAgent});
+  // assume root zcap for associated workflow
+  const workflowId = id.slice(0, id.lastIndexOf('/exchanges/'));
+  const capability = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  const response = await zcapClient.request({
+    url: `${id}/variables`, capability, method: 'patch', action: 'write',
+    json: {sequence, operations}
+  });
+  return response.data;
+}
+
+export async function findExchanges({
+  workflowId, capabilityAgent, query = {}
+} = {}) {
+  const zcapClient = createZcapClient({capabilityAgent});
+  const capability = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  const searchParams = new URLSearchParams(query);
+  const url = `${workflowId}/exchanges` +
+    (searchParams.size > 0 ? `?${searchParams}` : '');
+  const {data} = await zcapClient.read({url, capability});
+  return data;
+}
+
+export async function getExchangeStatus({id, token} = {}) {
+  const headers = {};
+  if(token) {
+    headers.authorization = `Bearer ${token}`;
+  }
+  const {data} = await httpClient.get(`${id}/status`, {
+    agent: httpsAgent, headers
+  });
+  return data;
+}
+
+export async function getExchangeHistory({id, capabilityAgent} = {}) {
+  const zcapClient = createZcapClient({capabilityAgent});
+  // assume root zcap for associated workflow
+  const workflowId = id.slice(0, id.lastIndexOf('/exchanges/'));
+  const capability = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  const {data} = await zcapClient.read({url: `${id}/history`, capability});
+  return data;
+}
+
+export async function openExchangeStatusStream({id, capabilityAgent} = {}) {
+  const zcapClient = createZcapClient({capabilityAgent});
+  // assume root zcap for associated workflow
+  const workflowId = id.slice(0, id.lastIndexOf('/exchanges/'));
+  const capability = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  // response resolves once headers are received; body is read by caller
+  return zcapClient.read({
+    url: `${id}/events`, capability,
+    headers: {accept: 'text/event-stream'}
+  });
+}
+
+export function parseEventStream({text} = {}) {
+  const events = [];
+  for(const block of text.split('\n\n')) {
+    const event = {};
+    for(const line of block.split('\n')) {
+      // skip empty lines and comments
+      if(line === '' || line.startsWith(':')) {
+        continue;
+      }
+      const index = line.indexOf(': ');
+      event[line.slice(0, index)] = line.slice(index + 2);
+    }
+    if(event.data !== undefined) {
+      events.push({...event, data: JSON.parse(event.data)});
+    }
+  }
+  return events;
+}
+
+export async function simulateWorkflow({
+  workflowId, capabilityAgent, variables, results
+} = {}) {
+  const zcapClient = createZcapClient({capabilityAgent});
+  // assume root zcap for workflow
+  const capability = `urn:zcap:root:${encodeURIComponent(workflowId)}`;
+  const {data} = await zcapClient.write({
+    url: `${workflowId}/simulate`, capability, json: {variables, results}
+  });
+  return data;
+}
+
+export async function waitForWebhookRequests({
+  token, count, timeout = 10000
+} = {}) {
+  const start = Date.now();
+  while(true) {
+    const requests = WEBHOOK_RECEIVERS.get(token)?.requests ?? [];
+    if(requests.length >= count) {
+      return requests;
+    }
+    if(Date.now() - start > timeout) {
+      throw new Error(
+        `Timed out waiting for ${count} webhook request(s); ` +
+        `received ${requests.length}.`);
+    }
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
 export async function createEdv({
   capabilityAgent, keystoreAgent, keyAgreementKey, hmac, meterId
 }) {
@@ -816,6 +978,89 @@ export async function provisionDependencies({
   };
 }
 
+export async function provisionHolder({capabilityAgent}) {
+  // get workflow service agent to delegate to
+  const workflowServiceAgentUrl =
+    `${mockData.baseUrl}/service-agents/${encodeURIComponent('vc-workflow')}`;
+  const {data: workflowServiceAgent} = await httpClient.get(
+    workflowServiceAgentUrl, {agent});
+
+  // delegate zcap to create presentations using the mock holder instance
+  const holderId = `${mockData.baseUrl}/holder`;
+  const workflowCreatePresentationZcap = await delegate({
+    capability: createRootZcap({url: holderId}),
+    controller: workflowServiceAgent.id,
+    invocationTarget: `${holderId}/presentations`,
+    delegator: capabilityAgent
+  });
+
+  return {workflowCreatePresentationZcap};
+}
+
+export async function provisionUnavailableIssuer({capabilityAgent}) {
+  // get workflow service agent to delegate to
+  const workflowServiceAgentUrl =
+    `${mockData.baseUrl}/service-agents/${encodeURIComponent('vc-workflow')}`;
+  const {data: workflowServiceAgent} = await httpClient.get(
+    workflowServiceAgentUrl, {agent});
+
+  // delegate zcap to issue using a mock issuer instance that always responds
+  // that it is unavailable
+  const token = uuid();
+  UNAVAILABLE_ISSUER_REQUESTS.set(token, 0);
+  const issuerId = `${mockData.baseUrl}/unavailable-issuers/${token}`;
+  const workflowIssueZcap = await delegate({
+    capability: createRootZcap({url: issuerId}),
+    controller: workflowServiceAgent.id,
+    invocationTarget: `${issuerId}/credentials/issue`,
+    delegator: capabilityAgent
+  });
+
+  return {token, workflowIssueZcap};
+}
+
+export async function provisionSdJwtIssuer({capabilityAgent}) {
+  // get workflow service agent to delegate to
+  const workflowServiceAgentUrl =
+    `${mockData.baseUrl}/service-agents/${encodeURIComponent('vc-workflow')}`;
+  const {data: workflowServiceAgent} = await httpClient.get(
+    workflowServiceAgentUrl, {agent});
+
+  // delegate zcap to issue using a mock issuer instance that issues SD-JWT VCs
+  const issuerId = `${mockData.baseUrl}/sd-jwt-issuer`;
+  const workflowIssueZcap = await delegate({
+    capability: createRootZcap({url: issuerId}),
+    controller: workflowServiceAgent.id,
+    invocationTarget: `${issuerId}/credentials/issue`,
+    delegator: capabilityAgent
+  });
+
+  return {workflowIssueZcap};
+}
+
+export async function provisionStatusIssuer({capabilityAgent}) {
+  // get workflow service agent to delegate to
+  const workflowServiceAgentUrl =
+    `${mockData.baseUrl}/service-agents/${encodeURIComponent('vc-workflow')}`;
+  const {data: workflowServiceAgent} = await httpClient.get(
+    workflowServiceAgentUrl, {agent});
+
+  // delegate zcaps to issue and to update credential status using a mock
+  // issuer instance that issues credentials with a revocation status
+  const token = uuid();
+  STATUS_ISSUER_UPDATES.set(token, []);
+  const issuerId = `${mockData.baseUrl}/status-issuers/${token}`;
+  const [workflowIssueZcap, workflowCredentialStatusZcap] = await Promise.all(
+    ['issue', 'status'].map(operation => delegate({
+      capability: createRootZcap({url: issuerId}),
+      controller: workflowServiceAgent.id,
+      invocationTarget: `${issuerId}/credentials/${operation}`,
+      delegator: capabilityAgent
+    })));
+
+  return {token, workflowIssueZcap, workflowCredentialStatusZcap};
+}
+
 export async function provisionIssuer({
   capabilityAgent, keystoreAgent, issuerOptions = {}
 }) {
@@ -63,3 +63,22 @@ config.notify.push.hmacKey = {
 
 // ensure exchanges "variables" garbage collector runs during tests
 config['vc-workflow'].exchanges.variablesGarbageCollector.interval = 1000;
+// ensure exchange expiry sweeper runs frequently during tests
+config['vc-workflow'].exchanges.expirySweeper.interval = 200;
+// ensure exchange status streams notice expired exchanges quickly in tests
+config['vc-workflow'].exchanges.statusStream.heartbeatInterval = 200;
+
+// ensure webhook deliveries are retried quickly during tests
+config['vc-workflow'].webhooks.retry.maxAttempts = 3;
+config['vc-workflow'].webhooks.retry.initialDelay = 100;
+config['vc-workflow'].webhooks.outboxWorker.interval = 100;
+
+// ensure duplicate completion actions are retried quickly during tests
+config['vc-workflow'].duplicateCompletion.retry.initialDelay = 100;
+config['vc-workflow'].duplicateCompletion.outboxWorker.interval = 100;
+
+// ensure responses are only replayed briefly during tests
+config['vc-workflow'].exchanges.responseReplay.window = 2000;
+
+// ensure issuer instance circuit breakers open quickly during tests
+config['vc-workflow'].issuerInstances.circuitBreaker.failureThreshold = 2;
@@ -2,6 +2,8 @@
  * Copyright (c) 2016-2026 Digital Bazaar, Inc.
  */
 import * as bedrock from '@bedrock/core';
+import {createHash, randomBytes} from 'node:crypto';
+import {generateKeyPair, SignJWT} from 'jose';
 import {asyncHandler} from '@bedrock/express';
 import {getServiceIdentities} from '@bedrock/app-identity';
 import {handlers} from '@bedrock/meter-http';
@@ -19,8 +21,11 @@ import '@bedrock/notify';
 import '@bedrock/vc-issuer';
 import '@bedrock/vc-verifier';
 
+import {
+  PUSH_NOTIFICATION_CALLBACK_DATA, SD_JWT_ISSUER, STATUS_ISSUER_DELAYS,
+  STATUS_ISSUER_UPDATES, UNAVAILABLE_ISSUER_REQUESTS, WEBHOOK_RECEIVERS
+} from './mocha/helpers.js';
 import {mockData} from './mocha/mock.data.js';
-import {PUSH_NOTIFICATION_CALLBACK_DATA} from './mocha/helpers.js';
 
 const {util: {BedrockError}} = bedrock;
 
@@ -97,6 +102,154 @@ bedrock.events.on('bedrock-express.configure.routes', async app => {
         PUSH_NOTIFICATION_CALLBACK_DATA.expectedExchangeId === exchangeId);
       res.sendStatus(204);
     }));
+
+  // mock webhook receiver; records every delivery request received for a
+  // token (of the receiver's event `type`, if set) and fails the first
+  // `failures` of them
+  app.post(
+    '/webhooks/:token',
+    asyncHandler(async (req, res) => {
+      const {token} = req.params;
+      let receiver = WEBHOOK_RECEIVERS.get(token);
+      if(!receiver) {
+        receiver = {failures: 0, requests: []};
+        WEBHOOK_RECEIVERS.set(token, receiver);
+      }
+      if(receiver.type && req.body?.event?.type !== receiver.type) {
+        // ignore other event types
+        res.sendStatus(204);
+        return;
+      }
+      receiver.requests.push({headers: req.headers, body: req.body});
+      if(receiver.requests.length <= receiver.failures) {
+        res.sendStatus(503);
+        return;
+      }
+      res.sendStatus(204);
+    }));
+
+  // mock blocking step callback URL; `policy` selects the response
+  app.post(
+    '/blocking-callbacks/:policy',
+    asyncHandler(async (req, res) => {
+      const {event} = req.body;
+      if(event?.type !== 'blockingCallback') {
+        // ignore non-blocking notifications
+        res.sendStatus(204);
+        return;
+      }
+      const {policy} = req.params;
+      if(policy === 'deny') {
+        res.status(403).json({message: 'Denied by policy.'});
+        return;
+      }
+      if(policy === 'invalid') {
+        res.json({allowed: 'yes'});
+        return;
+      }
+      res.json({allowed: true, did: event.data.results.did ?? null});
+    }));
+
+  // mock issuer instance that is always unavailable; counts the issue
+  // requests received for each token
+  app.post(
+    '/unavailable-issuers/:token/credentials/issue',
+    asyncHandler(async (req, res) => {
+      const {token} = req.params;
+      UNAVAILABLE_ISSUER_REQUESTS.set(
+        token, (UNAVAILABLE_ISSUER_REQUESTS.get(token) ?? 0) + 1);
+      res.status(503).json({message: 'Issuer instance is unavailable.'});
+    }));
+
+  // mock issuer instance that issues credentials with a revocation status
+  // entry; issuance is delayed (see `STATUS_ISSUER_DELAYS`) so that concurrent
+  // requests can complete an exchange more than once
+  app.post(
+    '/status-issuers/:token/credentials/issue',
+    asyncHandler(async (req, res) => {
+      const {token} = req.params;
+      const {credential} = req.body;
+      const delay = STATUS_ISSUER_DELAYS.get(token)?.shift() ?? 500;
+      await new Promise(r => setTimeout(r, delay));
+      const issuerId = `${mockData.baseUrl}/status-issuers/${token}`;
+      res.json({
+        verifiableCredential: {
+          ...credential,
+          credentialStatus: {
+            id: `${issuerId}/status-lists/1#0`,
+            type: 'BitstringStatusListEntry',
+            statusPurpose: 'revocation',
+            statusListIndex: '0',
+            statusListCredential: `${issuerId}/status-lists/1`
+          },
+          proof: {type: 'MockProof'}
+        }
+      });
+    }));
+
+  // mock issuer instance credential status update URL; records the updates
+  // received for each token
+  app.post(
+    '/status-issuers/:token/credentials/status',
+    asyncHandler(async (req, res) => {
+      const {token} = req.params;
+      STATUS_ISSUER_UPDATES.get(token)?.push(req.body);
+      res.json({});
+    }));
+
+  // mock issuer instance that issues SD-JWT VCs; every claim other than
+  // `vct` and `cnf` is selectively disclosable
+  app.post(
+    '/sd-jwt-issuer/credentials/issue',
+    asyncHandler(async (req, res) => {
+      const {credential: {vct, cnf, ...claims}} = req.body;
+      if(!SD_JWT_ISSUER.keyPair) {
+        SD_JWT_ISSUER.keyPair = await generateKeyPair('ES256');
+      }
+      const disclosures = Object.entries(claims).map(([name, value]) =>
+        Buffer.from(JSON.stringify([
+          randomBytes(16).toString('base64url'), name, value
+        ])).toString('base64url'));
+      const payload = {
+        iss: `${mockData.baseUrl}/sd-jwt-issuer`,
+        vct,
+        _sd: disclosures.map(d => createHash('sha256')
+          .update(d).digest('base64url')),
+        _sd_alg: 'sha-256'
+      };
+      if(cnf) {
+        payload.cnf = cnf;
+      }
+      const jwt = await new SignJWT(payload)
+        .setProtectedHeader({alg: 'ES256', typ: 'dc+sd-jwt'})
+        .setIssuedAt()
+        .sign(SD_JWT_ISSUER.keyPair.privateKey);
+      res.json({
+        verifiableCredential: {
+          '@context': 'https://www.w3.org/ns/credentials/v2',
+          type: 'EnvelopedVerifiableCredential',
+          id: `data:application/dc+sd-jwt,${jwt}~${disclosures.join('~')}~`
+        }
+      });
+    }));
+
+  // mock holder instance presentation signing URL; the "proof" only echoes
+  // the `challenge` and `domain` options so tests can check their binding
+  app.post(
+    '/holder/presentations',
+    asyncHandler(async (req, res) => {
+      const {presentation, options = {}} = req.body;
+      res.json({
+        verifiablePresentation: {
+          ...presentation,
+          proof: {
+            type: 'MockProof',
+            challenge: options.challenge,
+            domain: options.domain
+          }
+        }
+      });
+    }));
 });
 
 // mock DID web server routes